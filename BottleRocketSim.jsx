@@ -1,172 +1,401 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-
-// Physical Constants (0.8L Bottle Rocket - from constants.py)
-const CONSTANTS = {
-    g: 9.81,                    // m/s²
-    rho_air: 1.225,             // kg/m³
-    rho_water: 1000,            // kg/m³
-    P_atm: 101325,              // Pa
-    gamma: 1.4,                 // Adiabatic exponent
-    tank_volume: 8e-4,          // 0.8L in m³
-    d_bottle: 0.075,            // 7.5 cm
-    d_nozzle: 0.026,            // 2.6 cm
-    mass_empty: 0.0765,         // 76.5 g
-};
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+    CONSTANTS,
+    DEFAULT_ROCKET,
+    DEFAULT_LAUNCH,
+    DEFAULT_SOLVER,
+    DEPLOY_MODES,
+    ROCKET_PRESETS,
+    INTEGRATORS,
+    NOZZLE_MODELS,
+    TIME_UNITS,
+    ALT_UNITS,
+    FIT_PARAMS,
+    FILL_SWEEP,
+    summarizeSweep,
+    bottleCount,
+    tankAirSpace,
+    DESIGN_GOALS,
+    DESIGN_VARIABLES,
+    DESIGN_CONSTRAINTS,
+    SENSITIVITY_INPUTS,
+    SENSITIVITY_OUTPUTS,
+    sensitivityScenarios,
+    summarizeSensitivity,
+    DEFAULT_BODY,
+    DRAG_MODELS,
+    dragGeometry,
+    dragCoefficient,
+    NOSE_SHAPES,
+    MIN_STABLE_MARGIN,
+    airframeGeometry,
+    centerOfGravity,
+    stabilityOverBurn,
+    parseCSV,
+    guessFlightMapping,
+    flightPoints,
+    flightResiduals,
+    DISPERSION_PARAMS,
+    DISTRIBUTIONS,
+    sampleScenarios,
+    summarize,
+    histogram,
+    altitudeBands,
+    DEFAULT_SCENARIO,
+    parseScenario,
+    serializeScenario,
+    encodeScenario,
+    decodeScenario,
+    interpolateTrajectory,
+    trajectoryCSV,
+    trajectoryJSON,
+    UNITS,
+    UNIT_SYSTEMS,
+    PRESSURE_UNITS,
+    DEFAULT_UNITS,
+    displayUnits,
+    DEFAULT_ATMOSPHERE,
+    siteAtmosphere,
+    airViscosity,
+    speedOfSound,
+    runJob,
+    SimulationPool,
+} from './physics/index.js';
+
+// Color palette for trajectories
+const COLORS = [
+    '#00ffaa', '#ff6b6b', '#4ecdc4', '#ffe66d',
+    '#a855f7', '#22d3ee', '#fb923c', '#f472b6'
+];
 
-const A_bottle = Math.PI * (CONSTANTS.d_bottle / 2) ** 2;
-const A_nozzle = Math.PI * (CONSTANTS.d_nozzle / 2) ** 2;
+// Standard sea-level air density, to compare the launch site against
+const ISA_DENSITY = siteAtmosphere(DEFAULT_ATMOSPHERE).rho;
 
-// RK4 Integrator
-function rk4Step(odes, t, y, dt, params) {
-    const k1 = odes(t, y, params);
-    const k2 = odes(t + dt / 2, y.map((yi, i) => yi + dt / 2 * k1[i]), params);
-    const k3 = odes(t + dt / 2, y.map((yi, i) => yi + dt / 2 * k2[i]), params);
-    const k4 = odes(t + dt, y.map((yi, i) => yi + dt * k3[i]), params);
-    return y.map((yi, i) => yi + dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
-}
+// Imported flights are drawn dashed in their own palette
+const FLIGHT_COLORS = ['#ffffff', '#fb923c', '#f472b6', '#22d3ee', '#a855f7', '#ffe66d'];
 
-// Rocket ODEs: y = [v, h, m, V_water]
-function rocketODEs(t, y, params) {
-    const { V_air_0, C_d, P_0_abs } = params;
-    let [v, h, m, V_water] = y;
+// Tank volumes as "0.80 L", "3×0.80 L" or "0.80 L + 1.00 L booster"
+const describeTanks = (rocket) => {
+    const litres = (v) => `${+(v * 1000).toFixed(2)} L`;
+    if (rocket.layout === 'cluster') return `${bottleCount(rocket)}×${litres(rocket.tank_volume)}`;
+    if (rocket.layout === 'staged') return `${litres(rocket.tank_volume)} + ${litres(rocket.booster.tank_volume)} booster`;
+    return litres(rocket.tank_volume);
+};
 
-    const drag_accel = -0.5 * CONSTANTS.rho_air * C_d * A_bottle * v * Math.abs(v) / m;
+// Compare-mode run: its own fill, pressure, drag and airframe; launch and recovery are shared
+const makeRun = (fields) => ({
+    id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    ...fields,
+});
 
-    if (V_water <= 0) {
-        return [-CONSTANTS.g + drag_accel, v, 0, 0];
+// Scenario carried in a share link (#scenario=...), if the page was opened with one
+function scenarioFromURL() {
+    if (typeof window === 'undefined') return null;
+    const match = window.location.hash.match(/^#scenario=([\w-]+)$/);
+    if (!match) return null;
+    try {
+        return decodeScenario(match[1]);
+    } catch (err) {
+        console.warn('Ignoring invalid scenario link:', err.message);
+        return null;
     }
+}
 
-    const V_air = CONSTANTS.tank_volume - V_water;
-    const P_1 = P_0_abs * Math.pow(V_air_0 / V_air, CONSTANTS.gamma);
-    const delta_P = P_1 - CONSTANTS.P_atm;
+// localStorage key for the display unit setting, a per-browser preference
+const UNITS_KEY = 'bottle-rocket-units';
 
-    if (delta_P <= 0) {
-        return [-CONSTANTS.g + drag_accel, v, 0, 0];
+function readUnitSettings() {
+    try {
+        return { ...DEFAULT_UNITS, ...JSON.parse(localStorage.getItem(UNITS_KEY)) };
+    } catch {
+        return DEFAULT_UNITS;
     }
+}
 
-    const denom = CONSTANTS.rho_water * (1 - Math.pow(CONSTANTS.d_nozzle / CONSTANTS.d_bottle, 4));
-    const v_e = Math.sqrt(2 * delta_P / denom);
+// Worker pool shared by every simulation in the app, created on first use
+let pool = null;
+const getPool = () => pool || (pool = new SimulationPool());
 
-    const dV_water_dt = -A_nozzle * v_e;
-    const dm_dt = CONSTANTS.rho_water * dV_water_dt;
-    const thrust_accel = (CONSTANTS.rho_water * A_nozzle * v_e * v_e) / m;
-    const dv_dt = thrust_accel - CONSTANTS.g + drag_accel;
+export default function BottleRocketSim() {
+    const [initial] = useState(() => scenarioFromURL() || DEFAULT_SCENARIO);
+    const [fillRatio, setFillRatio] = useState(initial.fillRatio);
+    const [dragCoeff, setDragCoeff] = useState(initial.C_d);
+    const [pressure, setPressure] = useState(initial.pressurePSI);
+    const [showOptimal, setShowOptimal] = useState(true);
+    const [compareMode, setCompareMode] = useState(initial.mode === 'compare');
+    const [compareRuns, setCompareRuns] = useState(() => initial.compareRuns.map(makeRun));
+    const [rocket, setRocket] = useState(initial.rocket);
+    const [launch, setLaunch] = useState(initial.launch);
+    const [flights, setFlights] = useState([]);
+    const [fitParams, setFitParams] = useState(['C_d']);
+    const [fit, setFit] = useState(null);
+    const [solver, setSolver] = useState(initial.solver);
+    const [monteCarlo, setMonteCarlo] = useState(initial.monteCarlo);
+    const [zoom, setZoom] = useState(null);
+    const [hoverT, setHoverT] = useState(null);
+    const [selectedEvent, setSelectedEvent] = useState(null);
+    const [playbackT, setPlaybackT] = useState(null);
 
-    return [dv_dt, v, dm_dt, dV_water_dt];
-}
+    // Display units; the model itself runs in SI
+    const [unitSettings, setUnitSettings] = useState(readUnitSettings);
+    useEffect(() => {
+        localStorage.setItem(UNITS_KEY, JSON.stringify(unitSettings));
+    }, [unitSettings]);
+    const units = useMemo(() => displayUnits(unitSettings), [unitSettings]);
+    const imperial = unitSettings.system === 'imperial';
+    const { length: L, speed: V } = units;
+    // Small lengths are entered in cm or mm, or inches in imperial
+    const sizeField = (siUnit, siStep, inchStep) => {
+        const unit = imperial ? 'in' : siUnit;
+        return { unit, scale: 1 / UNITS.diameter[unit].si, step: imperial ? inchStep : siStep };
+    };
+    const massField = { unit: units.mass.label, scale: 1 / units.mass.si, step: imperial ? 0.05 : 1 };
+    const P = units.pressure;
+    const pressureDisplay = P.from(pressure * CONSTANTS.psi);
+    const dragRef = useRef(null);
 
-// Run simulation for given parameters
-function runSimulation(fillRatio, C_d, pressurePSI) {
-    const V_water_0 = fillRatio * CONSTANTS.tank_volume;
-    const V_air_0 = CONSTANTS.tank_volume - V_water_0;
-    const P_0_abs = pressurePSI * 6894.76 + CONSTANTS.P_atm;
+    const updateRocket = (key, value) => setRocket(prev => ({ ...prev, [key]: value }));
+    const updateRecovery = (key, value) => setRocket(prev => ({ ...prev, recovery: { ...prev.recovery, [key]: value } }));
+    const updateBooster = (key, value) => setRocket(prev => ({ ...prev, booster: { ...prev.booster, [key]: value } }));
+    const updateBody = (key, value) => setRocket(prev => ({ ...prev, body: { ...prev.body, [key]: value } }));
+    const { booster, body } = rocket;
+    // Airframe dimensions are entered in cm (inches in imperial)
+    const bodyLength = sizeField('cm', 0.5, 0.25);
+    const formatBodyLength = (v) => `${+(v * bodyLength.scale).toFixed(1)} ${bodyLength.unit}`;
+    const presetActive = (preset) => Object.keys(preset).every(k => rocket[k] === preset[k]);
+    const updateLaunch = (key, value) => setLaunch(prev => ({ ...prev, [key]: value }));
+    const updateAtmosphere = (key, value) => setLaunch(prev => ({ ...prev, atmosphere: { ...prev.atmosphere, [key]: value } }));
+    const site = useMemo(() => siteAtmosphere(launch.atmosphere), [launch.atmosphere]);
+    // Air left above the water once the launch tube is inserted; the model needs some
+    const tubeAirSpace = tankAirSpace(fillRatio, rocket, launch);
 
-    const m_0 = CONSTANTS.mass_empty + CONSTANTS.rho_water * V_water_0;
-    let y = [0, 0, m_0, V_water_0];
-    let t = 0;
-    const dt = 0.002;
-    const params = { V_air_0, C_d, P_0_abs };
+    // Main simulation, ahead of the sweeps in the worker queue
+    const simJobs = usePoolJobs(() => [
+        { fn: 'simulate', args: [fillRatio, dragCoeff, pressure, rocket, launch, { solver }] },
+    ], [fillRatio, dragCoeff, pressure, rocket, launch, solver], { priority: 2 });
+    const simResult = simJobs.results[0];
 
-    const trajectory = [{ t: 0, h: 0, v: 0 }];
-    let maxH = 0;
-    let maxHTime = 0;
-    let burnoutTime = null;
-    let burnoutAlt = null;
-    let burnoutVel = null;
+    // Optimal calculation, one job per sweep point so the curve fills in progressively
+    const sweepJobs = usePoolJobs(() => FILL_SWEEP.map(r => (
+        { fn: 'apogee', args: [r, dragCoeff, pressure, rocket, launch, { solver }] }
+    )), [dragCoeff, pressure, rocket, launch, solver], { eager: false });
+    const optimal = useMemo(() => summarizeSweep(sweepJobs.results.filter(Boolean)), [sweepJobs.results]);
 
-    while (t < 15 && y[1] >= 0) {
-        y = rk4Step(rocketODEs, t, y, dt, params);
-        t += dt;
+    // Compare trajectories
+    const compareJobs = usePoolJobs(() => compareMode
+        ? compareRuns.map(run => ({
+            fn: 'simulate',
+            args: [run.fillRatio, run.C_d, run.pressurePSI, { ...run.rocket, recovery: rocket.recovery }, launch, { solver }],
+            key: run.id,
+        }))
+        : [],
+    [compareMode, compareRuns, rocket.recovery, launch, solver], { priority: 1 });
+    // Looked up by run id, so results follow their run through edits and removals
+    const compareResultOf = (run) => compareJobs.results[compareJobs.keys.indexOf(run.id)] ?? null;
+    const compareErrorOf = (run) => compareJobs.errors[compareJobs.keys.indexOf(run.id)] ?? null;
+    const compareResults = compareRuns
+        .map((run, i) => compareResultOf(run) && { run, color: COLORS[i % COLORS.length], ...compareResultOf(run) })
+        .filter(Boolean);
 
-        if (y[3] <= 0 && burnoutTime === null) {
-            burnoutTime = t;
-            burnoutAlt = y[1];
-            burnoutVel = y[0];
-        }
+    // Imported flight data, converted to SI and colored
+    const measuredFlights = useMemo(() =>
+        flights.map((f, i) => ({
+            ...f,
+            points: flightPoints(f),
+            color: FLIGHT_COLORS[i % FLIGHT_COLORS.length],
+        })),
+        [flights]
+    );
 
-        if (y[1] > maxH) {
-            maxH = y[1];
-            maxHTime = t;
-        }
+    // Parameter estimation against the visible measured flights
+    const [fitting, setFitting] = useState(false);
+    const [fitError, setFitError] = useState(null);
+    const runFit = () => {
+        const pointSets = measuredFlights.filter(f => f.visible && f.points.length > 0).map(f => f.points);
+        if (pointSets.length === 0 || fitParams.length === 0 || fitting) return;
+        setFitting(true);
+        setFitError(null);
+        getPool().run([
+            { fn: 'fit', args: [pointSets, fitParams, fillRatio, dragCoeff, pressure, rocket, launch, { solver }] },
+        ]).promise
+            .then(results => { if (results) setFit(results[0]); })
+            .catch(err => setFitError(err.message))
+            .finally(() => setFitting(false));
+    };
 
-        if (Math.floor(t * 200) > Math.floor((t - dt) * 200)) {
-            trajectory.push({ t, h: Math.max(0, y[1]), v: y[0] });
-        }
-    }
+    const applyFit = () => {
+        if (fit.params.includes('C_d')) setDragCoeff(+fit.values.C_d.toFixed(2));
+        if (fit.params.includes('nozzle_cd')) updateRocket('nozzle_cd', +fit.values.nozzle_cd.toFixed(3));
+    };
 
-    return { trajectory, maxH, maxHTime, burnoutTime, burnoutAlt, burnoutVel };
-}
+    // Fitted parameters on top of the current settings, for the overlay
+    const fitJobs = usePoolJobs(() => {
+        if (!fit) return [];
+        const values = { C_d: dragCoeff, nozzle_cd: rocket.nozzle_cd };
+        fit.params.forEach(key => { values[key] = fit.values[key]; });
+        return [{
+            fn: 'simulate',
+            args: [fillRatio, values.C_d, pressure, { ...rocket, nozzle_cd: values.nozzle_cd }, launch, { solver }],
+        }];
+    }, [fit, fillRatio, dragCoeff, pressure, rocket, launch, solver], { priority: 1 });
+    const fitResult = fitJobs.results[0] || null;
 
-// Find optimal fill ratio
-function findOptimal(C_d, pressurePSI) {
-    let bestRatio = 0.33;
-    let bestH = 0;
-    const data = [];
+    // Current settings as one object, for panels that vary them
+    const scenario = useMemo(() =>
+        ({ fillRatio, C_d: dragCoeff, pressurePSI: pressure, rocket, launch }),
+        [fillRatio, dragCoeff, pressure, rocket, launch]
+    );
 
-    for (let r = 0.05; r <= 0.95; r += 0.02) {
-        const { maxH } = runSimulation(r, C_d, pressurePSI);
-        data.push({ ratio: r, maxH });
-        if (maxH > bestH) {
-            bestH = maxH;
-            bestRatio = r;
-        }
-    }
+    // Monte Carlo ensemble around the current settings (single mode only)
+    const monteCarloActive = monteCarlo.enabled && !compareMode;
+    const ensembleJobs = usePoolJobs(() => monteCarloActive
+        ? sampleScenarios(scenario, monteCarlo.dispersions, monteCarlo.samples, monteCarlo.seed).map(s => ({
+            fn: 'dispersion',
+            args: [s.fillRatio, s.C_d, s.pressurePSI, s.rocket, s.launch, { solver }],
+        }))
+        : [],
+    [monteCarloActive, scenario, monteCarlo, solver], { eager: false });
 
-    return { bestRatio, bestH, data };
-}
+    const ensemble = useMemo(() => {
+        const members = ensembleJobs.results.filter(Boolean);
+        if (!monteCarloActive || members.length < 2) return null;
+        const apogees = members.map(m => m.maxH);
+        const burnoutVels = members.map(m => m.burnoutVel ?? 0);
+        return {
+            n: members.length,
+            bands: altitudeBands(members),
+            apogee: { ...summarize(apogees), hist: histogram(apogees, 24) },
+            burnoutVel: { ...summarize(burnoutVels), hist: histogram(burnoutVels, 24) },
+            flightTime: summarize(members.map(m => m.flightTime ?? 0)),
+        };
+    }, [ensembleJobs.results, monteCarloActive]);
 
-// Color palette for trajectories
-const COLORS = [
-    '#00ffaa', '#ff6b6b', '#4ecdc4', '#ffe66d',
-    '#a855f7', '#22d3ee', '#fb923c', '#f472b6'
-];
+    // Everything a scenario file or share link records
+    const savedScenario = useMemo(() => serializeScenario({
+        fillRatio,
+        C_d: dragCoeff,
+        pressurePSI: pressure,
+        rocket,
+        launch,
+        solver,
+        mode: compareMode ? 'compare' : 'single',
+        compareRuns,
+        monteCarlo,
+    }), [fillRatio, dragCoeff, pressure, rocket, launch, solver, compareMode, compareRuns, monteCarlo]);
 
-export default function BottleRocketSim() {
-    const [fillRatio, setFillRatio] = useState(0.33);
-    const [dragCoeff, setDragCoeff] = useState(0.4);
-    const [pressure, setPressure] = useState(60);
-    const [showOptimal, setShowOptimal] = useState(true);
-    const [compareMode, setCompareMode] = useState(false);
-    const [compareRatios, setCompareRatios] = useState([0.25, 0.33, 0.5, 0.67]);
+    const applyScenario = (s) => {
+        setFillRatio(s.fillRatio);
+        setDragCoeff(s.C_d);
+        setPressure(s.pressurePSI);
+        setRocket(s.rocket);
+        setLaunch(s.launch);
+        setSolver(s.solver);
+        setCompareMode(s.mode === 'compare');
+        setCompareRuns(s.compareRuns.map(makeRun));
+        setMonteCarlo(s.monteCarlo);
+        setFit(null);
+    };
 
-    // Main simulation
-    const simResult = useMemo(() =>
-        runSimulation(fillRatio, dragCoeff, pressure),
-        [fillRatio, dragCoeff, pressure]
-    );
+    // Keep the share link in the address bar current; debounced because
+    // browsers throttle history updates during slider drags
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            window.history.replaceState(null, '', `#scenario=${encodeScenario(savedScenario)}`);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [savedScenario]);
 
-    // Optimal calculation
-    const optimal = useMemo(() =>
-        findOptimal(dragCoeff, pressure),
-        [dragCoeff, pressure]
-    );
+    // A link pasted into the address bar of an open tab
+    useEffect(() => {
+        const onHashChange = () => {
+            const s = scenarioFromURL();
+            if (s) applyScenario(s);
+        };
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
 
-    // Compare trajectories
-    const compareResults = useMemo(() => {
-        if (!compareMode) return [];
-        return compareRatios.map(r => ({
-            ratio: r,
-            ...runSimulation(r, dragCoeff, pressure)
-        }));
-    }, [compareMode, compareRatios, dragCoeff, pressure]);
+    // Jobs queued or running anywhere in the worker pool
+    const [pendingJobs, setPendingJobs] = useState(0);
+    useEffect(() => getPool().subscribe(setPendingJobs), []);
+    // First failure among the page's own batches; panels show their own
+    const jobError = [simJobs, sweepJobs, compareJobs, fitJobs, ensembleJobs].map(j => j.error).find(Boolean);
 
-    // SVG dimensions
-    const width = 700;
+    // Chart exports: the plotted runs with their inputs, and one annotation line per run
+    const trajectoryRef = useRef(null);
+    const optimizationRef = useRef(null);
+    const exportRuns = compareMode
+        ? compareResults.map(({ run, color, ...result }) => ({
+            name: run.name,
+            inputs: { fillRatio: run.fillRatio, C_d: run.C_d, pressurePSI: run.pressurePSI, rocket: run.rocket, launch },
+            result,
+        }))
+        : simResult ? [{ name: 'single', inputs: scenario, result: simResult }] : [];
+    const describeAirframe = ({ pressurePSI, C_d, rocket }) =>
+        `${P.format(pressurePSI * CONSTANTS.psi, P.digits)} • Cd ${C_d.toFixed(2)} • ${describeTanks(rocket)} • ` +
+        `nozzle ${units.diameter.format(rocket.d_nozzle, imperial ? 2 : 1)} • dry ${units.mass.format(rocket.mass_empty, imperial ? 2 : 0)}`;
+    const describeRun = ({ name, inputs, result }) =>
+        `${compareMode ? `${name}: ` : ''}${(inputs.fillRatio * 100).toFixed(0)}% fill • ${describeAirframe(inputs)} • ` +
+        `apogee ${L.format(result.maxH)}`;
+    const launchNote = `Launch ${launch.angle}° • rail ${L.format(launch.rail_length)} • wind ${V.format(launch.wind_speed)} • ` +
+        `site ${L.format(launch.atmosphere.elevation, 0)}, ${units.temperature.format(launch.atmosphere.temperature, 0)}, ` +
+        `ρ ${site.rho.toFixed(3)} kg/m³${launch.atmosphere.isa ? ' (ISA lapse)' : ''} • ` +
+        INTEGRATORS[solver.integrator];
+
+    // SVG dimensions: charts fill the main column, trajectory height is fixed
+    const mainRef = useRef(null);
+    const width = Math.max(useElementWidth(mainRef, 734) - 34, 400);
     const height = 400;
     const padding = { top: 30, right: 30, bottom: 50, left: 60 };
     const plotW = width - padding.left - padding.right;
     const plotH = height - padding.top - padding.bottom;
 
     // Scales
+    const visibleFlights = measuredFlights.filter(f => f.visible && f.points.length > 0);
+    const flightMaxT = Math.max(...visibleFlights.map(f => f.points[f.points.length - 1].t), 0);
+    const flightMaxH = Math.max(...visibleFlights.map(f => Math.max(...f.points.map(p => p.h))), 0);
     const maxT = compareMode
-        ? Math.max(...compareResults.map(r => r.trajectory[r.trajectory.length - 1]?.t || 5), 5)
-        : Math.max(simResult.trajectory[simResult.trajectory.length - 1]?.t || 5, 5);
+        ? Math.max(...compareResults.map(r => r.trajectory[r.trajectory.length - 1]?.t || 5), flightMaxT, 5)
+        : Math.max(
+            simResult?.trajectory[simResult.trajectory.length - 1]?.t || 5,
+            flightMaxT,
+            ensemble ? ensemble.flightTime.p95 : 0,
+            5
+        );
     const maxH = compareMode
-        ? Math.max(...compareResults.map(r => r.maxH), 10) * 1.1
-        : Math.max(simResult.maxH * 1.1, 10);
+        ? Math.max(...compareResults.map(r => r.maxH), flightMaxH, 10) * 1.1
+        : Math.max((simResult?.maxH ?? 0) * 1.1, flightMaxH * 1.1, ensemble ? ensemble.apogee.p95 * 1.1 : 0, 10);
+
+    // Visible window: the whole flight unless zoomed
+    const view = zoom ?? { t0: 0, t1: maxT, h0: 0, h1: maxH };
+    const scaleX = (t) => padding.left + ((t - view.t0) / (view.t1 - view.t0)) * plotW;
+    const scaleY = (h) => padding.top + plotH - ((h - view.h0) / (view.h1 - view.h0)) * plotH;
+    const chartRef = useRef({});
+    chartRef.current = { view, full: { t0: 0, t1: maxT, h0: 0, h1: maxH }, plotW, plotH, padding };
 
-    const scaleX = (t) => padding.left + (t / maxT) * plotW;
-    const scaleY = (h) => padding.top + plotH - (h / maxH) * plotH;
+    // Wheel zoom about the cursor; a native listener so the page does not scroll
+    useEffect(() => {
+        const svg = trajectoryRef.current;
+        const onWheel = (e) => {
+            e.preventDefault();
+            const { view, full, plotW, plotH, padding } = chartRef.current;
+            const rect = svg.getBoundingClientRect();
+            const fx = Math.min(Math.max((e.clientX - rect.left - padding.left) / plotW, 0), 1);
+            const fy = Math.min(Math.max((padding.top + plotH - (e.clientY - rect.top)) / plotH, 0), 1);
+            const k = Math.exp(e.deltaY * 0.002);
+            const t = view.t0 + fx * (view.t1 - view.t0);
+            const h = view.h0 + fy * (view.h1 - view.h0);
+            const tSpan = Math.max((view.t1 - view.t0) * k, 1e-3);
+            const hSpan = Math.max((view.h1 - view.h0) * k, 1e-2);
+            if (tSpan >= full.t1 - full.t0 && hSpan >= full.h1 - full.h0) {
+                setZoom(null);
+                return;
+            }
+            setZoom({ t0: t - fx * tSpan, t1: t + (1 - fx) * tSpan, h0: h - fy * hSpan, h1: h + (1 - fy) * hSpan });
+        };
+        svg.addEventListener('wheel', onWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', onWheel);
+    }, []);
 
     // Generate path
     const pathD = (trajectory) => {
@@ -177,8 +406,61 @@ export default function BottleRocketSim() {
     };
 
     // Grid lines
-    const xTicks = Array.from({ length: 6 }, (_, i) => (i * maxT) / 5);
-    const yTicks = Array.from({ length: 6 }, (_, i) => (i * maxH) / 5);
+    const tStep = niceStep(view.t1 - view.t0, 6);
+    // Altitude ticks fall on round numbers of the display unit
+    const hStep = niceStep(L.from(view.h1 - view.h0), 5);
+    const xTicks = [];
+    for (let t = Math.ceil(view.t0 / tStep) * tStep; t <= view.t1 + 1e-9; t += tStep) xTicks.push(t);
+    const yTicks = [];
+    for (let h = Math.ceil(L.from(view.h0) / hStep) * hStep; h <= L.from(view.h1) + 1e-9; h += hStep) yTicks.push(L.to(h));
+
+    // Runs drawn on the trajectory chart, for hover readouts and event details
+    const plotted = compareMode
+        ? compareResults.map(r => ({ name: r.run.name, color: r.color, result: r }))
+        : simResult ? [{ name: 'Simulation', color: '#00ffaa', result: simResult }] : [];
+
+    // Chart coordinates under the mouse, in seconds and metres
+    const chartPoint = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return {
+            t: view.t0 + (e.clientX - rect.left - padding.left) / plotW * (view.t1 - view.t0),
+            h: view.h0 + (padding.top + plotH - (e.clientY - rect.top)) / plotH * (view.h1 - view.h0),
+        };
+    };
+
+    const onChartMouseDown = (e) => {
+        dragRef.current = { x: e.clientX, y: e.clientY, view, moved: false };
+    };
+
+    const onChartMouseMove = (e) => {
+        const drag = dragRef.current;
+        if (drag) {
+            const dx = (e.clientX - drag.x) / plotW * (drag.view.t1 - drag.view.t0);
+            const dy = (e.clientY - drag.y) / plotH * (drag.view.h1 - drag.view.h0);
+            if (Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 3) drag.moved = true;
+            if (drag.moved) {
+                setZoom({ t0: drag.view.t0 - dx, t1: drag.view.t1 - dx, h0: drag.view.h0 + dy, h1: drag.view.h1 + dy });
+                setHoverT(null);
+                return;
+            }
+        }
+        const { t } = chartPoint(e);
+        setHoverT(t >= view.t0 && t <= view.t1 ? t : null);
+    };
+
+    const endDrag = () => { dragRef.current = null; };
+
+    // Event details describe the run they were clicked on; drop them once it changes
+    useEffect(() => setSelectedEvent(null), [simResult, compareJobs.results, compareMode]);
+
+    // Full state at an event, read off the trajectory samples
+    const showEvent = (e, run, label, t) => {
+        e.stopPropagation();
+        const state = Object.fromEntries(
+            ['x', 'h', 'v', 'a', 'm', 'V_water', 'P_tank', 'thrust'].map(k => [k, interpolateTrajectory(run.result.trajectory, t, k)])
+        );
+        setSelectedEvent({ run: run.name, color: run.color, label, t, P_amb: run.result.ambient.P, ...state });
+    };
 
     return (
         <div style={{
@@ -193,27 +475,88 @@ export default function BottleRocketSim() {
                 borderBottom: '1px solid #333',
                 paddingBottom: '16px',
                 marginBottom: '24px',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-end',
+                gap: '16px',
             }}>
-                <h1 style={{
-                    fontSize: '28px',
-                    fontWeight: 300,
-                    letterSpacing: '4px',
-                    margin: 0,
-                    background: 'linear-gradient(90deg, #00ffaa, #4ecdc4)',
-                    WebkitBackgroundClip: 'text',
-                    WebkitTextFillColor: 'transparent',
-                }}>
-                    BOTTLE ROCKET TRAJECTORY SIMULATOR
-                </h1>
-                <p style={{
-                    fontSize: '11px',
-                    color: '#666',
-                    marginTop: '8px',
-                    letterSpacing: '2px'
-                }}>
-                    BERNOULLI PROPULSION • ADIABATIC EXPANSION • RK4 INTEGRATION
-                </p>
+                <div>
+                    <h1 style={{
+                        fontSize: '28px',
+                        fontWeight: 300,
+                        letterSpacing: '4px',
+                        margin: 0,
+                        background: 'linear-gradient(90deg, #00ffaa, #4ecdc4)',
+                        WebkitBackgroundClip: 'text',
+                        WebkitTextFillColor: 'transparent',
+                    }}>
+                        BOTTLE ROCKET TRAJECTORY SIMULATOR
+                    </h1>
+                    <p style={{
+                        fontSize: '11px',
+                        color: '#666',
+                        marginTop: '8px',
+                        letterSpacing: '2px'
+                    }}>
+                        BERNOULLI PROPULSION • ADIABATIC EXPANSION • AIR THRUST PHASE • EVENT-LOCATING RK INTEGRATION
+                    </p>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '10px' }}>
+                    {/* Display units */}
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center', fontSize: '9px' }}>
+                        {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+                            <button
+                                key={key}
+                                onClick={() => setUnitSettings(prev => ({ ...prev, system: key }))}
+                                style={{
+                                    padding: '3px 8px',
+                                    background: unitSettings.system === key ? '#4ecdc4' : 'transparent',
+                                    border: '1px solid #4ecdc4',
+                                    color: unitSettings.system === key ? '#0a0a0f' : '#4ecdc4',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontSize: '9px',
+                                    letterSpacing: '1px',
+                                    fontFamily: 'inherit'
+                                }}
+                            >
+                                {system.label}
+                            </button>
+                        ))}
+                        <select
+                            value={unitSettings.pressure}
+                            onChange={(e) => setUnitSettings(prev => ({ ...prev, pressure: e.target.value }))}
+                            title="Pressure unit"
+                            style={{
+                                background: '#0a0a0f',
+                                border: '1px solid #2a2a3a',
+                                borderRadius: '3px',
+                                color: '#e0e0e0',
+                                fontSize: '10px',
+                                fontFamily: 'inherit',
+                                padding: '2px'
+                            }}
+                        >
+                            {PRESSURE_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+                        </select>
+                    </div>
+                    {/* Worker activity */}
+                    <div style={{
+                        fontSize: '10px',
+                        letterSpacing: '2px',
+                        color: pendingJobs > 0 ? '#ffe66d' : '#444',
+                        whiteSpace: 'nowrap',
+                    }}>
+                        <span style={{ animation: pendingJobs > 0 ? 'pulse 1s ease-in-out infinite' : 'none' }}>●</span>
+                        {' '}{pendingJobs > 0 ? `COMPUTING • ${pendingJobs} JOB${pendingJobs === 1 ? '' : 'S'}` : 'IDLE'}
+                    </div>
+                </div>
             </div>
+            {jobError && (
+                <div style={{ fontSize: '10px', color: '#ff6b6b', marginBottom: '12px' }}>
+                    ⚠ A simulation failed: {jobError}
+                </div>
+            )}
 
             <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap' }}>
                 {/* Controls Panel */}
@@ -288,6 +631,32 @@ export default function BottleRocketSim() {
                             onChange={(e) => setDragCoeff(parseFloat(e.target.value))}
                             style={{ width: '100%', accentColor: '#4ecdc4' }}
                         />
+                        <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+                            {Object.entries(DRAG_MODELS).map(([model, label]) => (
+                                <button
+                                    key={model}
+                                    onClick={() => updateRocket('drag_model', model)}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: rocket.drag_model === model ? '#4ecdc4' : 'transparent',
+                                        border: '1px solid #4ecdc4',
+                                        color: rocket.drag_model === model ? '#0a0a0f' : '#4ecdc4',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        {rocket.drag_model === 'estimated' && (
+                            <div style={{ fontSize: '9px', color: '#666', marginTop: '6px', lineHeight: 1.5 }}>
+                                Cᴅ follows airspeed from the airframe below; the slider value is the constant it is compared with.
+                            </div>
+                        )}
                     </div>
 
                     {/* Pressure */}
@@ -299,19 +668,695 @@ export default function BottleRocketSim() {
                             marginBottom: '8px'
                         }}>
                             <span>PRESSURE</span>
-                            <span style={{ color: '#ffe66d' }}>{pressure} PSI</span>
+                            <span style={{ color: '#ffe66d' }}>{pressureDisplay.toFixed(P.digits)} {P.label}</span>
                         </label>
                         <input
                             type="range"
-                            min="20"
-                            max="120"
-                            step="5"
-                            value={pressure}
-                            onChange={(e) => setPressure(parseFloat(e.target.value))}
+                            min={Math.ceil(P.from(20 * CONSTANTS.psi) / P.step) * P.step}
+                            max={Math.floor(P.from(120 * CONSTANTS.psi) / P.step) * P.step}
+                            step={P.step}
+                            value={pressureDisplay}
+                            onChange={(e) => setPressure(P.to(parseFloat(e.target.value)) / CONSTANTS.psi)}
                             style={{ width: '100%', accentColor: '#ffe66d' }}
                         />
                     </div>
 
+                    {/* Launch Conditions */}
+                    <div style={{
+                        marginTop: '24px',
+                        paddingTop: '16px',
+                        borderTop: '1px solid #2a2a3a'
+                    }}>
+                        <div style={{
+                            fontSize: '10px',
+                            letterSpacing: '2px',
+                            color: '#22d3ee',
+                            marginBottom: '12px'
+                        }}>
+                            LAUNCH
+                        </div>
+                        <ParamSlider
+                            label="LAUNCH ANGLE"
+                            display={`${launch.angle}°`}
+                            color="#22d3ee"
+                            min={45}
+                            max={90}
+                            step={1}
+                            value={launch.angle}
+                            onChange={(v) => updateLaunch('angle', v)}
+                        />
+                        <ParamSlider
+                            label="RAIL LENGTH"
+                            display={L.format(launch.rail_length)}
+                            color="#22d3ee"
+                            min={0.2}
+                            max={3}
+                            step={0.1}
+                            value={launch.rail_length}
+                            onChange={(v) => updateLaunch('rail_length', v)}
+                        />
+                        <ParamSlider
+                            label="WIND"
+                            display={V.format(launch.wind_speed)}
+                            color="#22d3ee"
+                            min={-10}
+                            max={10}
+                            step={0.5}
+                            value={launch.wind_speed}
+                            onChange={(v) => updateLaunch('wind_speed', v)}
+                        />
+
+                        <ParamSlider
+                            label="LAUNCH TUBE"
+                            display={launch.tube_length > 0 ? L.format(launch.tube_length, 2) : 'NONE'}
+                            color="#22d3ee"
+                            min={0}
+                            max={0.5}
+                            step={0.01}
+                            value={launch.tube_length}
+                            onChange={(v) => updateLaunch('tube_length', v)}
+                        />
+                        {launch.tube_length > 0 && (
+                            <ConfigField
+                                label="TUBE DIAMETER"
+                                {...sizeField('mm', 0.5, 0.01)}
+                                value={launch.tube_diameter}
+                                max={(rocket.layout === 'staged' ? rocket.booster : rocket).d_nozzle}
+                                onChange={(v) => updateLaunch('tube_diameter', v)}
+                            />
+                        )}
+                        {tubeAirSpace <= 0 && (
+                            <div style={{ fontSize: '9px', color: '#ff6b6b', marginBottom: '8px' }}>
+                                The tube and water fill the whole tank; shorten the tube or lower the fill.
+                            </div>
+                        )}
+
+                        {/* Site conditions set the air density and the ambient pressure the tank vents to */}
+                        <div style={{ fontSize: '9px', letterSpacing: '1px', color: '#666', margin: '16px 0 10px' }}>
+                            LAUNCH SITE
+                        </div>
+                        <ParamSlider
+                            label="ELEVATION"
+                            display={L.format(launch.atmosphere.elevation, 0)}
+                            color="#22d3ee"
+                            min={0}
+                            max={3000}
+                            step={50}
+                            value={launch.atmosphere.elevation}
+                            onChange={(v) => updateAtmosphere('elevation', v)}
+                        />
+                        <ParamSlider
+                            label="TEMPERATURE"
+                            display={units.temperature.format(launch.atmosphere.temperature, 0)}
+                            color="#22d3ee"
+                            min={263.15}
+                            max={318.15}
+                            step={0.5}
+                            value={launch.atmosphere.temperature}
+                            onChange={(v) => updateAtmosphere('temperature', v)}
+                        />
+                        <ParamSlider
+                            label="BAROMETER (SEA LEVEL)"
+                            display={units.barometric.format(launch.atmosphere.pressure, imperial ? 2 : 0)}
+                            color="#22d3ee"
+                            min={95000}
+                            max={105000}
+                            step={100}
+                            value={launch.atmosphere.pressure}
+                            onChange={(v) => updateAtmosphere('pressure', v)}
+                        />
+                        <ParamSlider
+                            label="HUMIDITY"
+                            display={`${(launch.atmosphere.humidity * 100).toFixed(0)}%`}
+                            color="#22d3ee"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={launch.atmosphere.humidity}
+                            onChange={(v) => updateAtmosphere('humidity', v)}
+                        />
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: '#888', marginBottom: '8px' }}>
+                            <input
+                                type="checkbox"
+                                checked={launch.atmosphere.isa}
+                                onChange={(e) => updateAtmosphere('isa', e.target.checked)}
+                                style={{ accentColor: '#22d3ee' }}
+                            />
+                            ISA DENSITY LAPSE WITH ALTITUDE
+                        </label>
+                        <div style={{ fontSize: '9px', color: '#555' }}>
+                            ρ {site.rho.toFixed(3)} kg/m³ • ambient {units.barometric.format(site.P, imperial ? 2 : 0)}
+                            {' '}({(site.rho / ISA_DENSITY * 100).toFixed(1)}% of ISA sea level)
+                        </div>
+                    </div>
+
+                    {/* Rocket Configuration */}
+                    <div style={{
+                        marginTop: '24px',
+                        paddingTop: '16px',
+                        borderTop: '1px solid #2a2a3a'
+                    }}>
+                        <div style={{
+                            fontSize: '10px',
+                            letterSpacing: '2px',
+                            color: '#a855f7',
+                            marginBottom: '12px'
+                        }}>
+                            ROCKET CONFIGURATION
+                        </div>
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                            {Object.entries(ROCKET_PRESETS).map(([name, preset]) => (
+                                <button
+                                    key={name}
+                                    onClick={() => setRocket(prev => ({ ...prev, ...preset }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: presetActive(preset) ? '#a855f7' : 'transparent',
+                                        border: '1px solid #a855f7',
+                                        color: presetActive(preset) ? '#0a0a0f' : '#a855f7',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {name}
+                                </button>
+                            ))}
+                        </div>
+                        <ConfigField
+                            label="TANK VOLUME"
+                            unit="L"
+                            value={rocket.tank_volume}
+                            scale={1000}
+                            step={0.05}
+                            onChange={(v) => updateRocket('tank_volume', v)}
+                        />
+                        <ConfigField
+                            label="BOTTLE DIAMETER"
+                            {...sizeField('cm', 0.1, 0.05)}
+                            value={rocket.d_bottle}
+                            min={rocket.d_nozzle}
+                            onChange={(v) => updateRocket('d_bottle', v)}
+                        />
+                        <ConfigField
+                            label="NOZZLE DIAMETER"
+                            {...sizeField('mm', 0.5, 0.01)}
+                            value={rocket.d_nozzle}
+                            max={rocket.d_bottle * 0.95}
+                            onChange={(v) => updateRocket('d_nozzle', v)}
+                        />
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+                            {Object.keys(NOZZLE_MODELS).map(model => (
+                                <button
+                                    key={model}
+                                    onClick={() => updateRocket('nozzle_model', model)}
+                                    title={NOZZLE_MODELS[model]}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: rocket.nozzle_model === model ? '#a855f7' : 'transparent',
+                                        border: '1px solid #a855f7',
+                                        color: rocket.nozzle_model === model ? '#0a0a0f' : '#a855f7',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {model.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+                        {rocket.nozzle_model !== 'ideal' && (
+                            <ConfigField
+                                label="NOZZLE DISCHARGE Cᴅ"
+                                unit=""
+                                value={rocket.nozzle_cd}
+                                scale={1}
+                                step={0.01}
+                                max={1}
+                                onChange={(v) => updateRocket('nozzle_cd', v)}
+                            />
+                        )}
+                        {rocket.nozzle_model === 'contraction' && (
+                            <ConfigField
+                                label="CONTRACTION Cᴄ"
+                                unit=""
+                                value={rocket.nozzle_cc}
+                                scale={1}
+                                step={0.01}
+                                max={1}
+                                onChange={(v) => updateRocket('nozzle_cc', v)}
+                            />
+                        )}
+                        <ConfigField
+                            label="DRY MASS"
+                            {...massField}
+                            value={rocket.mass_empty}
+                            onChange={(v) => updateRocket('mass_empty', v)}
+                        />
+
+                        {/* Several bottles: side by side with thrust adding, or a booster stage below */}
+                        <div style={{ fontSize: '9px', letterSpacing: '1px', color: '#666', margin: '16px 0 10px' }}>
+                            TANKS
+                        </div>
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                            {['single', 'cluster', 'staged'].map(layout => (
+                                <button
+                                    key={layout}
+                                    onClick={() => updateRocket('layout', layout)}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: rocket.layout === layout ? '#a855f7' : 'transparent',
+                                        border: '1px solid #a855f7',
+                                        color: rocket.layout === layout ? '#0a0a0f' : '#a855f7',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {layout.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+                        {rocket.layout === 'cluster' && (
+                            <ParamSlider
+                                label="BOTTLES IN CLUSTER"
+                                display={`${rocket.cluster_count} × ${(rocket.tank_volume * 1000).toFixed(2)} L`}
+                                color="#a855f7"
+                                min={2}
+                                max={6}
+                                step={1}
+                                value={rocket.cluster_count}
+                                onChange={(v) => updateRocket('cluster_count', v)}
+                            />
+                        )}
+                        {rocket.layout === 'staged' && (
+                            <>
+                                <div style={{ fontSize: '9px', color: '#666', marginBottom: '10px', lineHeight: 1.5 }}>
+                                    The bottle above is the upper stage, fired at separation with the main fill and pressure.
+                                </div>
+                                <ParamSlider
+                                    label="BOOSTER FILL"
+                                    display={`${(booster.fill_ratio * 100).toFixed(0)}%`}
+                                    color="#a855f7"
+                                    min={0.05}
+                                    max={0.95}
+                                    step={0.01}
+                                    value={booster.fill_ratio}
+                                    onChange={(v) => updateBooster('fill_ratio', v)}
+                                />
+                                <ParamSlider
+                                    label="BOOSTER PRESSURE"
+                                    display={P.format(booster.pressure_psi * CONSTANTS.psi, P.digits)}
+                                    color="#a855f7"
+                                    min={Math.ceil(P.from(20 * CONSTANTS.psi) / P.step) * P.step}
+                                    max={Math.floor(P.from(120 * CONSTANTS.psi) / P.step) * P.step}
+                                    step={P.step}
+                                    value={P.from(booster.pressure_psi * CONSTANTS.psi)}
+                                    onChange={(v) => updateBooster('pressure_psi', P.to(v) / CONSTANTS.psi)}
+                                />
+                                <ConfigField
+                                    label="BOOSTER VOLUME"
+                                    unit="L"
+                                    value={booster.tank_volume}
+                                    scale={1000}
+                                    step={0.05}
+                                    onChange={(v) => updateBooster('tank_volume', v)}
+                                />
+                                <ConfigField
+                                    label="BOOSTER DIAMETER"
+                                    {...sizeField('cm', 0.1, 0.05)}
+                                    value={booster.d_bottle}
+                                    min={booster.d_nozzle}
+                                    onChange={(v) => updateBooster('d_bottle', v)}
+                                />
+                                <ConfigField
+                                    label="BOOSTER NOZZLE"
+                                    {...sizeField('mm', 0.5, 0.01)}
+                                    value={booster.d_nozzle}
+                                    max={booster.d_bottle * 0.95}
+                                    onChange={(v) => updateBooster('d_nozzle', v)}
+                                />
+                                <ConfigField
+                                    label="BOOSTER DRY MASS"
+                                    {...massField}
+                                    value={booster.mass_empty}
+                                    onChange={(v) => updateBooster('mass_empty', v)}
+                                />
+                                <div style={{ fontSize: '9px', color: '#666', marginBottom: '6px' }}>SEPARATE AT</div>
+                                <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                                    {[['water', 'WATER OUT'], ['burnout', 'BURNOUT'], ['delay', 'DELAY']].map(([trigger, name]) => (
+                                        <button
+                                            key={trigger}
+                                            onClick={() => updateBooster('separation', trigger)}
+                                            style={{
+                                                flex: 1,
+                                                padding: '4px 0',
+                                                background: booster.separation === trigger ? '#a855f7' : 'transparent',
+                                                border: '1px solid #a855f7',
+                                                color: booster.separation === trigger ? '#0a0a0f' : '#a855f7',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer',
+                                                fontSize: '9px',
+                                                fontFamily: 'inherit'
+                                            }}
+                                        >
+                                            {name}
+                                        </button>
+                                    ))}
+                                </div>
+                                {booster.separation === 'delay' && (
+                                    <ParamSlider
+                                        label="DELAY AFTER BOOSTER BURNOUT"
+                                        display={`${booster.delay.toFixed(2)} s`}
+                                        color="#a855f7"
+                                        min={0}
+                                        max={1}
+                                        step={0.05}
+                                        value={booster.delay}
+                                        onChange={(v) => updateBooster('delay', v)}
+                                    />
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    {/* Nose, fins and ballast around the bottle, for the stability margin */}
+                    <div style={{
+                        marginTop: '24px',
+                        paddingTop: '16px',
+                        borderTop: '1px solid #2a2a3a'
+                    }}>
+                        <div style={{
+                            fontSize: '10px',
+                            letterSpacing: '2px',
+                            color: '#4ecdc4',
+                            marginBottom: '12px'
+                        }}>
+                            AIRFRAME
+                        </div>
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                            {Object.entries(NOSE_SHAPES).map(([shape, { label }]) => (
+                                <button
+                                    key={shape}
+                                    onClick={() => updateBody('nose_shape', shape)}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: body.nose_shape === shape ? '#4ecdc4' : 'transparent',
+                                        border: '1px solid #4ecdc4',
+                                        color: body.nose_shape === shape ? '#0a0a0f' : '#4ecdc4',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <ConfigField
+                            label="NOSE LENGTH"
+                            {...bodyLength}
+                            value={body.nose_length}
+                            onChange={(v) => updateBody('nose_length', v)}
+                        />
+                        <ConfigField
+                            label="NOSE MASS"
+                            {...massField}
+                            value={body.nose_mass}
+                            max={rocket.mass_empty - body.fin_mass}
+                            onChange={(v) => updateBody('nose_mass', v)}
+                        />
+                        <ParamSlider
+                            label="FAIRING TUBE"
+                            display={body.fairing_length > 0 ? formatBodyLength(body.fairing_length) : 'NONE'}
+                            color="#4ecdc4"
+                            min={0}
+                            max={0.5}
+                            step={0.01}
+                            value={body.fairing_length}
+                            onChange={(v) => updateBody('fairing_length', v)}
+                        />
+
+                        <div style={{ fontSize: '9px', letterSpacing: '1px', color: '#666', margin: '16px 0 10px' }}>
+                            FINS
+                        </div>
+                        <ParamSlider
+                            label="FIN COUNT"
+                            display={body.fin_count > 0 ? body.fin_count : 'NONE'}
+                            color="#4ecdc4"
+                            min={0}
+                            max={6}
+                            step={1}
+                            value={body.fin_count}
+                            onChange={(v) => updateBody('fin_count', v)}
+                        />
+                        {body.fin_count > 0 && (
+                            <>
+                                <ConfigField
+                                    label="ROOT CHORD"
+                                    {...bodyLength}
+                                    value={body.fin_root}
+                                    onChange={(v) => updateBody('fin_root', v)}
+                                />
+                                <ConfigField
+                                    label="TIP CHORD"
+                                    {...bodyLength}
+                                    value={body.fin_tip}
+                                    onChange={(v) => updateBody('fin_tip', v)}
+                                />
+                                <ConfigField
+                                    label="SPAN"
+                                    {...bodyLength}
+                                    value={body.fin_span}
+                                    onChange={(v) => updateBody('fin_span', v)}
+                                />
+                                <ParamSlider
+                                    label="SWEEP"
+                                    display={formatBodyLength(body.fin_sweep)}
+                                    color="#4ecdc4"
+                                    min={0}
+                                    max={0.2}
+                                    step={0.005}
+                                    value={body.fin_sweep}
+                                    onChange={(v) => updateBody('fin_sweep', v)}
+                                />
+                                <ParamSlider
+                                    label="ABOVE NOZZLE"
+                                    display={formatBodyLength(body.fin_offset)}
+                                    color="#4ecdc4"
+                                    min={0}
+                                    max={0.2}
+                                    step={0.005}
+                                    value={body.fin_offset}
+                                    onChange={(v) => updateBody('fin_offset', v)}
+                                />
+                                <ConfigField
+                                    label="THICKNESS"
+                                    {...sizeField('mm', 0.5, 0.01)}
+                                    value={body.fin_thickness}
+                                    onChange={(v) => updateBody('fin_thickness', v)}
+                                />
+                                <ConfigField
+                                    label="FIN MASS (ALL)"
+                                    {...massField}
+                                    value={body.fin_mass}
+                                    max={rocket.mass_empty - body.nose_mass}
+                                    onChange={(v) => updateBody('fin_mass', v)}
+                                />
+                            </>
+                        )}
+
+                        <div style={{ fontSize: '9px', letterSpacing: '1px', color: '#666', margin: '16px 0 10px' }}>
+                            BALLAST
+                        </div>
+                        <ParamSlider
+                            label="NOSE BALLAST"
+                            display={body.ballast > 0 ? units.mass.format(body.ballast, imperial ? 2 : 0) : 'NONE'}
+                            color="#4ecdc4"
+                            min={0}
+                            max={0.3}
+                            step={0.005}
+                            value={body.ballast}
+                            onChange={(v) => updateBody('ballast', v)}
+                        />
+                        {body.ballast > 0 && (
+                            <ParamSlider
+                                label="BEHIND NOSE TIP"
+                                display={formatBodyLength(body.ballast_position)}
+                                color="#4ecdc4"
+                                min={0}
+                                max={0.4}
+                                step={0.005}
+                                value={body.ballast_position}
+                                onChange={(v) => updateBody('ballast_position', v)}
+                            />
+                        )}
+                    </div>
+
+                    {/* Recovery System */}
+                    <div style={{
+                        marginTop: '24px',
+                        paddingTop: '16px',
+                        borderTop: '1px solid #2a2a3a'
+                    }}>
+                        <div style={{
+                            fontSize: '10px',
+                            letterSpacing: '2px',
+                            color: '#f472b6',
+                            marginBottom: '12px'
+                        }}>
+                            RECOVERY
+                        </div>
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                            {Object.entries(DEPLOY_MODES).map(([mode, label]) => (
+                                <button
+                                    key={mode}
+                                    onClick={() => updateRecovery('deploy', mode)}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: rocket.recovery.deploy === mode ? '#f472b6' : 'transparent',
+                                        border: '1px solid #f472b6',
+                                        color: rocket.recovery.deploy === mode ? '#0a0a0f' : '#f472b6',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        {rocket.recovery.deploy !== 'none' && (
+                            <>
+                                {rocket.recovery.deploy === 'delay' && (
+                                    <ParamSlider
+                                        label="DELAY AFTER BURNOUT"
+                                        display={`${rocket.recovery.delay.toFixed(1)} s`}
+                                        color="#f472b6"
+                                        min={0}
+                                        max={5}
+                                        step={0.1}
+                                        value={rocket.recovery.delay}
+                                        onChange={(v) => updateRecovery('delay', v)}
+                                    />
+                                )}
+                                {rocket.recovery.deploy === 'altitude' && (
+                                    <ParamSlider
+                                        label="DEPLOY ALTITUDE"
+                                        display={L.format(rocket.recovery.altitude, 0)}
+                                        color="#f472b6"
+                                        min={5}
+                                        max={100}
+                                        step={1}
+                                        value={rocket.recovery.altitude}
+                                        onChange={(v) => updateRecovery('altitude', v)}
+                                    />
+                                )}
+                                <ParamSlider
+                                    label="INFLATION TIME"
+                                    display={`${rocket.recovery.inflation_time.toFixed(2)} s`}
+                                    color="#f472b6"
+                                    min={0}
+                                    max={2}
+                                    step={0.05}
+                                    value={rocket.recovery.inflation_time}
+                                    onChange={(v) => updateRecovery('inflation_time', v)}
+                                />
+                                <ConfigField
+                                    label="CANOPY DIAMETER"
+                                    {...sizeField('cm', 1, 0.5)}
+                                    value={rocket.recovery.diameter}
+                                    onChange={(v) => updateRecovery('diameter', v)}
+                                />
+                                <ConfigField
+                                    label="CANOPY Cᴅ"
+                                    unit=""
+                                    value={rocket.recovery.C_d}
+                                    scale={1}
+                                    step={0.05}
+                                    onChange={(v) => updateRecovery('C_d', v)}
+                                />
+                            </>
+                        )}
+                    </div>
+
+                    {/* Integrator */}
+                    <div style={{
+                        marginTop: '24px',
+                        paddingTop: '16px',
+                        borderTop: '1px solid #2a2a3a'
+                    }}>
+                        <div style={{
+                            fontSize: '10px',
+                            letterSpacing: '2px',
+                            color: '#fb923c',
+                            marginBottom: '12px'
+                        }}>
+                            INTEGRATOR
+                        </div>
+                        <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                            {Object.entries(INTEGRATORS).map(([key, label]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setSolver(prev => ({ ...prev, integrator: key }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '4px 0',
+                                        background: solver.integrator === key ? '#fb923c' : 'transparent',
+                                        border: '1px solid #fb923c',
+                                        color: solver.integrator === key ? '#0a0a0f' : '#fb923c',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        {solver.integrator === 'dopri45' ? (
+                            <ParamSlider
+                                label="TOLERANCE"
+                                display={solver.tolerance.toExponential(0)}
+                                color="#fb923c"
+                                min={-10}
+                                max={-2}
+                                step={1}
+                                value={Math.log10(solver.tolerance)}
+                                onChange={(v) => setSolver(prev => ({ ...prev, tolerance: Math.pow(10, v) }))}
+                            />
+                        ) : (
+                            <ParamSlider
+                                label="TIME STEP"
+                                display={`${(solver.dt * 1000).toFixed(1)} ms`}
+                                color="#fb923c"
+                                min={-4}
+                                max={-2}
+                                step={0.1}
+                                value={Math.log10(solver.dt)}
+                                onChange={(v) => setSolver(prev => ({ ...prev, dt: +Math.pow(10, v).toPrecision(2) }))}
+                            />
+                        )}
+                        {simResult && (
+                            <div style={{ fontSize: '9px', color: '#666', lineHeight: 1.6 }}>
+                                {simResult.solver.steps} steps
+                                {solver.integrator === 'dopri45' && ` (${simResult.solver.rejected} rejected)`}
+                                {' '}• {simResult.solver.evals} evals • {simResult.solver.elapsedMs.toFixed(1)} ms
+                            </div>
+                        )}
+                    </div>
+
                     {/* Mode Toggle */}
                     <div style={{
                         marginTop: '24px',
@@ -359,20 +1404,28 @@ export default function BottleRocketSim() {
                             color: '#00ffaa',
                             fontWeight: 600
                         }}>
-                            {(optimal.bestRatio * 100).toFixed(1)}%
+                            {optimal.bestH > 0 ? `${(optimal.bestRatio * 100).toFixed(1)}%` : '—'}
                         </div>
                         <div style={{
                             fontSize: '10px',
                             color: '#888',
                             marginTop: '4px'
                         }}>
-                            Max altitude: {optimal.bestH.toFixed(1)} m
+                            Max altitude: {optimal.bestH > 0 ? L.format(optimal.bestH) : '—'}
+                            {sweepJobs.pending > 0 && (
+                                <span style={{ color: '#ffe66d' }}>
+                                    {' '}• sweep {FILL_SWEEP.length - sweepJobs.pending}/{FILL_SWEEP.length}
+                                </span>
+                            )}
                         </div>
                     </div>
+
+                    {/* Presets, share link and scenario files */}
+                    <ScenarioPanel scenario={savedScenario} onLoad={applyScenario} />
                 </div>
 
                 {/* Main Visualization */}
-                <div style={{ flex: 1, minWidth: '500px' }}>
+                <div ref={mainRef} style={{ flex: 1, minWidth: '500px' }}>
                     {/* Trajectory Plot */}
                     <div style={{
                         background: 'rgba(10, 10, 15, 0.9)',
@@ -381,12 +1434,59 @@ export default function BottleRocketSim() {
                         padding: '16px',
                         marginBottom: '16px'
                     }}>
-                        <svg width={width} height={height} style={{ display: 'block' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                            <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#666' }}>
+                                ALTITUDE vs TIME
+                                <span style={{ letterSpacing: '1px', color: '#444' }}>  • WHEEL TO ZOOM, DRAG TO PAN</span>
+                            </div>
+                            <div style={{ flex: 1 }} />
+                            {zoom && (
+                                <button
+                                    onClick={() => setZoom(null)}
+                                    style={{
+                                        padding: '3px 8px',
+                                        marginRight: '6px',
+                                        background: 'transparent',
+                                        border: '1px solid #00ffaa',
+                                        color: '#00ffaa',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '9px',
+                                        letterSpacing: '1px',
+                                        fontFamily: 'inherit'
+                                    }}
+                                >
+                                    RESET ZOOM
+                                </button>
+                            )}
+                            <ChartExport
+                                name={compareMode ? 'trajectories' : 'trajectory'}
+                                svgRef={trajectoryRef}
+                                title="Water rocket altitude vs time"
+                                notes={[...exportRuns.map(describeRun), launchNote]}
+                                csv={() => trajectoryCSV(exportRuns, units)}
+                                json={() => trajectoryJSON(exportRuns, units)}
+                            />
+                        </div>
+                        <svg
+                            ref={trajectoryRef}
+                            width={width}
+                            height={height}
+                            style={{ display: 'block', cursor: dragRef.current?.moved ? 'grabbing' : 'crosshair', userSelect: 'none' }}
+                            onMouseDown={onChartMouseDown}
+                            onMouseMove={onChartMouseMove}
+                            onMouseUp={endDrag}
+                            onMouseLeave={() => { endDrag(); setHoverT(null); }}
+                            onDoubleClick={() => setZoom(null)}
+                        >
                             {/* Grid */}
                             <defs>
                                 <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
                                     <path d="M 40 0 L 0 0 0 40" fill="none" stroke="#1a1a2a" strokeWidth="0.5" />
                                 </pattern>
+                                <clipPath id="trajectory-clip">
+                                    <rect x={padding.left} y={padding.top} width={plotW} height={plotH} />
+                                </clipPath>
                             </defs>
                             <rect
                                 x={padding.left}
@@ -408,7 +1508,7 @@ export default function BottleRocketSim() {
                                         x={scaleX(t)} y={height - 20}
                                         fill="#666" fontSize="10" textAnchor="middle"
                                     >
-                                        {t.toFixed(1)}s
+                                        {t.toFixed(Math.max(1, stepDigits(tStep)))}s
                                     </text>
                                 </g>
                             ))}
@@ -423,7 +1523,7 @@ export default function BottleRocketSim() {
                                         x={padding.left - 10} y={scaleY(h) + 4}
                                         fill="#666" fontSize="10" textAnchor="end"
                                     >
-                                        {h.toFixed(0)}m
+                                        {L.from(h).toFixed(stepDigits(hStep))}{L.label}
                                     </text>
                                 </g>
                             ))}
@@ -440,96 +1540,363 @@ export default function BottleRocketSim() {
                                 fill="#888" fontSize="11" textAnchor="middle"
                                 transform={`rotate(-90, 15, ${height / 2})`}
                             >
-                                Altitude (m)
+                                Altitude ({L.label})
                             </text>
 
-                            {/* Trajectories */}
-                            {compareMode ? (
-                                compareResults.map((result, i) => (
-                                    <g key={i}>
+                            <g clipPath="url(#trajectory-clip)">
+                                {/* Trajectories */}
+                                {compareMode ? (
+                                    compareResults.map((result, i) => (
+                                        <g key={result.run.id}>
+                                            <path
+                                                d={pathD(result.trajectory)}
+                                                fill="none"
+                                                stroke={result.color}
+                                                strokeWidth="2"
+                                                opacity={0.9}
+                                            />
+                                            {/* Peak marker - now using tracked maxHTime */}
+                                            <circle
+                                                cx={scaleX(result.maxHTime)}
+                                                cy={scaleY(result.maxH)}
+                                                r="4"
+                                                fill={result.color}
+                                                style={{ cursor: 'pointer' }}
+                                                onClick={(e) => showEvent(e, plotted[i], 'APOGEE', result.maxHTime)}
+                                            />
+                                        </g>
+                                    ))
+                                ) : simResult && (
+                                    <g>
+                                        {/* Monte Carlo 5–95% band and median */}
+                                        {ensemble && (
+                                            <g>
+                                                <path
+                                                    d={[
+                                                        ...ensemble.bands.map((b, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(b.t)} ${scaleY(b.p95)}`),
+                                                        ...ensemble.bands.slice().reverse().map(b => `L ${scaleX(b.t)} ${scaleY(b.p5)}`),
+                                                        'Z',
+                                                    ].join(' ')}
+                                                    fill="#4ecdc4"
+                                                    opacity="0.18"
+                                                />
+                                                <path
+                                                    d={ensemble.bands.map((b, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(b.t)} ${scaleY(b.p50)}`).join(' ')}
+                                                    fill="none"
+                                                    stroke="#4ecdc4"
+                                                    strokeWidth="1.5"
+                                                    strokeDasharray="5,3"
+                                                />
+                                            </g>
+                                        )}
                                         <path
-                                            d={pathD(result.trajectory)}
+                                            d={pathD(simResult.trajectory)}
                                             fill="none"
-                                            stroke={COLORS[i % COLORS.length]}
-                                            strokeWidth="2"
-                                            opacity={0.9}
+                                            stroke="#00ffaa"
+                                            strokeWidth="2.5"
+                                            strokeLinecap="round"
                                         />
                                         {/* Peak marker - now using tracked maxHTime */}
                                         <circle
-                                            cx={scaleX(result.maxHTime)}
-                                            cy={scaleY(result.maxH)}
-                                            r="4"
-                                            fill={COLORS[i % COLORS.length]}
+                                            cx={scaleX(simResult.maxHTime)}
+                                            cy={scaleY(simResult.maxH)}
+                                            r="5"
+                                            fill="#00ffaa"
+                                            style={{ cursor: 'pointer' }}
+                                            onClick={(e) => showEvent(e, plotted[0], 'APOGEE', simResult.maxHTime)}
                                         />
+                                        {/* Booster stage: its water burnout and separation */}
+                                        {simResult.boosterBurnoutTime !== null && (
+                                            <g>
+                                                <circle
+                                                    cx={scaleX(simResult.boosterBurnoutTime)}
+                                                    cy={scaleY(simResult.boosterBurnoutAlt)}
+                                                    r="4"
+                                                    fill="#0a0a0f"
+                                                    stroke="#a855f7"
+                                                    strokeWidth="2"
+                                                    style={{ cursor: 'pointer' }}
+                                                    onClick={(e) => showEvent(e, plotted[0], 'BOOSTER BURNOUT', simResult.boosterBurnoutTime)}
+                                                />
+                                                <text
+                                                    x={scaleX(simResult.boosterBurnoutTime) - 8}
+                                                    y={scaleY(simResult.boosterBurnoutAlt) - 8}
+                                                    fill="#a855f7"
+                                                    fontSize="9"
+                                                    textAnchor="end"
+                                                >
+                                                    BOOSTER BURNOUT
+                                                </text>
+                                            </g>
+                                        )}
+                                        {simResult.separationTime !== null && (
+                                            <g>
+                                                <rect
+                                                    x={scaleX(simResult.separationTime) - 4}
+                                                    y={scaleY(simResult.separationAlt) - 4}
+                                                    width="8"
+                                                    height="8"
+                                                    fill="#0a0a0f"
+                                                    stroke="#a855f7"
+                                                    strokeWidth="2"
+                                                    style={{ cursor: 'pointer' }}
+                                                    onClick={(e) => showEvent(e, plotted[0], 'SEPARATION', simResult.separationTime)}
+                                                />
+                                                <text
+                                                    x={scaleX(simResult.separationTime) - 8}
+                                                    y={scaleY(simResult.separationAlt) + 14}
+                                                    fill="#a855f7"
+                                                    fontSize="9"
+                                                    textAnchor="end"
+                                                >
+                                                    SEPARATION
+                                                </text>
+                                            </g>
+                                        )}
+                                        {/* Water burnout marker */}
+                                        {simResult.burnoutTime && (
+                                            <g>
+                                                <circle
+                                                    cx={scaleX(simResult.burnoutTime)}
+                                                    cy={scaleY(simResult.burnoutAlt)}
+                                                    r="4"
+                                                    fill="#0a0a0f"
+                                                    stroke="#ff6b6b"
+                                                    strokeWidth="2"
+                                                    style={{ cursor: 'pointer' }}
+                                                    onClick={(e) => showEvent(e, plotted[0], 'WATER BURNOUT', simResult.burnoutTime)}
+                                                />
+                                                <text
+                                                    x={scaleX(simResult.burnoutTime) + 8}
+                                                    y={scaleY(simResult.burnoutAlt) - 8}
+                                                    fill="#ff6b6b"
+                                                    fontSize="9"
+                                                >
+                                                    {simResult.separationTime !== null ? 'UPPER ' : ''}WATER BURNOUT
+                                                </text>
+                                            </g>
+                                        )}
+                                        {/* Air burnout marker (label below to clear the water marker) */}
+                                        {simResult.airBurnoutTime && (
+                                            <g>
+                                                <circle
+                                                    cx={scaleX(simResult.airBurnoutTime)}
+                                                    cy={scaleY(simResult.airBurnoutAlt)}
+                                                    r="4"
+                                                    fill="#0a0a0f"
+                                                    stroke="#ffe66d"
+                                                    strokeWidth="2"
+                                                    style={{ cursor: 'pointer' }}
+                                                    onClick={(e) => showEvent(e, plotted[0], 'AIR BURNOUT', simResult.airBurnoutTime)}
+                                                />
+                                                <text
+                                                    x={scaleX(simResult.airBurnoutTime) + 8}
+                                                    y={scaleY(simResult.airBurnoutAlt) + 14}
+                                                    fill="#ffe66d"
+                                                    fontSize="9"
+                                                >
+                                                    {simResult.separationTime !== null ? 'UPPER ' : ''}AIR BURNOUT
+                                                </text>
+                                            </g>
+                                        )}
+                                        {/* Parachute deployment marker */}
+                                        {simResult.deployTime !== null && (
+                                            <g>
+                                                <path
+                                                    d={`M ${scaleX(simResult.deployTime)} ${scaleY(simResult.deployAlt) - 5}
+                                                        L ${scaleX(simResult.deployTime) + 5} ${scaleY(simResult.deployAlt)}
+                                                        L ${scaleX(simResult.deployTime)} ${scaleY(simResult.deployAlt) + 5}
+                                                        L ${scaleX(simResult.deployTime) - 5} ${scaleY(simResult.deployAlt)} Z`}
+                                                    fill="none"
+                                                    stroke="#f472b6"
+                                                    strokeWidth="2"
+                                                />
+                                                <text
+                                                    x={scaleX(simResult.deployTime) + 8}
+                                                    y={scaleY(simResult.deployAlt) - 8}
+                                                    fill="#f472b6"
+                                                    fontSize="9"
+                                                >
+                                                    CHUTE DEPLOY
+                                                </text>
+                                            </g>
+                                        )}
                                     </g>
-                                ))
-                            ) : (
-                                <g>
-                                    <path
-                                        d={pathD(simResult.trajectory)}
-                                        fill="none"
-                                        stroke="#00ffaa"
-                                        strokeWidth="2.5"
-                                        strokeLinecap="round"
-                                    />
-                                    {/* Peak marker - now using tracked maxHTime */}
-                                    <circle
-                                        cx={scaleX(simResult.maxHTime)}
-                                        cy={scaleY(simResult.maxH)}
-                                        r="5"
-                                        fill="#00ffaa"
-                                    />
-                                    {/* Burnout marker */}
-                                    {simResult.burnoutTime && (
-                                        <g>
-                                            <circle
-                                                cx={scaleX(simResult.burnoutTime)}
-                                                cy={scaleY(simResult.burnoutAlt)}
-                                                r="4"
-                                                fill="none"
-                                                stroke="#ff6b6b"
-                                                strokeWidth="2"
-                                            />
-                                            <text
-                                                x={scaleX(simResult.burnoutTime) + 8}
-                                                y={scaleY(simResult.burnoutAlt) - 8}
-                                                fill="#ff6b6b"
-                                                fontSize="9"
-                                            >
-                                                BURNOUT
-                                            </text>
-                                        </g>
-                                    )}
-                                </g>
-                            )}
+                                )}
 
-                            {/* Optimal line indicator */}
-                            {showOptimal && !compareMode && (
-                                <g>
-                                    <line
-                                        x1={padding.left}
-                                        y1={scaleY(optimal.bestH)}
-                                        x2={padding.left + plotW}
-                                        y2={scaleY(optimal.bestH)}
-                                        stroke="#00ffaa"
-                                        strokeWidth="1"
-                                        strokeDasharray="4,4"
-                                        opacity="0.5"
-                                    />
+                                {!compareMode && !simResult && simJobs.pending === 0 && (
                                     <text
-                                        x={padding.left + plotW - 5}
-                                        y={scaleY(optimal.bestH) - 5}
-                                        fill="#00ffaa"
-                                        fontSize="9"
-                                        textAnchor="end"
-                                        opacity="0.7"
+                                        x={padding.left + plotW / 2}
+                                        y={padding.top + plotH / 2}
+                                        fill="#ff6b6b"
+                                        fontSize="11"
+                                        textAnchor="middle"
                                     >
-                                        OPTIMAL: {optimal.bestH.toFixed(1)}m
+                                        {simJobs.error
+                                            ? `Simulation failed: ${simJobs.error}`
+                                            : 'Cannot fly: the water and launch tube leave no air in the tank'}
                                     </text>
-                                </g>
-                            )}
+                                )}
+
+                                {/* Measured flights */}
+                                {visibleFlights.map(f => (
+                                    <path
+                                        key={f.id}
+                                        d={pathD(f.points)}
+                                        fill="none"
+                                        stroke={f.color}
+                                        strokeWidth="1.5"
+                                        strokeDasharray="5,3"
+                                        opacity={0.85}
+                                    />
+                                ))}
+
+                                {/* Fitted model */}
+                                {fitResult && visibleFlights.length > 0 && (
+                                    <g>
+                                        <path
+                                            d={pathD(fitResult.trajectory)}
+                                            fill="none"
+                                            stroke="#e879f9"
+                                            strokeWidth="1.5"
+                                        />
+                                        <text
+                                            x={scaleX(fitResult.maxHTime)}
+                                            y={scaleY(fitResult.maxH) - 10}
+                                            fill="#e879f9"
+                                            fontSize="9"
+                                            textAnchor="middle"
+                                        >
+                                            FIT
+                                        </text>
+                                    </g>
+                                )}
+
+                                {/* Optimal line indicator */}
+                                {showOptimal && !compareMode && optimal.bestH > 0 && (
+                                    <g>
+                                        <line
+                                            x1={padding.left}
+                                            y1={scaleY(optimal.bestH)}
+                                            x2={padding.left + plotW}
+                                            y2={scaleY(optimal.bestH)}
+                                            stroke="#00ffaa"
+                                            strokeWidth="1"
+                                            strokeDasharray="4,4"
+                                            opacity="0.5"
+                                        />
+                                        <text
+                                            x={padding.left + plotW - 5}
+                                            y={scaleY(optimal.bestH) - 5}
+                                            fill="#00ffaa"
+                                            fontSize="9"
+                                            textAnchor="end"
+                                            opacity="0.7"
+                                        >
+                                            OPTIMAL: {L.format(optimal.bestH)}
+                                        </text>
+                                    </g>
+                                )}
+
+                                {/* Playback cursor */}
+                                {playbackT !== null && !compareMode && simResult && (
+                                    <g pointerEvents="none">
+                                        <line
+                                            x1={scaleX(playbackT)} y1={padding.top}
+                                            x2={scaleX(playbackT)} y2={padding.top + plotH}
+                                            stroke="#ffe66d" strokeWidth="1" strokeDasharray="3,3"
+                                        />
+                                        <circle
+                                            cx={scaleX(playbackT)}
+                                            cy={scaleY(interpolateTrajectory(simResult.trajectory, playbackT, 'h'))}
+                                            r="5" fill="none" stroke="#ffe66d" strokeWidth="2"
+                                        />
+                                    </g>
+                                )}
+                            </g>
+
+                            {/* Hover crosshair and readout */}
+                            {hoverT !== null && (() => {
+                                const rows = plotted
+                                    .filter(r => hoverT <= r.result.trajectory[r.result.trajectory.length - 1].t)
+                                    .map(r => ({
+                                        ...r,
+                                        h: interpolateTrajectory(r.result.trajectory, hoverT, 'h'),
+                                        v: interpolateTrajectory(r.result.trajectory, hoverT, 'v'),
+                                    }));
+                                const boxW = compareMode ? 250 : 170;
+                                const boxH = 20 + rows.length * 13;
+                                const left = scaleX(hoverT) + boxW + 12 > padding.left + plotW;
+                                const boxX = left ? scaleX(hoverT) - boxW - 8 : scaleX(hoverT) + 8;
+                                return (
+                                    <g pointerEvents="none">
+                                        <line
+                                            x1={scaleX(hoverT)} y1={padding.top}
+                                            x2={scaleX(hoverT)} y2={padding.top + plotH}
+                                            stroke="#fff" strokeWidth="1" opacity={0.35}
+                                        />
+                                        {rows.map((r, i) => r.h >= view.h0 && r.h <= view.h1 && (
+                                            <circle key={i} cx={scaleX(hoverT)} cy={scaleY(r.h)} r="3" fill={r.color} />
+                                        ))}
+                                        <rect
+                                            x={boxX} y={padding.top + 4}
+                                            width={boxW} height={boxH}
+                                            fill="rgba(10, 10, 15, 0.92)" stroke="#2a2a3a" rx="4"
+                                        />
+                                        <text x={boxX + 8} y={padding.top + 18} fill="#888" fontSize="9">
+                                            t = {hoverT.toFixed(3)} s
+                                        </text>
+                                        {rows.map((r, i) => (
+                                            <text key={i} x={boxX + 8} y={padding.top + 31 + i * 13} fill={r.color} fontSize="9">
+                                                {compareMode ? `${r.name}: ` : ''}h {L.format(r.h, 2)} • v {V.format(r.v, 2)}
+                                            </text>
+                                        ))}
+                                    </g>
+                                );
+                            })()}
                         </svg>
 
+                        {/* State at a clicked event marker */}
+                        {selectedEvent && (
+                            <div style={{
+                                marginTop: '12px',
+                                padding: '10px 12px',
+                                border: `1px solid ${selectedEvent.color}`,
+                                borderRadius: '6px',
+                                fontSize: '10px'
+                            }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                                    <span style={{ color: selectedEvent.color, letterSpacing: '2px' }}>
+                                        {selectedEvent.label}{compareMode ? ` • ${selectedEvent.run}` : ''}
+                                    </span>
+                                    <button
+                                        onClick={() => setSelectedEvent(null)}
+                                        style={{ background: 'transparent', border: 'none', color: '#666', cursor: 'pointer', fontSize: '11px' }}
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px' }}>
+                                    {[
+                                        ['TIME', `${selectedEvent.t.toFixed(4)} s`],
+                                        ['ALTITUDE', L.format(selectedEvent.h, 2)],
+                                        ['DOWNRANGE', L.format(selectedEvent.x, 2)],
+                                        ['VELOCITY', V.format(selectedEvent.v, 2)],
+                                        ['ACCEL', `${(selectedEvent.a / CONSTANTS.g).toFixed(2)} g`],
+                                        ['MASS', units.mass.format(selectedEvent.m, imperial ? 2 : 1)],
+                                        ['WATER', units.volume.format(selectedEvent.V_water, imperial ? 1 : 0)],
+                                        ['TANK', P.format(selectedEvent.P_tank - selectedEvent.P_amb, P.digits + 1)],
+                                        ['THRUST', units.force.format(selectedEvent.thrust, imperial ? 2 : 1)],
+                                    ].map(([label, value]) => (
+                                        <div key={label}>
+                                            <div style={{ color: '#666', fontSize: '9px', letterSpacing: '1px' }}>{label}</div>
+                                            <div style={{ color: '#e0e0e0' }}>{value}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Legend for compare mode */}
                         {compareMode && (
                             <div style={{
@@ -538,8 +1905,8 @@ export default function BottleRocketSim() {
                                 marginTop: '12px',
                                 flexWrap: 'wrap'
                             }}>
-                                {compareResults.map((result, i) => (
-                                    <div key={i} style={{
+                                {compareResults.map(result => (
+                                    <div key={result.run.id} style={{
                                         display: 'flex',
                                         alignItems: 'center',
                                         gap: '6px',
@@ -548,13 +1915,13 @@ export default function BottleRocketSim() {
                                         <div style={{
                                             width: '12px',
                                             height: '3px',
-                                            background: COLORS[i % COLORS.length]
+                                            background: result.color
                                         }} />
-                                        <span style={{ color: COLORS[i % COLORS.length] }}>
-                                            {(result.ratio * 100).toFixed(0)}%
+                                        <span style={{ color: result.color }}>
+                                            {result.run.name}
                                         </span>
                                         <span style={{ color: '#666' }}>
-                                            ({result.maxH.toFixed(1)}m)
+                                            ({L.format(result.maxH)})
                                         </span>
                                     </div>
                                 ))}
@@ -562,41 +1929,91 @@ export default function BottleRocketSim() {
                         )}
                     </div>
 
-                    {/* Stats Panel */}
-                    <div style={{
-                        display: 'grid',
-                        gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
-                        gap: '12px',
-                    }}>
-                        <StatBox
-                            label="MAX ALTITUDE"
-                            value={`${simResult.maxH.toFixed(1)} m`}
-                            color="#00ffaa"
-                        />
-                        <StatBox
-                            label="BURNOUT TIME"
-                            value={simResult.burnoutTime ? `${(simResult.burnoutTime * 1000).toFixed(0)} ms` : '—'}
-                            color="#ff6b6b"
-                        />
-                        <StatBox
-                            label="BURNOUT VELOCITY"
-                            value={simResult.burnoutVel ? `${simResult.burnoutVel.toFixed(1)} m/s` : '—'}
-                            color="#4ecdc4"
+                    {/* Body drag coefficient over the flight, estimated vs constant */}
+                    {!compareMode && simResult && (
+                        <DragPanel scenario={scenario} solver={solver} result={simResult} width={width} units={units} />
+                    )}
+
+                    {/* Animated launch, driving the chart cursor */}
+                    {simResult && (
+                        <PlaybackPanel
+                            units={units}
+                            result={simResult}
+                            rocket={rocket}
+                            launch={launch}
+                            t={playbackT}
+                            setT={setPlaybackT}
+                            width={width}
+                            disabled={compareMode}
                         />
-                        <StatBox
-                            label="WATER MASS"
-                            value={`${(fillRatio * CONSTANTS.tank_volume * CONSTANTS.rho_water * 1000).toFixed(0)} g`}
-                            color="#ffe66d"
+                    )}
+
+                    {/* Compare-mode run table */}
+                    {compareMode && (
+                        <CompareRunsPanel
+                            units={units}
+                            runs={compareRuns}
+                            setRuns={setCompareRuns}
+                            results={compareRuns.map(compareResultOf)}
+                            errors={compareRuns.map(compareErrorOf)}
+                            computing={compareJobs.pending > 0}
+                            rocket={rocket}
+                            onAdd={() => setCompareRuns(prev => [...prev, makeRun({
+                                name: `Run ${prev.length + 1}`,
+                                fillRatio,
+                                C_d: dragCoeff,
+                                pressurePSI: pressure,
+                                rocket,
+                            })])}
                         />
-                    </div>
+                    )}
 
-                    {/* Optimization Curve */}
+                    {/* Imported flight data */}
+                    <FlightDataPanel
+                        units={units}
+                        flights={measuredFlights}
+                        setFlights={setFlights}
+                        simResult={simResult}
+                    />
+                    {flights.length > 0 && (
+                        <FitPanel
+                            units={units}
+                            fit={fit}
+                            fitParams={fitParams}
+                            setFitParams={setFitParams}
+                            fitting={fitting}
+                            error={fitError}
+                            onFit={runFit}
+                            onApply={applyFit}
+                        />
+                    )}
+
+                    {/* Monte Carlo dispersion */}
+                    <MonteCarloPanel
+                        units={units}
+                        settings={monteCarlo}
+                        setSettings={setMonteCarlo}
+                        ensemble={ensemble}
+                        pending={ensembleJobs.pending}
+                        disabled={compareMode}
+                    />
+
+                    {/* Telemetry vs time */}
+                    <TelemetryPanel
+                        units={units}
+                        width={width}
+                        series={compareMode
+                            ? compareResults
+                            : simResult ? [{ ...simResult, color: '#00ffaa' }] : []}
+                    />
+
+                    {/* Flight Path (x-y) */}
                     <div style={{
                         background: 'rgba(10, 10, 15, 0.9)',
                         border: '1px solid #2a2a3a',
                         borderRadius: '8px',
                         padding: '16px',
-                        marginTop: '16px'
+                        marginBottom: '16px'
                     }}>
                         <div style={{
                             fontSize: '10px',
@@ -604,34 +2021,184 @@ export default function BottleRocketSim() {
                             color: '#666',
                             marginBottom: '12px'
                         }}>
-                            ALTITUDE vs FILL RATIO
+                            FLIGHT PATH (ALTITUDE vs DOWNRANGE)
                         </div>
-                        <svg width={width} height={180}>
-                            {/* Optimization curve */}
-                            <path
-                                d={optimal.data.map((p, i) =>
-                                    `${i === 0 ? 'M' : 'L'} ${padding.left + (p.ratio - 0.05) / 0.9 * plotW} ${160 - (p.maxH / optimal.bestH) * 130}`
-                                ).join(' ')}
-                                fill="none"
-                                stroke="#4ecdc4"
-                                strokeWidth="2"
+                        <FlightPathPlot
+                            units={units}
+                            width={width}
+                            height={260}
+                            series={compareMode
+                                ? compareResults
+                                : simResult ? [{ ...simResult, color: '#00ffaa' }] : []}
+                        />
+                    </div>
+
+                    {/* Stats Panel */}
+                    {simResult && (
+                        <div style={{
+                            display: 'grid',
+                            gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+                            gap: '12px',
+                        }}>
+                            <StatBox
+                                label="MAX ALTITUDE"
+                                value={L.format(simResult.maxH)}
+                                color="#00ffaa"
                             />
-                            {/* Optimal marker */}
-                            <circle
-                                cx={padding.left + (optimal.bestRatio - 0.05) / 0.9 * plotW}
-                                cy={160 - 130}
-                                r="6"
-                                fill="#00ffaa"
+                            <StatBox
+                                label="WATER BURNOUT TIME"
+                                value={simResult.burnoutTime ? `${(simResult.burnoutTime * 1000).toFixed(0)} ms` : '—'}
+                                color="#ff6b6b"
                             />
-                            {/* Current position */}
-                            <circle
-                                cx={padding.left + (fillRatio - 0.05) / 0.9 * plotW}
-                                cy={160 - (simResult.maxH / optimal.bestH) * 130}
-                                r="5"
-                                fill="none"
-                                stroke="#fff"
-                                strokeWidth="2"
+                            <StatBox
+                                label="WATER BURNOUT VELOCITY"
+                                value={simResult.burnoutVel ? V.format(simResult.burnoutVel) : '—'}
+                                color="#4ecdc4"
+                            />
+                            <StatBox
+                                label="AIR BURNOUT TIME"
+                                value={simResult.airBurnoutTime ? `${(simResult.airBurnoutTime * 1000).toFixed(0)} ms` : '—'}
+                                color="#ffe66d"
+                            />
+                            <StatBox
+                                label="AIR BURNOUT VELOCITY"
+                                value={simResult.airBurnoutVel ? V.format(simResult.airBurnoutVel) : '—'}
+                                color="#4ecdc4"
+                            />
+                            <StatBox
+                                label="IMPULSE WATER / AIR"
+                                value={`${units.impulse.from(simResult.waterImpulse).toFixed(2)} / ${units.impulse.format(simResult.airImpulse, 2)}`}
+                                color="#22d3ee"
+                            />
+                            <StatBox
+                                label="TOTAL IMPULSE"
+                                value={units.impulse.format(simResult.totalImpulse, 2)}
+                                color="#f472b6"
+                            />
+                            <StatBox
+                                label="RAIL EXIT VELOCITY"
+                                value={simResult.railExitVel !== null ? V.format(simResult.railExitVel) : '—'}
+                                color="#22d3ee"
+                            />
+                            {simResult.tubeExitVel !== null && (
+                                <StatBox
+                                    label="TUBE EXIT / IMPULSE"
+                                    value={`${V.format(simResult.tubeExitVel)} / ${units.impulse.format(simResult.tubeImpulse, 2)}`}
+                                    color="#22d3ee"
+                                />
+                            )}
+                            {simResult.separationTime !== null && (
+                                <>
+                                    <StatBox
+                                        label="SEPARATION"
+                                        value={`${V.format(simResult.separationVel)} @ ${(simResult.separationTime * 1000).toFixed(0)} ms`}
+                                        color="#a855f7"
+                                    />
+                                    <StatBox
+                                        label="BOOSTER IMPULSE"
+                                        value={units.impulse.format(simResult.boosterImpulse, 2)}
+                                        color="#a855f7"
+                                    />
+                                </>
+                            )}
+                            <StatBox
+                                label="RANGE"
+                                value={simResult.range !== null ? L.format(simResult.range) : '—'}
+                                color="#a855f7"
+                            />
+                            <StatBox
+                                label="IMPACT POINT"
+                                value={simResult.impactX !== null
+                                    ? `x ${L.format(simResult.impactX)} @ ${simResult.impactTime.toFixed(2)} s`
+                                    : '—'}
+                                color="#fb923c"
+                            />
+                            <StatBox
+                                label="FLIGHT TIME"
+                                value={simResult.flightTime !== null ? `${simResult.flightTime.toFixed(2)} s` : '—'}
+                                color="#e0e0e0"
+                            />
+                            <StatBox
+                                label="DESCENT RATE"
+                                value={simResult.descentRate !== null ? V.format(simResult.descentRate) : '—'}
+                                color="#f472b6"
+                            />
+                            <StatBox
+                                label="LANDING VELOCITY"
+                                value={simResult.landingVel !== null ? V.format(simResult.landingVel) : '—'}
+                                color="#ff6b6b"
+                            />
+                            <StatBox
+                                label="WATER MASS"
+                                value={units.mass.format(simResult.trajectory[0].V_water * CONSTANTS.rho_water, imperial ? 1 : 0)}
+                                color="#ffe66d"
+                            />
+                        </div>
+                    )}
+
+                    {/* Burnout and apogee under each nozzle model, with and without the tube */}
+                    <NozzleModelsPanel scenario={scenario} solver={solver} units={units} />
+
+                    {/* Side view and stability margin over the burn */}
+                    {simResult && <StabilityPanel rocket={rocket} result={simResult} width={width} units={units} />}
+
+                    {/* Optimization Curve */}
+                    <div style={{
+                        background: 'rgba(10, 10, 15, 0.9)',
+                        border: '1px solid #2a2a3a',
+                        borderRadius: '8px',
+                        padding: '16px',
+                        marginTop: '16px'
+                    }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                            <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#666' }}>
+                                ALTITUDE vs FILL RATIO
+                            </div>
+                            <ChartExport
+                                name="fill-optimization"
+                                svgRef={optimizationRef}
+                                title="Apogee vs fill ratio"
+                                notes={[
+                                    describeAirframe(scenario),
+                                    `Optimum ${(optimal.bestRatio * 100).toFixed(0)}% fill → ${L.format(optimal.bestH)} • ` +
+                                    `current ${(fillRatio * 100).toFixed(0)}% → ${simResult ? L.format(simResult.maxH) : '—'}`,
+                                    launchNote,
+                                ]}
                             />
+                        </div>
+                        <svg ref={optimizationRef} width={width} height={180}>
+                            {/* Blank until the first sweep points arrive from the workers */}
+                            {optimal.bestH > 0 && (
+                                <>
+                                    {/* Optimization curve */}
+                                    <path
+                                        d={optimal.data.map((p, i) =>
+                                            `${i === 0 ? 'M' : 'L'} ${padding.left + (p.ratio - 0.05) / 0.9 * plotW} ${160 - (p.maxH / optimal.bestH) * 130}`
+                                        ).join(' ')}
+                                        fill="none"
+                                        stroke="#4ecdc4"
+                                        strokeWidth="2"
+                                    />
+                                    {/* Optimal marker */}
+                                    <circle
+                                        cx={padding.left + (optimal.bestRatio - 0.05) / 0.9 * plotW}
+                                        cy={160 - 130}
+                                        r="6"
+                                        fill="#00ffaa"
+                                    />
+                                    {/* Current position */}
+                                    {simResult && (
+                                        <circle
+                                            cx={padding.left + (fillRatio - 0.05) / 0.9 * plotW}
+                                            cy={160 - (simResult.maxH / optimal.bestH) * 130}
+                                            r="5"
+                                            fill="none"
+                                            stroke="#fff"
+                                            strokeWidth="2"
+                                        />
+                                    )}
+                                </>
+                            )}
                             {/* X axis labels */}
                             {[0.1, 0.3, 0.5, 0.7, 0.9].map(r => (
                                 <text
@@ -647,6 +2214,36 @@ export default function BottleRocketSim() {
                             ))}
                         </svg>
                     </div>
+
+                    {/* Goal-seeking design search */}
+                    <DesignPanel
+                        units={units}
+                        scenario={scenario}
+                        solver={solver}
+                        onApply={(values) => {
+                            setFillRatio(+values.fillRatio.toFixed(3));
+                            setPressure(+values.pressurePSI.toFixed(1));
+                            setRocket(prev => ({ ...prev, mass_empty: values.mass_empty, d_nozzle: values.d_nozzle }));
+                        }}
+                    />
+
+                    {/* Which inputs move the flight most */}
+                    <SensitivityPanel units={units} scenario={scenario} solver={solver} width={width} />
+
+                    {/* Two-parameter apogee map */}
+                    <HeatmapPanel
+                        units={units}
+                        scenario={scenario}
+                        solver={solver}
+                        width={width}
+                        onPick={(s) => {
+                            setFillRatio(s.fillRatio);
+                            setDragCoeff(s.C_d);
+                            setPressure(s.pressurePSI);
+                            setRocket(s.rocket);
+                            setLaunch(s.launch);
+                        }}
+                    />
                 </div>
             </div>
 
@@ -663,10 +2260,389 @@ export default function BottleRocketSim() {
             }}>
                 <span style={{ color: '#00ffaa' }}>MODEL:</span> Bernoulli exhaust velocity with diameter correction •
                 Adiabatic air expansion (γ = 1.4) •
-                Quadratic drag •
-                RK4 integration (dt = 2ms) •
-                <span style={{ color: '#ffe66d' }}>0.8L PET bottle</span>
+                Choked/subsonic air pulse after water burnout •
+                Quadratic drag on air-relative velocity{rocket.drag_model === 'estimated' ? ', Cd from airframe geometry, Reynolds and Mach number' : ''} •
+                2D flight with launch rail & weathercocking •
+                Parachute recovery with linear canopy inflation •
+                {solver.integrator === 'dopri45'
+                    ? `Adaptive Dormand–Prince RK45 (tol = ${solver.tolerance.toExponential(0)})`
+                    : `RK4 integration (dt = ${+(solver.dt * 1000).toFixed(2)}ms)`} with exact event location •
+                <span style={{ color: '#ffe66d' }}>{describeTanks(rocket)} PET {rocket.layout === 'single' ? 'bottle' : 'bottles'}</span>
+            </div>
+        </div>
+    );
+}
+
+// The current setup flown under every nozzle model, and with and without the
+// launch tube when one is set
+function NozzleModelsPanel({ scenario, solver, units }) {
+    const { rocket, launch } = scenario;
+    const tube = launch.tube_length > 0;
+    const variants = Object.keys(NOZZLE_MODELS).flatMap(model => [false, ...(tube ? [true] : [])].map(withTube => ({
+        model,
+        withTube,
+        rocket: { ...rocket, nozzle_model: model },
+        launch: withTube ? launch : { ...launch, tube_length: 0 },
+    })));
+
+    const jobs = usePoolJobs(() => variants.map(v => {
+        const { fillRatio, C_d, pressurePSI } = scenario;
+        return { fn: 'boost', args: [fillRatio, C_d, pressurePSI, v.rocket, v.launch, { solver }], key: `${v.model}-${v.withTube}` };
+    }), [scenario, solver], { priority: -1, eager: false });
+
+    const current = variants.findIndex(v => v.model === rocket.nozzle_model && v.withTube === tube);
+    const baseline = jobs.results[current];
+    const cell = { padding: '4px 6px', textAlign: 'right', whiteSpace: 'nowrap' };
+    const head = { ...cell, color: '#666', fontWeight: 400, letterSpacing: '1px', borderBottom: '1px solid #2a2a3a' };
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>NOZZLE MODELS</div>
+                <div style={{ color: '#555' }}>
+                    Cd_n {rocket.nozzle_cd.toFixed(2)} • C_c {rocket.nozzle_cc.toFixed(2)}
+                    {tube && ` • tube ${units.length.format(launch.tube_length, 2)} × ${units.diameter.format(launch.tube_diameter)}`}
+                </div>
+            </div>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr>
+                        <th style={{ ...head, textAlign: 'left' }}>MODEL</th>
+                        {tube && <th style={{ ...head, textAlign: 'left' }}>TUBE</th>}
+                        <th style={head}>BURNOUT</th>
+                        <th style={head}>BURNOUT VEL</th>
+                        {tube && <th style={head}>TUBE EXIT VEL</th>}
+                        <th style={head}>IMPULSE</th>
+                        <th style={head}>APOGEE</th>
+                        <th style={head}>Δ APOGEE</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {variants.map((v, i) => {
+                        const r = jobs.results[i];
+                        const selected = i === current;
+                        // A finished job with no result is a setup that cannot fly
+                        const blank = jobs.pending > 0 ? '…' : '—';
+                        return (
+                            <tr key={`${v.model}-${v.withTube}`} style={{ color: selected ? '#a855f7' : '#e0e0e0' }}>
+                                <td style={{ ...cell, textAlign: 'left' }}>{selected ? '▸ ' : ''}{NOZZLE_MODELS[v.model]}</td>
+                                {tube && <td style={{ ...cell, textAlign: 'left' }}>{v.withTube ? 'yes' : 'no'}</td>}
+                                <td style={cell}>{r?.burnoutTime ? `${(r.burnoutTime * 1000).toFixed(1)} ms` : r ? '—' : blank}</td>
+                                <td style={cell}>{r?.burnoutVel ? units.speed.format(r.burnoutVel) : r ? '—' : blank}</td>
+                                {tube && <td style={cell}>{r?.tubeExitVel ? units.speed.format(r.tubeExitVel) : r ? '—' : blank}</td>}
+                                <td style={cell}>{r ? units.impulse.format(r.totalImpulse, 2) : blank}</td>
+                                <td style={cell}>{r ? units.length.format(r.maxH) : blank}</td>
+                                <td style={{ ...cell, color: '#888' }}>
+                                    {r && baseline && !selected
+                                        ? `${r.maxH >= baseline.maxH ? '+' : ''}${units.length.format(r.maxH - baseline.maxH)}`
+                                        : ''}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            {jobs.error && <div style={{ color: '#ff6b6b', marginTop: '6px' }}>{jobs.error}</div>}
+        </div>
+    );
+}
+
+// Radius along a nose cone of the given shape, as a fraction of the body
+// radius at fraction f of the nose length from the tip
+function noseRadius(shape, f, fineness) {
+    if (shape === 'conical') return f;
+    if (shape === 'parabolic') return f * (2 - f);
+    if (shape === 'elliptical') return Math.sqrt(1 - (1 - f) ** 2);
+    // Tangent ogive with length/radius `fineness`
+    const rho = (1 + fineness ** 2) / 2;
+    return Math.sqrt(rho ** 2 - (fineness * (1 - f)) ** 2) + 1 - rho;
+}
+
+// Side view of the airframe with CG and CP, and the margin in calibres from
+// liftoff to the end of thrust
+function StabilityPanel({ rocket, result, width, units }) {
+    const L = units.length;
+    const panelStyle = {
+        background: 'rgba(10, 10, 15, 0.9)',
+        border: '1px solid #2a2a3a',
+        borderRadius: '8px',
+        padding: '16px',
+        marginTop: '16px',
+        fontSize: '10px'
+    };
+    const stability = stabilityOverBurn(rocket, result);
+    if (!stability) {
+        return (
+            <div style={panelStyle}>
+                <div style={{ letterSpacing: '2px', color: '#666', marginBottom: '12px' }}>STABILITY</div>
+                <div style={{ color: '#888' }}>
+                    Not available for staged rockets: the booster below the upper bottle moves both the CG and the CP,
+                    and only a single stage is modelled.
+                </div>
+            </div>
+        );
+    }
+    const { cp, samples, min } = stability;
+    const geometry = airframeGeometry(rocket);
+    const { body, diameter, noseLength, tankStart, tankLength, length, finLeadingEdge } = geometry;
+    const count = bottleCount(rocket);
+    const liftoffCG = samples[0].cg;
+    const burnoutCG = samples[samples.length - 1].cg;
+    const emptyCG = centerOfGravity(rocket, 0, 0).x;
+    const stable = min.margin >= MIN_STABLE_MARGIN;
+    const marginColor = (m) => (m >= MIN_STABLE_MARGIN ? '#00ffaa' : m >= 0 ? '#ffe66d' : '#ff6b6b');
+
+    // Side view, nose to the left
+    const viewH = 150;
+    const hasFins = body.fin_count > 0;
+    const finSpan = hasFins ? body.fin_span : 0;
+    const extent = Math.max(length, finLeadingEdge + body.fin_sweep + body.fin_tip);
+    const scale = Math.min((width - 40) / extent, (viewH - 44) / (diameter + 2 * finSpan));
+    const x0 = 20;
+    const cy = 20 + (viewH - 44) / 2;
+    const R = diameter / 2 * scale;
+    const sx = (x) => x0 + x * scale;
+    const nose = Array.from({ length: 21 }, (_, i) => {
+        const f = i / 20;
+        return [sx(f * noseLength), noseRadius(body.nose_shape, f, noseLength / (diameter / 2)) * R];
+    });
+    const outline = [
+        ...nose.map(([x, r]) => `${x},${cy - r}`),
+        `${sx(length)},${cy - R}`, `${sx(length)},${cy + R}`,
+        ...nose.slice().reverse().map(([x, r]) => `${x},${cy + r}`),
+    ].join(' ');
+    const water = Math.min(result.trajectory[0].V_water / count / geometry.area, tankLength);
+    const fin = (side) => {
+        const root = cy + side * R;
+        const tip = cy + side * (R + body.fin_span * scale);
+        return [
+            `${sx(finLeadingEdge)},${root}`,
+            `${sx(finLeadingEdge + body.fin_sweep)},${tip}`,
+            `${sx(finLeadingEdge + body.fin_sweep + body.fin_tip)},${tip}`,
+            `${sx(finLeadingEdge + body.fin_root)},${root}`,
+        ].join(' ');
+    };
+    const marker = (x, color, label, hollow) => (
+        <g>
+            <line x1={sx(x)} y1={cy - R - 6} x2={sx(x)} y2={cy + R + 6} stroke={color} strokeWidth="1" strokeDasharray="2 2" />
+            <circle cx={sx(x)} cy={cy} r="5" fill={hollow ? '#0a0a0f' : color} stroke={color} strokeWidth="1.5" />
+            <text x={sx(x)} y={viewH - 8} fill={color} fontSize="9" textAnchor="middle">{label}</text>
+        </g>
+    );
+
+    // Margin over the burn
+    const chartH = 120;
+    const pad = { top: 10, right: 12, bottom: 22, left: 40 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = chartH - pad.top - pad.bottom;
+    const tEnd = Math.max(samples[samples.length - 1].t, 1e-3);
+    const margins = samples.map(s => s.margin);
+    const lo = Math.min(0, ...margins) - 0.25;
+    const hi = Math.max(MIN_STABLE_MARGIN + 0.5, ...margins) + 0.25;
+    const px = (t) => pad.left + t / tEnd * plotW;
+    const py = (m) => pad.top + (hi - m) / (hi - lo) * plotH;
+    const mStep = niceStep(hi - lo, 4);
+    const tStep = niceStep(tEnd, 5);
+
+    return (
+        <div style={panelStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>STABILITY</div>
+                <div style={{ color: '#888' }}>
+                    LIFTOFF <span style={{ color: marginColor(stability.liftoff) }}>{stability.liftoff.toFixed(2)} cal</span>
+                    {' • '}BURNOUT <span style={{ color: marginColor(stability.burnout) }}>{stability.burnout.toFixed(2)} cal</span>
+                </div>
+            </div>
+
+            <svg width={width} height={viewH} style={{ display: 'block' }}>
+                {hasFins && <polygon points={fin(-1)} fill="#4ecdc4" fillOpacity="0.25" stroke="#4ecdc4" strokeWidth="1" />}
+                {hasFins && <polygon points={fin(1)} fill="#4ecdc4" fillOpacity="0.25" stroke="#4ecdc4" strokeWidth="1" />}
+                <rect
+                    x={sx(length - water)}
+                    y={cy - R}
+                    width={water * scale}
+                    height={2 * R}
+                    fill="#22d3ee"
+                    opacity="0.35"
+                />
+                <polygon points={outline} fill="none" stroke="#4ecdc4" strokeWidth="1.5" />
+                <line x1={sx(noseLength)} y1={cy - R} x2={sx(noseLength)} y2={cy + R} stroke="#2a2a3a" strokeWidth="1" />
+                {tankStart > noseLength && (
+                    <line x1={sx(tankStart)} y1={cy - R} x2={sx(tankStart)} y2={cy + R} stroke="#2a2a3a" strokeWidth="1" />
+                )}
+                {body.ballast > 0 && (
+                    <rect x={sx(body.ballast_position) - 3} y={cy - R / 3} width="6" height={2 * R / 3} fill="#a855f7" />
+                )}
+                {marker(liftoffCG, '#ffe66d', 'CG', false)}
+                {Math.abs(burnoutCG - liftoffCG) * scale > 4 && marker(burnoutCG, '#ffe66d', 'CG EMPTY', true)}
+                {marker(cp.x, '#ff6b6b', 'CP', false)}
+            </svg>
+            <div style={{ color: '#666', marginBottom: '12px' }}>
+                CP {L.format(cp.x, 3)} • CG {L.format(liftoffCG, 3)} at liftoff, {L.format(emptyCG, 3)} empty
+                {' '}(from nose tip) • length {L.format(length, 2)} • 1 cal = {units.diameter.format(diameter, 1)}
+            </div>
+
+            <svg width={width} height={chartH} style={{ display: 'block' }}>
+                <rect
+                    x={pad.left}
+                    y={py(MIN_STABLE_MARGIN)}
+                    width={plotW}
+                    height={py(lo) - py(MIN_STABLE_MARGIN)}
+                    fill="#ff6b6b"
+                    opacity="0.08"
+                />
+                {Array.from({ length: Math.floor(hi / mStep) - Math.ceil(lo / mStep) + 1 }, (_, i) => {
+                    const m = (Math.ceil(lo / mStep) + i) * mStep;
+                    return (
+                        <g key={`m${i}`}>
+                            <line x1={pad.left} y1={py(m)} x2={pad.left + plotW} y2={py(m)} stroke="#1a1a2a" strokeWidth="1" />
+                            <text x={pad.left - 6} y={py(m) + 3} fill="#666" fontSize="9" textAnchor="end">
+                                {+m.toFixed(2)}
+                            </text>
+                        </g>
+                    );
+                })}
+                {Array.from({ length: Math.floor(tEnd / tStep) + 1 }, (_, i) => (
+                    <text key={`t${i}`} x={px(i * tStep)} y={chartH - 6} fill="#666" fontSize="9" textAnchor="middle">
+                        {+(i * tStep).toFixed(3)}s
+                    </text>
+                ))}
+                <line
+                    x1={pad.left}
+                    y1={py(MIN_STABLE_MARGIN)}
+                    x2={pad.left + plotW}
+                    y2={py(MIN_STABLE_MARGIN)}
+                    stroke="#ff6b6b"
+                    strokeWidth="1"
+                    strokeDasharray="4 3"
+                />
+                <text x={pad.left + plotW} y={py(MIN_STABLE_MARGIN) - 4} fill="#ff6b6b" fontSize="9" textAnchor="end">
+                    {MIN_STABLE_MARGIN} CAL
+                </text>
+                <path
+                    d={samples.map((s, i) => `${i === 0 ? 'M' : 'L'} ${px(s.t)} ${py(s.margin)}`).join(' ')}
+                    fill="none"
+                    stroke="#4ecdc4"
+                    strokeWidth="2"
+                />
+                <circle cx={px(min.t)} cy={py(min.margin)} r="4" fill={marginColor(min.margin)} />
+            </svg>
+
+            <div style={{ color: stable ? '#00ffaa' : '#ff6b6b', marginTop: '8px', lineHeight: 1.5 }}>
+                {stable
+                    ? `Stable through the burn: the margin stays at or above ${MIN_STABLE_MARGIN} calibre (lowest ${min.margin.toFixed(2)} cal).`
+                    : `⚠ Margin drops to ${min.margin.toFixed(2)} cal at ${min.t.toFixed(3)} s, below ${MIN_STABLE_MARGIN} calibre. ` +
+                      'Add nose ballast, enlarge the fins or lengthen the fairing to move the CG forward of the CP.'}
+            </div>
+        </div>
+    );
+}
+
+// Body drag coefficient through the flight as flown, against the same setup
+// under the other drag model, with the estimate broken down at burnout
+function DragPanel({ scenario, solver, result, width, units }) {
+    const L = units.length;
+    const { fillRatio, C_d, pressurePSI, rocket, launch } = scenario;
+    const estimatedModel = rocket.drag_model === 'estimated';
+    const other = usePoolJobs(() => [{
+        fn: 'simulate',
+        args: [fillRatio, C_d, pressurePSI, { ...rocket, drag_model: estimatedModel ? 'constant' : 'estimated' }, launch, { solver }],
+    }], [scenario, solver], { priority: 1, eager: false });
+    const estimated = estimatedModel ? result : other.results[0];
+    const constant = estimatedModel ? other.results[0] : result;
+
+    // Components just after thrust ends, in the still air at the pad
+    const { ambient } = result;
+    const breakdown = dragCoefficient(
+        dragGeometry(rocket, { ...DEFAULT_BODY, ...rocket.body }),
+        result.airBurnoutVel ?? result.burnoutVel ?? 0,
+        { rho: ambient.rho, mu: airViscosity(ambient.T), a: speedOfSound(ambient.T) },
+        false
+    );
+
+    const chartH = 140;
+    const pad = { top: 10, right: 12, bottom: 22, left: 40 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = chartH - pad.top - pad.bottom;
+    const runs = [estimated, constant].filter(Boolean);
+    const tEnd = Math.max(...runs.map(r => r.trajectory[r.trajectory.length - 1].t), 1e-3);
+    const cdMax = Math.max(C_d, ...(estimated ? estimated.trajectory.map(p => p.C_d) : [])) * 1.1;
+    const px = (t) => pad.left + t / tEnd * plotW;
+    const py = (cd) => pad.top + (1 - cd / cdMax) * plotH;
+    const cdStep = niceStep(cdMax, 4);
+    const tStep = niceStep(tEnd, 6);
+    const apogee = (r) => (r ? L.format(r.maxH) : '…');
+    const change = estimated && constant ? (estimated.maxH / constant.maxH - 1) * 100 : null;
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>DRAG COEFFICIENT vs TIME</div>
+                <div style={{ color: '#888' }}>
+                    APOGEE <span style={{ color: '#4ecdc4' }}>{apogee(estimated)}</span> estimated
+                    {' • '}<span style={{ color: '#888' }}>{apogee(constant)}</span> at Cᴅ {C_d.toFixed(2)}
+                    {change !== null && ` (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`}
+                </div>
+            </div>
+            <svg width={width} height={chartH} style={{ display: 'block' }}>
+                {Array.from({ length: Math.floor(cdMax / cdStep) + 1 }, (_, i) => (
+                    <g key={`c${i}`}>
+                        <line x1={pad.left} y1={py(i * cdStep)} x2={pad.left + plotW} y2={py(i * cdStep)} stroke="#1a1a2a" strokeWidth="1" />
+                        <text x={pad.left - 6} y={py(i * cdStep) + 3} fill="#666" fontSize="9" textAnchor="end">
+                            {+(i * cdStep).toFixed(2)}
+                        </text>
+                    </g>
+                ))}
+                {Array.from({ length: Math.floor(tEnd / tStep) + 1 }, (_, i) => (
+                    <text key={`t${i}`} x={px(i * tStep)} y={chartH - 6} fill="#666" fontSize="9" textAnchor="middle">
+                        {+(i * tStep).toFixed(2)}s
+                    </text>
+                ))}
+                <line x1={pad.left} y1={py(C_d)} x2={pad.left + plotW} y2={py(C_d)} stroke="#888" strokeWidth="1" strokeDasharray="4 3" />
+                <text x={pad.left + plotW} y={py(C_d) - 4} fill="#888" fontSize="9" textAnchor="end">CONSTANT</text>
+                {estimated && (
+                    <>
+                        <path
+                            d={estimated.trajectory.map((p, i) => `${i === 0 ? 'M' : 'L'} ${px(p.t)} ${py(p.C_d)}`).join(' ')}
+                            fill="none"
+                            stroke="#4ecdc4"
+                            strokeWidth="2"
+                        />
+                        <line
+                            x1={px(estimated.maxHTime)}
+                            y1={pad.top}
+                            x2={px(estimated.maxHTime)}
+                            y2={pad.top + plotH}
+                            stroke="#00ffaa"
+                            strokeWidth="1"
+                            strokeDasharray="2 3"
+                        />
+                        <text x={px(estimated.maxHTime) + 4} y={pad.top + 10} fill="#00ffaa" fontSize="9">APOGEE</text>
+                    </>
+                )}
+            </svg>
+            <div style={{ color: '#666', marginTop: '8px', lineHeight: 1.5 }}>
+                At burnout ({units.speed.format(result.airBurnoutVel ?? result.burnoutVel ?? 0)}, Re {breakdown.reynolds.toExponential(1)},
+                {' '}M {breakdown.mach.toFixed(2)}): skin friction {breakdown.friction.toFixed(3)} • nose {breakdown.nose.toFixed(3)}
+                {' '}• fins {breakdown.fins.toFixed(3)} • shoulder and base {breakdown.base.toFixed(3)}
+                {' '}= <span style={{ color: '#4ecdc4' }}>{breakdown.total.toFixed(3)}</span>
+                {estimatedModel ? '' : ' • the flight above uses the constant Cᴅ'}
             </div>
+            {other.error && <div style={{ color: '#ff6b6b', marginTop: '6px' }}>{other.error}</div>}
         </div>
     );
 }
@@ -697,3 +2673,2327 @@ function StatBox({ label, value, color }) {
         </div>
     );
 }
+
+// Numeric input for a value stored in SI units.
+// Displays value * scale and only commits values within (min, max].
+function NumberInput({ value, scale = 1, step, min = 0, max = Infinity, width = '64px', onChange }) {
+    const format = (v) => String(+(v * scale).toFixed(4));
+    const [text, setText] = useState(format(value));
+
+    // Resync on external changes (presets) without clobbering partial input like "2."
+    useEffect(() => {
+        setText(prev => (parseFloat(prev) / scale === value ? prev : format(value)));
+    }, [value, scale]);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        const parsed = parseFloat(e.target.value) / scale;
+        if (Number.isFinite(parsed) && parsed > min && parsed <= max) {
+            onChange(parsed);
+        }
+    };
+
+    return (
+        <input
+            type="number"
+            step={step}
+            value={text}
+            onChange={handleChange}
+            onBlur={() => setText(format(value))}
+            style={{
+                width,
+                background: '#0a0a0f',
+                border: '1px solid #2a2a3a',
+                borderRadius: '3px',
+                color: '#a855f7',
+                fontSize: '11px',
+                fontFamily: 'inherit',
+                padding: '3px 4px',
+                textAlign: 'right'
+            }}
+        />
+    );
+}
+
+// Labelled NumberInput for a rocket configuration value
+function ConfigField({ label, unit, ...input }) {
+    return (
+        <label style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            fontSize: '10px',
+            marginBottom: '8px'
+        }}>
+            <span style={{ color: '#888' }}>{label}</span>
+            <span>
+                <NumberInput {...input} />
+                <span style={{ color: '#555', marginLeft: '4px', display: 'inline-block', width: '18px' }}>{unit}</span>
+            </span>
+        </label>
+    );
+}
+
+// Labelled range slider for secondary parameter groups
+function ParamSlider({ label, display, color, min, max, step, value, onChange }) {
+    return (
+        <div style={{ marginBottom: '14px' }}>
+            <label style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '10px',
+                marginBottom: '6px'
+            }}>
+                <span style={{ color: '#888' }}>{label}</span>
+                <span style={{ color }}>{display}</span>
+            </label>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(parseFloat(e.target.value))}
+                style={{ width: '100%', accentColor: color }}
+            />
+        </div>
+    );
+}
+
+// Round tick spacing (1, 2, 5 × 10ⁿ) giving roughly `count` intervals over `span`
+function niceStep(span, count) {
+    const raw = span / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const n = raw / mag;
+    return (n < 1.5 ? 1 : n < 3 ? 2 : n < 7 ? 5 : 10) * mag;
+}
+
+// Playback speeds offered by the launch animation
+const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2];
+
+// Animated side view of the flight: the rocket moves to scale along its path,
+// drains water and shows exhaust while thrusting. `t` is shared with the
+// trajectory chart, which draws it as a cursor.
+function PlaybackPanel({ result, rocket, launch, t, setT, width, disabled, units }) {
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const tRef = useRef(t);
+    tRef.current = t;
+
+    const { trajectory } = result;
+    const tEnd = trajectory[trajectory.length - 1].t;
+    const time = Math.min(t ?? 0, tEnd);
+
+    useEffect(() => {
+        if (!playing) return;
+        let frame;
+        let last = performance.now();
+        const tick = (now) => {
+            const next = Math.min((tRef.current ?? 0) + (now - last) / 1000 * speed, tEnd);
+            last = now;
+            setT(next);
+            if (next >= tEnd) setPlaying(false);
+            else frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [playing, speed, tEnd]);
+
+    useEffect(() => {
+        if (disabled) setPlaying(false);
+    }, [disabled]);
+
+    const togglePlay = () => {
+        if (!playing && time >= tEnd) setT(0);
+        setPlaying(!playing);
+    };
+
+    // Scene drawn to equal scale on both axes, like the flight path plot
+    const height = 260;
+    const padding = { top: 20, right: 30, bottom: 30, left: 60 };
+    const plotW = width - padding.left - padding.right;
+    const plotH = height - padding.top - padding.bottom;
+    const xs = trajectory.map(p => p.x);
+    const minX = Math.min(0, ...xs);
+    const maxX = Math.max(0, ...xs);
+    const mPerPx = Math.max((maxX - minX) / plotW, Math.max(result.maxH, 10) * 1.15 / plotH);
+    const x0 = padding.left + (plotW - (maxX - minX) / mPerPx) / 2 - minX / mPerPx;
+    const scaleX = (x) => x0 + x / mPerPx;
+    const scaleY = (h) => padding.top + plotH - h / mPerPx;
+    const L = units.length;
+    const hStep = niceStep(L.from(plotH * mPerPx), 5);
+    const hTicks = [];
+    for (let h = 0; h <= L.from(plotH * mPerPx); h += hStep) hTicks.push(L.to(h));
+
+    // State at the playback time; heading from the path a few ms either side
+    const at = (key, when = time) => interpolateTrajectory(trajectory, when, key);
+    const x = at('x');
+    const h = at('h');
+    const dx = at('x', time + 0.01) - at('x', time - 0.01);
+    const dh = at('h', time + 0.01) - at('h', time - 0.01);
+    const moving = Math.hypot(dx, dh) > 1e-4;
+    const underChute = result.deployTime !== null && time >= result.deployTime;
+    const heading = underChute ? 90 : moving ? Math.atan2(dh, dx) * 180 / Math.PI : launch.angle;
+    const thrust = at('thrust');
+    // Water on board against the tank volume still attached
+    const capacity = rocket.tank_volume * bottleCount(rocket)
+        + (rocket.layout === 'staged' && time < (result.separationTime ?? Infinity) ? rocket.booster.tank_volume : 0);
+    const waterFraction = at('V_water') / capacity;
+    const maxThrust = Math.max(...trajectory.map(p => p.thrust), 1e-9);
+
+    // The sprite is 36 px long; report how much that exaggerates the bottle
+    const bodyLength = rocket.tank_volume / (Math.PI * (rocket.d_bottle / 2) ** 2) * 1.4;
+    const enlarged = 36 * mPerPx / bodyLength;
+
+    const pathD = (points) => points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(p.x)} ${scaleY(p.h)}`).join(' ');
+
+    const buttonStyle = {
+        padding: '4px 10px',
+        background: 'transparent',
+        border: '1px solid #ffe66d',
+        color: '#ffe66d',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit',
+        minWidth: '72px'
+    };
+
+    const selectStyle = {
+        background: '#0a0a0f',
+        border: '1px solid #2a2a3a',
+        borderRadius: '3px',
+        color: '#e0e0e0',
+        fontSize: '10px',
+        fontFamily: 'inherit',
+        padding: '2px'
+    };
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>LAUNCH PLAYBACK</div>
+                {disabled && <span style={{ color: '#555' }}>single mode only</span>}
+                {!disabled && (
+                    <span style={{ marginLeft: 'auto', color: '#888' }}>
+                        t {time.toFixed(3)} s • h {L.format(h)} • v {units.speed.format(at('v'))} •
+                        water {units.volume.format(at('V_water'), 0)} • thrust {units.force.format(thrust, 0)}
+                    </span>
+                )}
+            </div>
+
+            {!disabled && (
+                <>
+                    <svg width={width} height={height} style={{ display: 'block' }}>
+                        {hTicks.map((tick, i) => (
+                            <g key={i}>
+                                <line
+                                    x1={padding.left} y1={scaleY(tick)}
+                                    x2={padding.left + plotW} y2={scaleY(tick)}
+                                    stroke="#1a1a2a" strokeWidth="1"
+                                />
+                                <text x={padding.left - 10} y={scaleY(tick) + 4} fill="#666" fontSize="10" textAnchor="end">
+                                    {L.from(tick).toFixed(stepDigits(hStep))}{L.label}
+                                </text>
+                            </g>
+                        ))}
+
+                        {/* Ground and launch rail */}
+                        <line
+                            x1={padding.left} y1={scaleY(0)}
+                            x2={padding.left + plotW} y2={scaleY(0)}
+                            stroke="#3a3a4a" strokeWidth="2"
+                        />
+                        <line
+                            x1={scaleX(0)} y1={scaleY(0)}
+                            x2={scaleX(launch.rail_length * Math.cos(launch.angle * Math.PI / 180))}
+                            y2={scaleY(launch.rail_length * Math.sin(launch.angle * Math.PI / 180))}
+                            stroke="#888" strokeWidth="2"
+                        />
+
+                        {/* Whole path faintly, the flown part solid */}
+                        <path d={pathD(trajectory)} fill="none" stroke="#ffe66d" strokeWidth="1" strokeDasharray="3,4" opacity={0.3} />
+                        <path d={pathD(trajectory.filter(p => p.t <= time))} fill="none" stroke="#ffe66d" strokeWidth="1.5" opacity={0.8} />
+
+                        {/* Rocket, drawn nose-up about its tail and turned to the heading */}
+                        <g transform={`translate(${scaleX(x)}, ${scaleY(h) - 14}) rotate(${90 - heading}, 0, 14)`}>
+                            {thrust > 0 && (
+                                <path
+                                    d={`M -3 14 L 0 ${22 + thrust / maxThrust * 30} L 3 14 Z`}
+                                    fill={waterFraction > 0 ? '#4ecdc4' : '#e0e0e0'}
+                                    opacity={waterFraction > 0 ? 0.8 : 0.5}
+                                />
+                            )}
+                            {underChute && (
+                                <g>
+                                    <path d="M -14 -34 Q 0 -52 14 -34 Z" fill="#f472b6" opacity={0.8} />
+                                    <line x1="-14" y1="-34" x2="0" y2="-20" stroke="#f472b6" strokeWidth="0.7" />
+                                    <line x1="14" y1="-34" x2="0" y2="-20" stroke="#f472b6" strokeWidth="0.7" />
+                                </g>
+                            )}
+                            <path d="M -5 -14 L 0 -22 L 5 -14 Z" fill="#a855f7" />
+                            <path d="M -5 6 L -10 14 L -5 14 Z M 5 6 L 10 14 L 5 14 Z" fill="#a855f7" />
+                            <rect x="-5" y="-14" width="10" height="28" fill="#1a1a2e" stroke="#e0e0e0" strokeWidth="1" />
+                            {/* Water sits at the nozzle end while accelerating */}
+                            {waterFraction > 0 && (
+                                <rect
+                                    x="-4" y={13 - 26 * waterFraction}
+                                    width="8" height={26 * waterFraction}
+                                    fill="#4ecdc4" opacity={0.8}
+                                />
+                            )}
+                        </g>
+
+                        <text x={padding.left + plotW} y={height - 8} fill="#555" fontSize="9" textAnchor="end">
+                            altitude and range to scale • rocket drawn ×{enlarged.toFixed(0)}
+                        </text>
+                    </svg>
+
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+                        <button onClick={togglePlay} style={buttonStyle}>{playing ? '❚❚ PAUSE' : '▶ PLAY'}</button>
+                        <input
+                            type="range"
+                            min={0}
+                            max={tEnd}
+                            step={0.001}
+                            value={time}
+                            onChange={(e) => {
+                                setPlaying(false);
+                                setT(parseFloat(e.target.value));
+                            }}
+                            style={{ flex: 1, accentColor: '#ffe66d' }}
+                        />
+                        <select value={speed} onChange={(e) => setSpeed(parseFloat(e.target.value))} style={selectStyle}>
+                            {PLAYBACK_SPEEDS.map(v => <option key={v} value={v}>{v}×</option>)}
+                        </select>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// Per-sample quantities the telemetry panel can plot; `display` picks the
+// unit and conversion from the current display units. Conversions also get
+// the run, whose ambient pressure turns tank pressure into gauge.
+const TELEMETRY_SERIES = [
+    { key: 'h', label: 'ALTITUDE', display: (u) => u.length },
+    { key: 'v', label: 'VELOCITY', display: (u) => u.speed },
+    { key: 'a', label: 'ACCELERATION', display: () => ({ label: 'g', from: (a) => a / CONSTANTS.g }) },
+    { key: 'thrust', label: 'THRUST', display: (u) => u.force },
+    { key: 'P_tank', label: 'TANK PRESSURE', display: (u) => ({ ...u.pressure, from: (p, run) => u.pressure.from(p - run.ambient.P) }) },
+    { key: 'm', label: 'MASS', display: (u) => u.mass },
+];
+
+// Decimals that resolve a tick step
+const stepDigits = (step) => Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+
+// Stacked telemetry plots on a shared time axis with a synchronized crosshair
+function TelemetryPanel({ series, width, units }) {
+    const [visible, setVisible] = useState(['v', 'a', 'thrust', 'P_tank']);
+    const [range, setRange] = useState('boost');
+    const [hoverT, setHoverT] = useState(null);
+    if (series.length === 0) return null;
+
+    const padding = { top: 8, right: 30, bottom: 8, left: 60 };
+    const panelH = 90;
+    const plotW = width - padding.left - padding.right;
+
+    // Boost: a few times the longest thrust phase; flight: pad to impact
+    const thrustEnd = Math.max(...series.map(s => s.thrustEndTime ?? s.burnoutTime ?? 0));
+    const flightEnd = Math.max(...series.map(s => s.trajectory[s.trajectory.length - 1].t));
+    const tEnd = range === 'boost' ? Math.min(flightEnd, Math.max(3 * thrustEnd, 0.1)) : flightEnd;
+    const scaleX = (t) => padding.left + (t / tEnd) * plotW;
+
+    const tStep = niceStep(tEnd, 8);
+    const tTicks = [];
+    for (let t = 0; t <= tEnd + 1e-9; t += tStep) tTicks.push(t);
+
+    // Samples in the window, plus the first one past its end
+    const windowed = series.map(s => {
+        const end = s.trajectory.findIndex(p => p.t > tEnd);
+        return end === -1 ? s.trajectory : s.trajectory.slice(0, end + 1);
+    });
+
+    const onMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const t = (e.clientX - rect.left - padding.left) / plotW * tEnd;
+        setHoverT(t >= 0 && t <= tEnd ? t : null);
+    };
+
+    const toggle = (key) => setVisible(prev => (prev.includes(key)
+        ? prev.filter(k => k !== key)
+        : TELEMETRY_SERIES.map(q => q.key).filter(k => k === key || prev.includes(k))
+    ));
+
+    const buttonStyle = (active) => ({
+        padding: '3px 8px',
+        background: active ? 'rgba(0, 255, 170, 0.15)' : 'transparent',
+        border: `1px solid ${active ? '#00ffaa' : '#2a2a3a'}`,
+        color: active ? '#00ffaa' : '#666',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit'
+    });
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#666' }}>TELEMETRY</div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <button style={buttonStyle(range === 'boost')} onClick={() => setRange('boost')}>BOOST</button>
+                    <button style={buttonStyle(range === 'flight')} onClick={() => setRange('flight')}>FULL FLIGHT</button>
+                </div>
+            </div>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                {TELEMETRY_SERIES.map(q => (
+                    <button key={q.key} style={buttonStyle(visible.includes(q.key))} onClick={() => toggle(q.key)}>
+                        {q.label}
+                    </button>
+                ))}
+            </div>
+
+            {TELEMETRY_SERIES.filter(q => visible.includes(q.key)).map(({ key, label, display }) => {
+                const unit = display(units);
+                const q = { key, label, unit: unit.label, convert: unit.from };
+                const values = windowed.flatMap((w, i) => w.map(p => q.convert(p[q.key], series[i])));
+                const hi = Math.max(1e-9, ...values);
+                // Round-off below zero (e.g. a spent tank's gauge pressure) should not add a tick
+                const lo = Math.min(0, ...values.filter(v => v < -1e-6 * hi));
+                const step = niceStep(hi - lo, 3);
+                const yMin = Math.floor(lo / step) * step;
+                const yMax = Math.ceil(hi / step) * step;
+                const scaleY = (v) => padding.top + (1 - (v - yMin) / (yMax - yMin)) * (panelH - padding.top - padding.bottom);
+                const yTicks = [];
+                for (let v = yMin; v <= yMax + step / 2; v += step) yTicks.push(v);
+
+                return (
+                    <svg
+                        key={q.key}
+                        width={width}
+                        height={panelH}
+                        style={{ display: 'block', borderTop: '1px solid #1a1a2a' }}
+                        onMouseMove={onMove}
+                        onMouseLeave={() => setHoverT(null)}
+                    >
+                        {tTicks.map((t, i) => (
+                            <line
+                                key={`t-${i}`}
+                                x1={scaleX(t)} y1={padding.top}
+                                x2={scaleX(t)} y2={panelH - padding.bottom}
+                                stroke="#1a1a2a" strokeWidth="1"
+                            />
+                        ))}
+                        {yTicks.map((v, i) => (
+                            <g key={`y-${i}`}>
+                                <line
+                                    x1={padding.left} y1={scaleY(v)}
+                                    x2={padding.left + plotW} y2={scaleY(v)}
+                                    stroke={Math.abs(v) < step / 2 ? '#3a3a4a' : '#1a1a2a'} strokeWidth="1"
+                                />
+                                <text x={padding.left - 8} y={scaleY(v) + 3} fill="#666" fontSize="9" textAnchor="end">
+                                    {v.toFixed(stepDigits(step))}
+                                </text>
+                            </g>
+                        ))}
+                        <text x={padding.left + 6} y={padding.top + 10} fill="#888" fontSize="9" letterSpacing="1">
+                            {q.label} ({q.unit})
+                        </text>
+
+                        {windowed.map((w, i) => (
+                            <path
+                                key={i}
+                                d={w.map((p, j) =>
+                                    `${j === 0 ? 'M' : 'L'} ${scaleX(Math.min(p.t, tEnd))} ${scaleY(q.convert(p[q.key], series[i]))}`
+                                ).join(' ')}
+                                fill="none"
+                                stroke={series[i].color}
+                                strokeWidth="1.5"
+                            />
+                        ))}
+
+                        {hoverT !== null && (
+                            <g>
+                                <line
+                                    x1={scaleX(hoverT)} y1={padding.top}
+                                    x2={scaleX(hoverT)} y2={panelH - padding.bottom}
+                                    stroke="#fff" strokeWidth="1" opacity={0.5}
+                                />
+                                {series.map((s, i) => {
+                                    const last = s.trajectory[s.trajectory.length - 1];
+                                    if (hoverT > last.t) return null;
+                                    const v = q.convert(interpolateTrajectory(s.trajectory, hoverT, q.key), s);
+                                    return (
+                                        <g key={i}>
+                                            <circle cx={scaleX(hoverT)} cy={scaleY(v)} r="3" fill={s.color} />
+                                            <text
+                                                x={padding.left + plotW - 4}
+                                                y={padding.top + 10 + i * 11}
+                                                fill={s.color} fontSize="9" textAnchor="end"
+                                            >
+                                                {v.toFixed(Math.max(1, stepDigits(step) + 1))}
+                                            </text>
+                                        </g>
+                                    );
+                                })}
+                            </g>
+                        )}
+                    </svg>
+                );
+            })}
+
+            {/* Shared time axis */}
+            <svg width={width} height={32} style={{ display: 'block' }}>
+                {tTicks.map((t, i) => (
+                    <text key={i} x={scaleX(t)} y={12} fill="#666" fontSize="10" textAnchor="middle">
+                        {t.toFixed(stepDigits(tStep))}
+                    </text>
+                ))}
+                <text x={width / 2} y={28} fill="#888" fontSize="11" textAnchor="middle">
+                    {hoverT === null ? 'Time (s)' : `t = ${hoverT.toFixed(3)} s`}
+                </text>
+            </svg>
+        </div>
+    );
+}
+
+// Altitude vs downrange distance, drawn to equal scale on both axes
+function FlightPathPlot({ series, width, height, units }) {
+    const padding = { top: 20, right: 30, bottom: 40, left: 60 };
+    const plotW = width - padding.left - padding.right;
+    const plotH = height - padding.top - padding.bottom;
+
+    const xs = series.flatMap(s => s.trajectory.map(p => p.x));
+    const minX = Math.min(0, ...xs);
+    const maxX = Math.max(0, ...xs);
+    const maxH = Math.max(...series.map(s => s.maxH), 10) * 1.1;
+
+    // Equal aspect: metres per pixel is the same on both axes
+    const mPerPx = Math.max((maxX - minX) / plotW, maxH / plotH);
+    const x0 = padding.left + (plotW - (maxX - minX) / mPerPx) / 2 - minX / mPerPx;
+    const scaleX = (x) => x0 + x / mPerPx;
+    const scaleY = (h) => padding.top + plotH - h / mPerPx;
+
+    // Ticks on round numbers of the display unit
+    const L = units.length;
+    const step = niceStep(L.from(plotW * mPerPx), 6);
+    const xTicks = [];
+    for (let x = Math.ceil(L.from((padding.left - x0) * mPerPx) / step) * step; scaleX(L.to(x)) <= padding.left + plotW; x += step) {
+        xTicks.push(L.to(x));
+    }
+    const yTicks = [];
+    for (let h = 0; L.to(h) <= plotH * mPerPx; h += step) {
+        yTicks.push(L.to(h));
+    }
+
+    return (
+        <svg width={width} height={height} style={{ display: 'block' }}>
+            {xTicks.map((x, i) => (
+                <g key={`x-${i}`}>
+                    <line
+                        x1={scaleX(x)} y1={padding.top}
+                        x2={scaleX(x)} y2={padding.top + plotH}
+                        stroke="#2a2a3a" strokeWidth="1"
+                    />
+                    <text x={scaleX(x)} y={height - 22} fill="#666" fontSize="10" textAnchor="middle">
+                        {L.from(x).toFixed(0)}{L.label}
+                    </text>
+                </g>
+            ))}
+            {yTicks.map((h, i) => (
+                <g key={`y-${i}`}>
+                    <line
+                        x1={padding.left} y1={scaleY(h)}
+                        x2={padding.left + plotW} y2={scaleY(h)}
+                        stroke="#2a2a3a" strokeWidth="1"
+                    />
+                    <text x={padding.left - 10} y={scaleY(h) + 4} fill="#666" fontSize="10" textAnchor="end">
+                        {L.from(h).toFixed(0)}{L.label}
+                    </text>
+                </g>
+            ))}
+
+            <text x={width / 2} y={height - 5} fill="#888" fontSize="11" textAnchor="middle">
+                Downrange ({L.label})
+            </text>
+            <text
+                x={15} y={height / 2}
+                fill="#888" fontSize="11" textAnchor="middle"
+                transform={`rotate(-90, 15, ${height / 2})`}
+            >
+                Altitude ({L.label})
+            </text>
+
+            {/* Launch pad */}
+            <path
+                d={`M ${scaleX(0) - 6} ${scaleY(0)} L ${scaleX(0) + 6} ${scaleY(0)}`}
+                stroke="#888" strokeWidth="3"
+            />
+
+            {series.map((s, i) => (
+                <g key={i}>
+                    <path
+                        d={s.trajectory.map((p, j) =>
+                            `${j === 0 ? 'M' : 'L'} ${scaleX(p.x)} ${scaleY(p.h)}`
+                        ).join(' ')}
+                        fill="none"
+                        stroke={s.color}
+                        strokeWidth="2"
+                        opacity={0.9}
+                    />
+                    <circle cx={scaleX(s.maxHX)} cy={scaleY(s.maxH)} r="4" fill={s.color} />
+                    {s.deployTime !== null && (
+                        <rect
+                            x={scaleX(s.deployX) - 4}
+                            y={scaleY(s.deployAlt) - 4}
+                            width="8"
+                            height="8"
+                            transform={`rotate(45, ${scaleX(s.deployX)}, ${scaleY(s.deployAlt)})`}
+                            fill="none"
+                            stroke={s.color}
+                            strokeWidth="2"
+                        />
+                    )}
+                    {s.impactX !== null && (
+                        <g>
+                            <path
+                                d={`M ${scaleX(s.impactX) - 4} ${scaleY(0) - 4} L ${scaleX(s.impactX) + 4} ${scaleY(0) + 4}
+                                    M ${scaleX(s.impactX) - 4} ${scaleY(0) + 4} L ${scaleX(s.impactX) + 4} ${scaleY(0) - 4}`}
+                                stroke={s.color}
+                                strokeWidth="2"
+                            />
+                            {series.length === 1 && (
+                                <text
+                                    x={scaleX(s.impactX)}
+                                    y={scaleY(0) - 10}
+                                    fill={s.color}
+                                    fontSize="9"
+                                    textAnchor="middle"
+                                >
+                                    IMPACT {L.format(s.impactX)}
+                                </text>
+                            )}
+                        </g>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+// Import of measured altitude logs with per-flight column mapping and residuals
+function FlightDataPanel({ flights, setFlights, simResult, units }) {
+    const L = units.length;
+    const handleFiles = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        const loaded = await Promise.all(files.map(async (file) => {
+            const { headers, rows } = parseCSV(await file.text());
+            return {
+                id: `${file.name}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                headers,
+                rows,
+                mapping: guessFlightMapping(headers),
+                visible: true,
+            };
+        }));
+        setFlights(prev => [...prev, ...loaded.filter(f => f.headers.length >= 2)]);
+    };
+
+    const updateFlight = (id, changes) =>
+        setFlights(prev => prev.map(f => (f.id === id ? { ...f, ...changes } : f)));
+    const updateMapping = (id, key, value) =>
+        setFlights(prev => prev.map(f => (f.id === id ? { ...f, mapping: { ...f.mapping, [key]: value } } : f)));
+
+    const selectStyle = {
+        background: '#0a0a0f',
+        border: '1px solid #2a2a3a',
+        borderRadius: '3px',
+        color: '#e0e0e0',
+        fontSize: '10px',
+        fontFamily: 'inherit',
+        padding: '2px'
+    };
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: flights.length > 0 ? '12px' : 0
+            }}>
+                <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#666' }}>
+                    MEASURED FLIGHTS
+                </div>
+                <label style={{
+                    padding: '4px 10px',
+                    border: '1px solid #4ecdc4',
+                    color: '#4ecdc4',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '9px',
+                    letterSpacing: '1px'
+                }}>
+                    + IMPORT CSV
+                    <input
+                        type="file"
+                        accept=".csv,.txt,.tsv"
+                        multiple
+                        onChange={handleFiles}
+                        style={{ display: 'none' }}
+                    />
+                </label>
+            </div>
+
+            {flights.map(f => {
+                const res = simResult && flightResiduals(f.points, simResult);
+                return (
+                    <div key={f.id} style={{
+                        borderTop: '1px solid #2a2a3a',
+                        padding: '8px 0',
+                        fontSize: '10px'
+                    }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                            <input
+                                type="checkbox"
+                                checked={f.visible}
+                                onChange={(e) => updateFlight(f.id, { visible: e.target.checked })}
+                                style={{ accentColor: f.color }}
+                            />
+                            <span style={{ color: f.color, minWidth: '100px' }}>{f.name}</span>
+                            <span style={{ color: '#666' }}>t</span>
+                            <select
+                                value={f.mapping.timeCol}
+                                onChange={(e) => updateMapping(f.id, 'timeCol', Number(e.target.value))}
+                                style={selectStyle}
+                            >
+                                {f.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                            </select>
+                            <select
+                                value={f.mapping.timeUnit}
+                                onChange={(e) => updateMapping(f.id, 'timeUnit', e.target.value)}
+                                style={selectStyle}
+                            >
+                                {Object.keys(TIME_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
+                            </select>
+                            <span style={{ color: '#666' }}>h</span>
+                            <select
+                                value={f.mapping.altCol}
+                                onChange={(e) => updateMapping(f.id, 'altCol', Number(e.target.value))}
+                                style={selectStyle}
+                            >
+                                {f.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                            </select>
+                            <select
+                                value={f.mapping.altUnit}
+                                onChange={(e) => updateMapping(f.id, 'altUnit', e.target.value)}
+                                style={selectStyle}
+                            >
+                                {Object.keys(ALT_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
+                            </select>
+                            <label style={{ color: '#888' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={f.mapping.zeroTime}
+                                    onChange={(e) => updateMapping(f.id, 'zeroTime', e.target.checked)}
+                                />
+                                t₀=0
+                            </label>
+                            <label style={{ color: '#888' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={f.mapping.zeroAlt}
+                                    onChange={(e) => updateMapping(f.id, 'zeroAlt', e.target.checked)}
+                                />
+                                h₀=0
+                            </label>
+                            <button
+                                onClick={() => setFlights(prev => prev.filter(g => g.id !== f.id))}
+                                style={{
+                                    marginLeft: 'auto',
+                                    background: 'transparent',
+                                    border: 'none',
+                                    color: '#ff6b6b',
+                                    cursor: 'pointer',
+                                    fontFamily: 'inherit'
+                                }}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <div style={{ display: 'flex', gap: '16px', marginTop: '6px', color: '#888' }}>
+                            {res ? (
+                                <>
+                                    <span>{res.n} pts</span>
+                                    <span>RMSE <span style={{ color: '#e0e0e0' }}>{L.format(res.rmse, 2)}</span></span>
+                                    <span>
+                                        APOGEE {L.format(res.measuredApogee)}
+                                        (sim {res.apogeeError >= 0 ? '+' : ''}{L.format(res.apogeeError)})
+                                    </span>
+                                    <span>
+                                        T_APOGEE {res.measuredApogeeTime.toFixed(2)} s
+                                        (sim {res.apogeeTimeError >= 0 ? '+' : ''}{res.apogeeTimeError.toFixed(2)} s)
+                                    </span>
+                                </>
+                            ) : f.points.length === 0 && (
+                                <span style={{ color: '#ff6b6b' }}>No numeric samples in the selected columns</span>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Least-squares estimation of model parameters from the measured flights
+function FitPanel({ fit, fitParams, setFitParams, fitting, error, onFit, onApply, units }) {
+    const toggleParam = (key) => setFitParams(prev =>
+        prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    );
+
+    const buttonStyle = (color) => ({
+        padding: '4px 10px',
+        background: 'transparent',
+        border: `1px solid ${color}`,
+        color,
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit'
+    });
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>PARAMETER ESTIMATION</div>
+                {Object.entries(FIT_PARAMS).map(([key, { label }]) => (
+                    <label key={key} style={{ color: '#888' }}>
+                        <input
+                            type="checkbox"
+                            checked={fitParams.includes(key)}
+                            onChange={() => toggleParam(key)}
+                            style={{ accentColor: '#e879f9' }}
+                        />
+                        {label}
+                    </label>
+                ))}
+                <span style={{ marginLeft: 'auto', display: 'flex', gap: '6px' }}>
+                    <button onClick={onFit} disabled={fitParams.length === 0 || fitting} style={buttonStyle('#e879f9')}>
+                        {fitting ? 'FITTING…' : 'FIT (NELDER–MEAD)'}
+                    </button>
+                    {fit && (
+                        <button onClick={onApply} style={buttonStyle('#00ffaa')}>
+                            APPLY
+                        </button>
+                    )}
+                </span>
+            </div>
+
+            {error && <div style={{ marginTop: '10px', color: '#ff6b6b' }}>{error}</div>}
+
+            {fit && (
+                <div style={{ marginTop: '12px', color: '#888' }}>
+                    {fit.params.map(key => (
+                        <div key={key} style={{ display: 'flex', gap: '12px', marginBottom: '4px' }}>
+                            <span style={{ width: '160px' }}>{FIT_PARAMS[key].label}</span>
+                            <span style={{ color: '#e879f9' }}>{fit.values[key].toFixed(3)}</span>
+                            <span>
+                                ± {Number.isFinite(fit.ci95[key]) ? fit.ci95[key].toFixed(3) : '—'} (95%)
+                            </span>
+                        </div>
+                    ))}
+                    <div style={{ marginTop: '6px' }}>
+                        RMSE {units.length.format(fit.initialRmse, 2)} → <span style={{ color: '#e0e0e0' }}>{units.length.format(fit.rmse, 2)}</span>
+                        {' '}• {fit.n} pts • {fit.iterations} iterations
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// localStorage key for named scenario presets
+const PRESETS_KEY = 'bottle-rocket-presets';
+
+function readPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Named presets, share link and JSON import/export of the whole scenario
+function ScenarioPanel({ scenario, onLoad }) {
+    const [presets, setPresets] = useState(() => (typeof localStorage === 'undefined' ? {} : readPresets()));
+    const [name, setName] = useState('');
+    const [message, setMessage] = useState(null);
+
+    const storePresets = (next) => {
+        setPresets(next);
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+    };
+
+    const savePreset = () => {
+        const key = name.trim();
+        if (!key) return;
+        storePresets({ ...presets, [key]: scenario });
+        setName('');
+        setMessage({ text: `Saved "${key}"`, color: '#00ffaa' });
+    };
+
+    const deletePreset = (key) => {
+        const { [key]: _, ...rest } = presets;
+        storePresets(rest);
+    };
+
+    const loadScenario = (data, label) => {
+        try {
+            onLoad(parseScenario(data));
+            setMessage({ text: `Loaded ${label}`, color: '#00ffaa' });
+        } catch (err) {
+            setMessage({ text: `${label}: ${err.message}`, color: '#ff6b6b' });
+        }
+    };
+
+    const exportJSON = () => downloadBlob(
+        new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' }),
+        `${name.trim() || 'bottle-rocket'}.scenario.json`
+    );
+
+    const importJSON = async (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (file) loadScenario(await file.text(), file.name);
+    };
+
+    const copyLink = async () => {
+        const url = `${window.location.href.split('#')[0]}#scenario=${encodeScenario(scenario)}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            setMessage({ text: 'Link copied', color: '#00ffaa' });
+        } catch {
+            setMessage({ text: 'Clipboard unavailable; copy the address bar instead', color: '#ffe66d' });
+        }
+    };
+
+    const buttonStyle = (color) => ({
+        padding: '5px 8px',
+        background: 'transparent',
+        border: `1px solid ${color}`,
+        color,
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit',
+        textAlign: 'center'
+    });
+
+    return (
+        <div style={{
+            marginTop: '24px',
+            paddingTop: '16px',
+            borderTop: '1px solid #2a2a3a'
+        }}>
+            <div style={{
+                fontSize: '10px',
+                letterSpacing: '2px',
+                color: '#ffe66d',
+                marginBottom: '12px'
+            }}>
+                SCENARIO
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+                <input
+                    value={name}
+                    placeholder="preset name"
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') savePreset(); }}
+                    style={{
+                        flex: 1,
+                        minWidth: 0,
+                        background: '#0a0a0f',
+                        border: '1px solid #2a2a3a',
+                        borderRadius: '3px',
+                        color: '#e0e0e0',
+                        fontSize: '10px',
+                        fontFamily: 'inherit',
+                        padding: '4px'
+                    }}
+                />
+                <button onClick={savePreset} disabled={!name.trim()} style={buttonStyle('#ffe66d')}>SAVE</button>
+            </div>
+
+            {Object.keys(presets).map(key => (
+                <div key={key} style={{ display: 'flex', alignItems: 'center', fontSize: '10px', marginBottom: '4px' }}>
+                    <button
+                        onClick={() => loadScenario(presets[key], `"${key}"`)}
+                        style={{
+                            flex: 1,
+                            textAlign: 'left',
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#aaa',
+                            cursor: 'pointer',
+                            fontSize: '10px',
+                            fontFamily: 'inherit',
+                            padding: '2px 0'
+                        }}
+                    >
+                        ▸ {key}
+                    </button>
+                    <button
+                        title="Delete preset"
+                        onClick={() => deletePreset(key)}
+                        style={{ background: 'transparent', border: 'none', color: '#ff6b6b', cursor: 'pointer', fontSize: '11px' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px', marginTop: '8px' }}>
+                <button onClick={copyLink} style={buttonStyle('#4ecdc4')}>COPY LINK</button>
+                <button onClick={exportJSON} style={buttonStyle('#4ecdc4')}>EXPORT</button>
+                <label style={buttonStyle('#4ecdc4')}>
+                    IMPORT
+                    <input type="file" accept=".json,application/json" onChange={importJSON} style={{ display: 'none' }} />
+                </label>
+            </div>
+
+            {message && (
+                <div style={{ marginTop: '8px', fontSize: '10px', color: message.color }}>{message.text}</div>
+            )}
+        </div>
+    );
+}
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Copy of an on-screen chart as a self-contained SVG document: dark background,
+// a title and annotation lines above the plot, fonts inlined
+function standaloneSVG(svg, title, notes) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const plotW = Number(svg.getAttribute('width'));
+    const plotH = Number(svg.getAttribute('height'));
+    const header = 34 + notes.length * 14;
+    const width = plotW + 32;
+    const height = plotH + header + 16;
+
+    const doc = document.createElementNS(ns, 'svg');
+    doc.setAttribute('xmlns', ns);
+    doc.setAttribute('width', width);
+    doc.setAttribute('height', height);
+    doc.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    doc.setAttribute('font-family', "'JetBrains Mono', 'Fira Code', monospace");
+
+    const background = document.createElementNS(ns, 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', '#0a0a0f');
+    doc.appendChild(background);
+
+    [[title, '#00ffaa', 14], ...notes.map(n => [n, '#888', 10])].forEach(([content, fill, size], i) => {
+        const text = document.createElementNS(ns, 'text');
+        text.setAttribute('x', 16);
+        text.setAttribute('y', i === 0 ? 24 : 34 + i * 14);
+        text.setAttribute('fill', fill);
+        text.setAttribute('font-size', size);
+        text.textContent = content;
+        doc.appendChild(text);
+    });
+
+    const plot = svg.cloneNode(true);
+    plot.setAttribute('x', 16);
+    plot.setAttribute('y', header);
+    plot.removeAttribute('style');
+    doc.appendChild(plot);
+
+    return { text: new XMLSerializer().serializeToString(doc), width, height };
+}
+
+// Rasterize SVG text to a PNG Blob at `scale` times its size
+function svgToPNG(text, width, height, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        };
+        img.onerror = () => reject(new Error('Could not render SVG'));
+        img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+    });
+}
+
+// Download buttons for a chart: the drawing as SVG/PNG, and its data as
+// CSV/JSON when `csv`/`json` producers are given
+function ChartExport({ name, svgRef, title, notes, csv, json }) {
+    const [error, setError] = useState(null);
+
+    const exportImage = async (format) => {
+        setError(null);
+        const { text, width, height } = standaloneSVG(svgRef.current, title, notes);
+        try {
+            const blob = format === 'svg'
+                ? new Blob([text], { type: 'image/svg+xml' })
+                : await svgToPNG(text, width, height);
+            downloadBlob(blob, `${name}.${format}`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const buttonStyle = {
+        padding: '3px 8px',
+        background: 'transparent',
+        border: '1px solid #2a2a3a',
+        color: '#888',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit'
+    };
+
+    return (
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            {error && <span style={{ color: '#ff6b6b', fontSize: '9px' }}>{error}</span>}
+            {csv && (
+                <button style={buttonStyle} onClick={() => downloadBlob(new Blob([csv()], { type: 'text/csv' }), `${name}.csv`)}>
+                    CSV
+                </button>
+            )}
+            {json && (
+                <button style={buttonStyle} onClick={() => downloadBlob(new Blob([json()], { type: 'application/json' }), `${name}.json`)}>
+                    JSON
+                </button>
+            )}
+            <button style={buttonStyle} onClick={() => exportImage('svg')}>SVG</button>
+            <button style={buttonStyle} onClick={() => exportImage('png')}>PNG</button>
+        </div>
+    );
+}
+
+// Editable list of compare-mode runs with their results side by side
+function CompareRunsPanel({ runs, setRuns, results, errors, computing, rocket, onAdd, units }) {
+    const { pressure: P, diameter: D, mass: M } = units;
+    const updateRun = (id, changes) => setRuns(prev => prev.map(r => (r.id === id ? { ...r, ...changes } : r)));
+    const updateRunRocket = (id, changes) => setRuns(prev => prev.map(r =>
+        (r.id === id ? { ...r, rocket: { ...r.rocket, ...changes } } : r)
+    ));
+    const duplicateRun = (id) => setRuns(prev => prev.flatMap(({ id: runId, ...fields }) => {
+        const run = { id: runId, ...fields };
+        return runId === id ? [run, makeRun({ ...fields, name: `${fields.name} copy` })] : [run];
+    }));
+    const removeRun = (id) => setRuns(prev => prev.filter(r => r.id !== id));
+
+    const presetOf = (run) => Object.keys(ROCKET_PRESETS).find(k =>
+        Object.keys(ROCKET_PRESETS[k]).every(key => run.rocket[key] === ROCKET_PRESETS[k][key])
+    ) || 'custom';
+    const chooseRocket = (run, value) => {
+        if (value === 'sidebar') updateRun(run.id, { rocket });
+        else updateRunRocket(run.id, ROCKET_PRESETS[value]);
+    };
+
+    const bestH = Math.max(...results.filter(Boolean).map(r => r.maxH), 0);
+
+    const cell = { padding: '4px 6px', textAlign: 'right', whiteSpace: 'nowrap' };
+    const head = { ...cell, color: '#666', fontWeight: 400, letterSpacing: '1px', borderBottom: '1px solid #2a2a3a' };
+    const inputStyle = {
+        background: '#0a0a0f',
+        border: '1px solid #2a2a3a',
+        borderRadius: '3px',
+        color: '#e0e0e0',
+        fontSize: '10px',
+        fontFamily: 'inherit',
+        padding: '3px 4px'
+    };
+    const iconButton = (color) => ({
+        background: 'transparent',
+        border: 'none',
+        color,
+        cursor: 'pointer',
+        fontSize: '12px',
+        fontFamily: 'inherit',
+        padding: '0 3px'
+    });
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px',
+            fontSize: '10px',
+            overflowX: 'auto'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>COMPARE RUNS</div>
+                <button
+                    onClick={onAdd}
+                    style={{
+                        marginLeft: 'auto',
+                        padding: '4px 10px',
+                        background: 'transparent',
+                        border: '1px solid #00ffaa',
+                        color: '#00ffaa',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '9px',
+                        letterSpacing: '1px',
+                        fontFamily: 'inherit'
+                    }}
+                >
+                    + ADD CURRENT SETTINGS
+                </button>
+            </div>
+
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                    <tr>
+                        <th style={{ ...head, textAlign: 'left' }} colSpan={2}>RUN</th>
+                        <th style={head}>FILL %</th>
+                        <th style={head}>{P.label.toUpperCase()}</th>
+                        <th style={head}>Cᴅ</th>
+                        <th style={head}>BOTTLE</th>
+                        <th style={head}>NOZZLE {D.label}</th>
+                        <th style={head}>DRY {M.label}</th>
+                        <th style={head}>APOGEE</th>
+                        <th style={head}>BURNOUT</th>
+                        <th style={head}>V BURNOUT</th>
+                        <th style={head}>FLIGHT</th>
+                        <th style={head} />
+                    </tr>
+                </thead>
+                <tbody>
+                    {runs.map((run, i) => {
+                        const result = results[i];
+                        const color = COLORS[i % COLORS.length];
+                        return (
+                            <tr key={run.id}>
+                                <td style={{ ...cell, paddingRight: 0 }}>
+                                    <div style={{ width: '10px', height: '10px', borderRadius: '2px', background: color }} />
+                                </td>
+                                <td style={{ ...cell, textAlign: 'left' }}>
+                                    <input
+                                        value={run.name}
+                                        onChange={(e) => updateRun(run.id, { name: e.target.value })}
+                                        style={{ ...inputStyle, width: '90px', color }}
+                                    />
+                                </td>
+                                <td style={cell}>
+                                    <NumberInput
+                                        value={run.fillRatio} scale={100} step={1} max={0.99} width="44px"
+                                        onChange={(v) => updateRun(run.id, { fillRatio: v })}
+                                    />
+                                </td>
+                                <td style={cell}>
+                                    <NumberInput
+                                        value={run.pressurePSI} scale={CONSTANTS.psi / P.si} step={P.step} max={200} width="44px"
+                                        onChange={(v) => updateRun(run.id, { pressurePSI: v })}
+                                    />
+                                </td>
+                                <td style={cell}>
+                                    <NumberInput
+                                        value={run.C_d} step={0.05} max={2} width="44px"
+                                        onChange={(v) => updateRun(run.id, { C_d: v })}
+                                    />
+                                </td>
+                                <td style={cell}>
+                                    <select
+                                        value={presetOf(run)}
+                                        onChange={(e) => chooseRocket(run, e.target.value)}
+                                        style={inputStyle}
+                                    >
+                                        {Object.keys(ROCKET_PRESETS).map(k => <option key={k} value={k}>{k}</option>)}
+                                        <option value="custom" disabled>
+                                            {+(run.rocket.tank_volume * 1000).toFixed(2)}L
+                                        </option>
+                                        <option value="sidebar">sidebar rocket</option>
+                                    </select>
+                                </td>
+                                <td style={cell}>
+                                    <NumberInput
+                                        value={run.rocket.d_nozzle} scale={1 / D.si} step={D.label === 'in' ? 0.01 : 0.5}
+                                        max={run.rocket.d_bottle * 0.95} width="44px"
+                                        onChange={(v) => updateRunRocket(run.id, { d_nozzle: v })}
+                                    />
+                                </td>
+                                <td style={cell}>
+                                    <NumberInput
+                                        value={run.rocket.mass_empty} scale={1 / M.si} step={M.label === 'oz' ? 0.1 : 5} width="44px"
+                                        onChange={(v) => updateRunRocket(run.id, { mass_empty: v })}
+                                    />
+                                </td>
+                                <td style={{ ...cell, color: result && result.maxH === bestH ? '#00ffaa' : '#e0e0e0' }}>
+                                    {result ? units.length.format(result.maxH)
+                                        : errors[i] ? <span style={{ color: '#ff6b6b' }} title={errors[i]}>failed</span>
+                                        : computing ? '…'
+                                        : <span style={{ color: '#ff6b6b' }} title="The water and launch tube leave no air in the tank">cannot fly</span>}
+                                </td>
+                                <td style={cell}>
+                                    {result?.burnoutTime ? `${(result.burnoutTime * 1000).toFixed(0)} ms` : '—'}
+                                </td>
+                                <td style={cell}>
+                                    {result?.burnoutVel ? units.speed.format(result.burnoutVel) : '—'}
+                                </td>
+                                <td style={cell}>
+                                    {result?.flightTime != null ? `${result.flightTime.toFixed(2)} s` : '—'}
+                                </td>
+                                <td style={cell}>
+                                    <button title="Duplicate" onClick={() => duplicateRun(run.id)} style={iconButton('#4ecdc4')}>⧉</button>
+                                    <button
+                                        title="Remove"
+                                        onClick={() => removeRun(run.id)}
+                                        disabled={runs.length === 1}
+                                        style={iconButton(runs.length === 1 ? '#333' : '#ff6b6b')}
+                                    >
+                                        ✕
+                                    </button>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <div style={{ marginTop: '8px', color: '#555' }}>
+                Launch angle, rail, wind, recovery and integrator come from the sidebar.
+            </div>
+        </div>
+    );
+}
+
+// Monte Carlo settings, dispersion table and result histograms
+function MonteCarloPanel({ settings, setSettings, ensemble, pending, disabled, units }) {
+    const { enabled, samples, seed, dispersions } = settings;
+    const update = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+    const updateDispersion = (key, value) => setSettings(prev => {
+        const next = { ...prev.dispersions };
+        if (value) next[key] = { ...prev.dispersions[key], ...value };
+        else delete next[key];
+        return { ...prev, dispersions: next };
+    });
+
+    const selectStyle = {
+        background: '#0a0a0f',
+        border: '1px solid #2a2a3a',
+        borderRadius: '3px',
+        color: '#e0e0e0',
+        fontSize: '10px',
+        fontFamily: 'inherit',
+        padding: '2px'
+    };
+
+    const buttonStyle = (active) => ({
+        padding: '4px 10px',
+        background: active ? '#4ecdc4' : 'transparent',
+        border: '1px solid #4ecdc4',
+        color: active ? '#0a0a0f' : '#4ecdc4',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit'
+    });
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>MONTE CARLO DISPERSION</div>
+                {disabled && <span style={{ color: '#555' }}>single mode only</span>}
+                <span style={{ marginLeft: 'auto', display: 'flex', gap: '6px', alignItems: 'center' }}>
+                    {enabled && pending > 0 && (
+                        <span style={{ color: '#ffe66d' }}>{samples - pending}/{samples}</span>
+                    )}
+                    <button onClick={() => update('enabled', !enabled)} style={buttonStyle(enabled)}>
+                        {enabled ? '◉ ON' : '○ OFF'}
+                    </button>
+                </span>
+            </div>
+
+            {enabled && (
+                <div style={{ display: 'flex', gap: '24px', marginTop: '12px', flexWrap: 'wrap' }}>
+                    {/* Inputs */}
+                    <div style={{ width: '300px' }}>
+                        {Object.entries(DISPERSION_PARAMS).map(([key, p]) => {
+                            const d = dispersions[key];
+                            const unit = p.quantity && units[p.quantity];
+                            const spreadScale = unit ? p.si / unit.si : 1;
+                            return (
+                                <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', height: '26px' }}>
+                                    <label style={{ color: d ? '#e0e0e0' : '#666', width: '118px' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={!!d}
+                                            onChange={(e) => updateDispersion(key, e.target.checked && { dist: 'normal', spread: p.spread })}
+                                            style={{ accentColor: '#4ecdc4' }}
+                                        />
+                                        {p.label}{unit && ` (${unit.label})`}
+                                    </label>
+                                    {d && (
+                                        <>
+                                            <select
+                                                value={d.dist}
+                                                onChange={(e) => updateDispersion(key, { dist: e.target.value })}
+                                                style={selectStyle}
+                                            >
+                                                {DISTRIBUTIONS.map(name => <option key={name} value={name}>{name}</option>)}
+                                            </select>
+                                            <div style={{ width: '100px', marginTop: '8px' }}>
+                                                <ConfigField
+                                                    label={d.dist === 'normal' ? 'σ' : '±'}
+                                                    value={d.spread}
+                                                    scale={spreadScale}
+                                                    step={p.spread / 2 * spreadScale}
+                                                    onChange={(v) => updateDispersion(key, { spread: v })}
+                                                />
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        <div style={{ marginTop: '12px' }}>
+                            <ParamSlider
+                                label="SAMPLES"
+                                display={samples}
+                                color="#4ecdc4"
+                                min={50} max={1000} step={50}
+                                value={samples}
+                                onChange={(v) => update('samples', v)}
+                            />
+                            <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+                                <div style={{ flex: 1 }}>
+                                    <ConfigField
+                                        label="SEED"
+                                        value={seed}
+                                        scale={1}
+                                        step={1}
+                                        min={-1}
+                                        onChange={(v) => update('seed', Math.round(v))}
+                                    />
+                                </div>
+                                <button
+                                    onClick={() => update('seed', Math.floor(Math.random() * 1e6))}
+                                    style={buttonStyle(false)}
+                                >
+                                    NEW SEED
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Results */}
+                    <div style={{ flex: 1, minWidth: '300px' }}>
+                        {ensemble ? (
+                            <>
+                                <Histogram title="APOGEE" unit={units.length} stats={ensemble.apogee} color="#00ffaa" />
+                                <Histogram title="WATER BURNOUT VELOCITY" unit={units.speed} stats={ensemble.burnoutVel} color="#ff6b6b" />
+                                <div style={{ color: '#888', marginTop: '4px' }}>
+                                    Flight time {ensemble.flightTime.p50.toFixed(2)} s
+                                    {' '}({ensemble.flightTime.p5.toFixed(2)}–{ensemble.flightTime.p95.toFixed(2)} s) • {ensemble.n} runs • seed {seed}
+                                </div>
+                                <div style={{ color: '#666', marginTop: '4px' }}>
+                                    <span style={{ color: '#4ecdc4' }}>▒</span> 5–95% altitude band and
+                                    <span style={{ color: '#4ecdc4' }}> - - -</span> median on the trajectory plot
+                                </div>
+                            </>
+                        ) : (
+                            <div style={{ color: '#555' }}>{disabled ? 'Switch to single mode to run the ensemble.' : 'Running…'}</div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Histogram with 5th / 50th / 95th percentile markers; `unit` converts the SI stats
+function Histogram({ title, unit, stats, color }) {
+    const show = (v, digits = 1) => unit.from(v).toFixed(digits);
+    const width = 340;
+    const height = 90;
+    const pad = { left: 8, right: 8, top: 4, bottom: 16 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const { min, width: binW, counts } = stats.hist;
+    const peak = Math.max(...counts);
+    const span = binW * counts.length;
+    const sx = (v) => pad.left + (v - min) / span * plotW;
+
+    return (
+        <div style={{ marginBottom: '10px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', color: '#888', marginBottom: '4px' }}>
+                <span style={{ letterSpacing: '1px' }}>{title}</span>
+                <span>
+                    <span style={{ color }}>{unit.format(stats.p50)}</span>
+                    {' '}(5–95%: {show(stats.p5)}–{show(stats.p95)}, σ {show(stats.sd, 2)})
+                </span>
+            </div>
+            <svg width={width} height={height} style={{ display: 'block' }}>
+                {counts.map((c, i) => (
+                    <rect
+                        key={i}
+                        x={pad.left + i * plotW / counts.length + 0.5}
+                        y={pad.top + plotH - c / peak * plotH}
+                        width={Math.max(plotW / counts.length - 1, 0.5)}
+                        height={c / peak * plotH}
+                        fill={color}
+                        opacity="0.6"
+                    />
+                ))}
+                {[stats.p5, stats.p50, stats.p95].map((v, i) => (
+                    <line
+                        key={i}
+                        x1={sx(v)} y1={pad.top}
+                        x2={sx(v)} y2={pad.top + plotH}
+                        stroke={i === 1 ? '#fff' : '#888'}
+                        strokeDasharray={i === 1 ? 'none' : '3,2'}
+                    />
+                ))}
+                <text x={pad.left} y={height - 3} fill="#666" fontSize="9">{show(min)}</text>
+                <text x={width - pad.right} y={height - 3} fill="#666" fontSize="9" textAnchor="end">
+                    {unit.format(min + span)}
+                </text>
+            </svg>
+        </div>
+    );
+}
+
+// Goal-seeking search over the design variables, run on the worker pool
+function DesignPanel({ scenario, solver, units, onApply }) {
+    const { length: L, speed: V, pressure: P } = units;
+    const [goal, setGoal] = useState('maxApogee');
+    const [targets, setTargets] = useState({ targetApogee: 30, targetFlightTime: 5 });
+    const [variables, setVariables] = useState(['fillRatio', 'pressurePSI']);
+    const [bounds, setBounds] = useState(() => Object.fromEntries(
+        Object.entries(DESIGN_VARIABLES).map(([key, { min, max }]) => [key, { min, max }])
+    ));
+    const [constraints, setConstraints] = useState({
+        maxPressurePSI: { on: false, value: 90 },
+        minApogee: { on: false, value: 20 },
+        maxLandingSpeed: { on: false, value: 10 },
+    });
+    const [design, setDesign] = useState(null);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Display scale and unit for each design variable and constraint
+    const fieldUnit = (quantity) => {
+        if (quantity === 'pressure') return { scale: CONSTANTS.psi / P.si, unit: P.label, step: P.step };
+        if (!quantity) return { scale: 100, unit: '%', step: 1 };
+        const u = units[quantity];
+        return { scale: 1 / u.si, unit: u.label, step: quantity === 'diameter' ? 0.5 : 1 };
+    };
+    const metricFormat = {
+        maxH: (v) => L.format(v),
+        flightTime: (v) => `${v.toFixed(2)} s`,
+        landingVel: (v) => V.format(v),
+    };
+    const valueFormat = (key, v) => {
+        const { quantity } = DESIGN_VARIABLES[key];
+        if (quantity === 'pressure') return P.format(v * CONSTANTS.psi, P.digits);
+        if (quantity === 'diameter') return units.diameter.format(v, units.diameter.label === 'in' ? 3 : 1);
+        if (quantity === 'mass') return units.mass.format(v, units.mass.label === 'oz' ? 2 : 0);
+        return `${(v * 100).toFixed(1)}%`;
+    };
+
+    const toggleVariable = (key) => setVariables(prev =>
+        prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    );
+    const setBound = (key, side, v) => setBounds(prev => ({ ...prev, [key]: { ...prev[key], [side]: v } }));
+    const setConstraint = (key, fields) => setConstraints(prev => ({ ...prev, [key]: { ...prev[key], ...fields } }));
+
+    const run = () => {
+        if (running || variables.length === 0) return;
+        const spec = {
+            goal,
+            target: targets[goal],
+            variables,
+            bounds,
+            constraints: Object.fromEntries(
+                Object.entries(constraints).map(([key, c]) => [key, c.on ? c.value : null])
+            ),
+        };
+        const { fillRatio, C_d, pressurePSI, rocket, launch } = scenario;
+        setRunning(true);
+        setError(null);
+        getPool().run([
+            { fn: 'design', args: [spec, fillRatio, C_d, pressurePSI, rocket, launch, { solver }] },
+        ]).promise
+            .then(results => { if (results) setDesign(results[0]); })
+            .catch(err => setError(err.message))
+            .finally(() => setRunning(false));
+    };
+
+    const buttonStyle = (color, active = false) => ({
+        padding: '4px 10px',
+        background: active ? color : 'transparent',
+        border: `1px solid ${color}`,
+        color: active ? '#0a0a0f' : color,
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '9px',
+        letterSpacing: '1px',
+        fontFamily: 'inherit'
+    });
+    const targetGoal = DESIGN_GOALS[goal].target;
+    const metric = design && metricFormat[DESIGN_GOALS[design.goal].metric];
+    const maxElasticity = design
+        ? Math.max(...design.sensitivity.map(s => Math.abs(s.elasticity) || 0), 1e-9)
+        : 1;
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <div style={{ letterSpacing: '2px', color: '#666', marginRight: '6px' }}>DESIGN OPTIMIZER</div>
+                {Object.entries(DESIGN_GOALS).map(([key, { label }]) => (
+                    <button key={key} onClick={() => setGoal(key)} style={buttonStyle('#ffe66d', goal === key)}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', color: '#888' }}>
+                <div>
+                    <div style={{ color: '#666', marginBottom: '6px' }}>SEARCH WITHIN</div>
+                    {Object.entries(DESIGN_VARIABLES).map(([key, { label, quantity }]) => {
+                        const { scale, unit, step } = fieldUnit(quantity);
+                        return (
+                            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                                <label style={{ width: '130px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={variables.includes(key)}
+                                        onChange={() => toggleVariable(key)}
+                                        style={{ accentColor: '#ffe66d' }}
+                                    />
+                                    {label}
+                                </label>
+                                <NumberInput
+                                    value={bounds[key].min} scale={scale} step={step} width="52px"
+                                    max={bounds[key].max} onChange={(v) => setBound(key, 'min', v)}
+                                />
+                                <span>–</span>
+                                <NumberInput
+                                    value={bounds[key].max} scale={scale} step={step} width="52px"
+                                    min={bounds[key].min} onChange={(v) => setBound(key, 'max', v)}
+                                />
+                                <span style={{ color: '#555' }}>{unit}</span>
+                            </div>
+                        );
+                    })}
+                </div>
+                <div>
+                    <div style={{ color: '#666', marginBottom: '6px' }}>{targetGoal ? 'TARGET AND LIMITS' : 'LIMITS'}</div>
+                    {targetGoal && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                            <span style={{ width: '130px' }}>{goal === 'targetApogee' ? 'APOGEE' : 'FLIGHT TIME'}</span>
+                            <NumberInput
+                                value={targets[goal]}
+                                scale={goal === 'targetApogee' ? 1 / L.si : 1}
+                                step={goal === 'targetApogee' ? 1 : 0.1}
+                                width="52px"
+                                onChange={(v) => setTargets(prev => ({ ...prev, [goal]: v }))}
+                            />
+                            <span style={{ color: '#555' }}>{goal === 'targetApogee' ? L.label : 's'}</span>
+                        </div>
+                    )}
+                    {Object.entries(DESIGN_CONSTRAINTS).map(([key, { label, quantity }]) => {
+                        const { scale, unit, step } = fieldUnit(quantity);
+                        return (
+                            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                                <label style={{ width: '130px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={constraints[key].on}
+                                        onChange={(e) => setConstraint(key, { on: e.target.checked })}
+                                        style={{ accentColor: '#ffe66d' }}
+                                    />
+                                    {label}
+                                </label>
+                                <NumberInput
+                                    value={constraints[key].value} scale={scale} step={step} width="52px"
+                                    onChange={(v) => setConstraint(key, { value: v })}
+                                />
+                                <span style={{ color: '#555' }}>{unit}</span>
+                            </div>
+                        );
+                    })}
+                </div>
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+                    <button onClick={run} disabled={variables.length === 0 || running} style={buttonStyle('#ffe66d')}>
+                        {running ? 'SEARCHING…' : 'OPTIMIZE'}
+                    </button>
+                    {design && (
+                        <button onClick={() => onApply(design.values)} style={buttonStyle('#00ffaa')}>
+                            APPLY
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && <div style={{ marginTop: '10px', color: '#ff6b6b' }}>{error}</div>}
+
+            {design && (
+                <div style={{ marginTop: '14px', display: 'flex', gap: '32px', flexWrap: 'wrap', color: '#888' }}>
+                    <div>
+                        <div style={{ marginBottom: '6px' }}>
+                            {DESIGN_GOALS[design.goal].label}:{' '}
+                            {design.initialMetric !== null ? `${metric(design.initialMetric)} → ` : ''}
+                            <span style={{ color: '#ffe66d' }}>{design.metric !== null ? metric(design.metric) : '—'}</span>
+                        </div>
+                        {design.variables.map(key => (
+                            <div key={key} style={{ display: 'flex', gap: '12px', marginBottom: '3px' }}>
+                                <span style={{ width: '130px' }}>{DESIGN_VARIABLES[key].label}</span>
+                                <span>{valueFormat(key, design.initial[key])} →</span>
+                                <span style={{ color: '#ffe66d' }}>{valueFormat(key, design.values[key])}</span>
+                            </div>
+                        ))}
+                        <div style={{ marginTop: '6px', color: design.feasible ? '#666' : '#ff6b6b' }}>
+                            {design.feasible
+                                ? `All limits met • ${design.evaluations} flights • ${design.iterations} iterations`
+                                : design.metric === null
+                                ? 'No design found that can fly; the water and launch tube leave no air in the tank'
+                                : `Limits not met: ${Object.keys(design.violations).map(k => DESIGN_CONSTRAINTS[k].label).join(', ')}`}
+                        </div>
+                    </div>
+                    {/* Relative change in the goal quantity per relative change in each parameter */}
+                    <div style={{ flex: 1, minWidth: '260px' }}>
+                        <div style={{ color: '#666', marginBottom: '6px' }}>SENSITIVITY (ELASTICITY AT THE OPTIMUM)</div>
+                        {design.sensitivity.map(({ key, elasticity }) => (
+                            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                                <span style={{ width: '120px' }}>{DESIGN_VARIABLES[key].label}</span>
+                                <div style={{ flex: 1, height: '8px', background: '#1a1a2a', borderRadius: '2px' }}>
+                                    <div style={{
+                                        width: `${(Math.abs(elasticity) || 0) / maxElasticity * 100}%`,
+                                        height: '100%',
+                                        background: elasticity >= 0 ? '#00ffaa' : '#ff6b6b',
+                                        borderRadius: '2px'
+                                    }} />
+                                </div>
+                                <span style={{ width: '48px', textAlign: 'right', color: '#e0e0e0' }}>
+                                    {Number.isFinite(elasticity) ? `${elasticity >= 0 ? '+' : ''}${elasticity.toFixed(2)}` : '—'}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Tornado chart of one output against ±step changes in each input, with
+// partial derivatives and elasticities; recomputed as the sliders move
+function SensitivityPanel({ scenario, solver, width, units }) {
+    const { length: L, speed: V, pressure: P } = units;
+    const [output, setOutput] = useState('maxH');
+    const [step, setStep] = useState(0.1);
+    const { fillRatio, C_d, pressurePSI, rocket, launch } = scenario;
+    const setup = useMemo(() => ({ fillRatio, C_d, pressurePSI, rocket, launch }),
+        [fillRatio, C_d, pressurePSI, rocket, launch]);
+
+    const runs = usePoolJobs(() => sensitivityScenarios(setup, step).map(s => (
+        { fn: 'sensitivity', args: [s.fillRatio, s.C_d, s.pressurePSI, s.rocket, s.launch, { solver }] }
+    )), [setup, solver, step], { eager: false });
+    const { base, inputs } = summarizeSensitivity(setup, runs.results, step);
+
+    const outputFormat = {
+        maxH: (v) => L.format(v),
+        burnoutVel: (v) => V.format(v),
+        flightTime: (v) => `${v.toFixed(2)} s`,
+    }[output];
+    const { quantity } = SENSITIVITY_OUTPUTS[output];
+    const outScale = quantity ? 1 / units[quantity].si : 1;
+    const outUnit = quantity ? units[quantity].label : 's';
+    // Display units per model unit of each input, for the derivative column
+    const inputUnit = (key) => {
+        const q = SENSITIVITY_INPUTS[key].quantity;
+        if (q === 'pressure') return { scale: CONSTANTS.psi / P.si, label: P.label };
+        if (q) return { scale: 1 / units[q].si, label: units[q].label };
+        return key === 'fillRatio' ? { scale: 100, label: '%' } : { scale: 1, label: 'unit' };
+    };
+
+    const swing = (row) => Math.abs(row.high[output] - row.low[output]);
+    const rows = inputs.slice().sort((a, b) => (swing(b) || 0) - (swing(a) || 0));
+    const maxDelta = Math.max(1e-9, ...rows.flatMap(r => [r.low[output], r.high[output]])
+        .map(v => Math.abs(v - base[output])).filter(Number.isFinite));
+
+    const rowH = 22;
+    const pad = { top: 22, left: 110, right: 200 };
+    const plotW = Math.max(width - pad.left - pad.right, 120);
+    const height = pad.top + rows.length * rowH + 8;
+    const cx = pad.left + plotW / 2;
+    const sx = (v) => cx + (v - base[output]) / maxDelta * (plotW / 2 - 4);
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <div style={{ letterSpacing: '2px', color: '#666', marginRight: '6px' }}>SENSITIVITY</div>
+                {Object.entries(SENSITIVITY_OUTPUTS).map(([key, { label }]) => (
+                    <button
+                        key={key}
+                        onClick={() => setOutput(key)}
+                        style={{
+                            padding: '2px 6px',
+                            background: output === key ? '#22d3ee' : 'transparent',
+                            border: '1px solid #22d3ee',
+                            color: output === key ? '#0a0a0f' : '#22d3ee',
+                            borderRadius: '3px',
+                            cursor: 'pointer',
+                            fontSize: '9px',
+                            fontFamily: 'inherit'
+                        }}
+                    >
+                        {label}
+                    </button>
+                ))}
+                <span style={{ marginLeft: 'auto', display: 'flex', gap: '4px', alignItems: 'center' }}>
+                    {runs.pending > 0 && (
+                        <span style={{ color: '#ffe66d', marginRight: '6px' }}>
+                            {runs.results.length - runs.pending}/{runs.results.length}
+                        </span>
+                    )}
+                    {runs.error && <span style={{ color: '#ff6b6b', marginRight: '6px' }}>{runs.error}</span>}
+                    {[0.05, 0.1, 0.2].map(s => (
+                        <button
+                            key={s}
+                            onClick={() => setStep(s)}
+                            style={{
+                                padding: '2px 6px',
+                                background: step === s ? '#22d3ee' : 'transparent',
+                                border: '1px solid #22d3ee',
+                                color: step === s ? '#0a0a0f' : '#22d3ee',
+                                borderRadius: '3px',
+                                cursor: 'pointer',
+                                fontSize: '9px',
+                                fontFamily: 'inherit'
+                            }}
+                        >
+                            ±{s * 100}%
+                        </button>
+                    ))}
+                </span>
+            </div>
+
+            <svg width={width} height={height} style={{ display: 'block' }}>
+                <text x={cx} y={12} fill="#888" fontSize="9" textAnchor="middle">
+                    {Number.isFinite(base[output]) ? outputFormat(base[output]) : '—'}
+                </text>
+                <text x={pad.left + plotW + 12} y={12} fill="#666" fontSize="9">∂/∂x</text>
+                <text x={width - 8} y={12} fill="#666" fontSize="9" textAnchor="end">ELASTICITY</text>
+                {rows.map((row, k) => {
+                    const y = pad.top + k * rowH;
+                    const { scale, label } = inputUnit(row.key);
+                    const derivative = row.derivative[output] * outScale / scale;
+                    const elasticity = row.elasticity[output];
+                    const bar = (v, color) => Number.isFinite(v) && (
+                        <rect
+                            x={Math.min(sx(v), cx)}
+                            y={y + 4}
+                            width={Math.abs(sx(v) - cx)}
+                            height={rowH - 8}
+                            fill={color}
+                            opacity="0.8"
+                        />
+                    );
+                    return (
+                        <g key={row.key}>
+                            <text x={pad.left - 8} y={y + rowH / 2 + 3} fill="#888" fontSize="9" textAnchor="end">
+                                {SENSITIVITY_INPUTS[row.key].label}
+                            </text>
+                            {bar(row.low[output], '#fb923c')}
+                            {bar(row.high[output], '#22d3ee')}
+                            <text x={pad.left + plotW + 12} y={y + rowH / 2 + 3} fill="#e0e0e0" fontSize="9">
+                                {Number.isFinite(derivative) ? `${derivative.toPrecision(3)} ${outUnit}/${label}` : '—'}
+                            </text>
+                            <text x={width - 8} y={y + rowH / 2 + 3} fill="#e0e0e0" fontSize="9" textAnchor="end">
+                                {Number.isFinite(elasticity) ? `${elasticity >= 0 ? '+' : ''}${elasticity.toFixed(2)}` : '—'}
+                            </text>
+                        </g>
+                    );
+                })}
+                <line x1={cx} y1={pad.top - 2} x2={cx} y2={height - 6} stroke="#666" strokeWidth="1" />
+            </svg>
+            <div style={{ color: '#666', marginTop: '6px' }}>
+                <span style={{ color: '#fb923c' }}>■</span> input −{step * 100}%
+                {' '}<span style={{ color: '#22d3ee' }}>■</span> input +{step * 100}%
+                {' '}• elasticity: % change in {SENSITIVITY_OUTPUTS[output].label.toLowerCase()} per 1% change in the input
+            </div>
+        </div>
+    );
+}
+
+// Parameters that can span the heatmap axes, read from and written to a
+// { fillRatio, C_d, pressurePSI, rocket, launch } scenario; `format` takes display units
+const GRID_PARAMS = {
+    fillRatio: {
+        label: 'FILL RATIO', min: 0.05, max: 0.95,
+        format: v => `${(v * 100).toFixed(0)}%`,
+        get: s => s.fillRatio,
+        set: (s, v) => ({ ...s, fillRatio: v }),
+    },
+    pressure: {
+        label: 'PRESSURE', min: 20, max: 120,
+        format: (v, u) => u.pressure.format(v * CONSTANTS.psi, u.pressure.digits),
+        get: s => s.pressurePSI,
+        set: (s, v) => ({ ...s, pressurePSI: v }),
+    },
+    C_d: {
+        label: 'DRAG COEFF', min: 0.1, max: 1.0,
+        format: v => v.toFixed(2),
+        get: s => s.C_d,
+        set: (s, v) => ({ ...s, C_d: v }),
+    },
+    mass_empty: {
+        label: 'DRY MASS', min: 0.03, max: 0.3,
+        format: (v, u) => u.mass.format(v, u.mass.label === 'oz' ? 1 : 0),
+        get: s => s.rocket.mass_empty,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, mass_empty: v } }),
+    },
+    d_nozzle: {
+        label: 'NOZZLE Ø', min: 0.008, max: 0.03,
+        format: (v, u) => u.diameter.format(v, u.diameter.label === 'in' ? 2 : 1),
+        get: s => s.rocket.d_nozzle,
+        // Never wider than the bottle can take
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, d_nozzle: v === null ? v : Math.min(v, s.rocket.d_bottle * 0.95) } }),
+    },
+    angle: {
+        label: 'LAUNCH ANGLE', min: 45, max: 90,
+        format: v => `${v.toFixed(0)}°`,
+        get: s => s.launch.angle,
+        set: (s, v) => ({ ...s, launch: { ...s.launch, angle: v } }),
+    },
+};
+
+// Dark-to-bright ramp for apogee, f in [0, 1]
+const HEAT_STOPS = ['#0a0a2e', '#3b1e6e', '#a855f7', '#ff6b6b', '#ffe66d'];
+
+function heatColor(f) {
+    const x = Math.min(Math.max(f, 0), 1) * (HEAT_STOPS.length - 1);
+    const k = Math.min(Math.floor(x), HEAT_STOPS.length - 2);
+    const a = HEAT_STOPS[k];
+    const b = HEAT_STOPS[k + 1];
+    const mix = (i) => Math.round(
+        parseInt(a.slice(i, i + 2), 16) * (k + 1 - x) + parseInt(b.slice(i, i + 2), 16) * (x - k)
+    ).toString(16).padStart(2, '0');
+    return `#${mix(1)}${mix(3)}${mix(5)}`;
+}
+
+function HeatmapPanel({ scenario, solver, width, onPick, units }) {
+    const { length: L } = units;
+    const [xKey, setXKey] = useState('fillRatio');
+    const [yKey, setYKey] = useState('pressure');
+    const [res, setRes] = useState(21);
+    const [hover, setHover] = useState(null);
+
+    const xParam = GRID_PARAMS[xKey];
+    const yParam = GRID_PARAMS[yKey];
+    const axis = (p) => Array.from({ length: res }, (_, i) => p.min + (p.max - p.min) * i / (res - 1));
+    const xs = axis(xParam);
+    const ys = axis(yParam);
+    const cellScenario = (i, j) => xParam.set(yParam.set(scenario, ys[j]), xs[i]);
+
+    // Recompute only when something other than the two swept values changes
+    const baseKey = JSON.stringify([xParam.set(yParam.set(scenario, null), null), solver]);
+    const grid = usePoolJobs(() => ys.flatMap((_, j) => xs.map((_, i) => {
+        const { fillRatio, C_d, pressurePSI, rocket, launch } = cellScenario(i, j);
+        return {
+            fn: 'apogee',
+            args: [fillRatio, C_d, pressurePSI, rocket, launch, { solver }],
+            key: `${xKey} ${xs[i]} ${yKey} ${ys[j]}`,
+        };
+    })), [baseKey, xKey, yKey, res], { priority: -1, eager: false });
+
+    const value = (i, j) => grid.results[j * res + i]?.maxH ?? null;
+    const values = grid.results.filter(Boolean).map(r => r.maxH);
+    const vMin = values.length > 0 ? Math.min(...values) : 0;
+    const vMax = values.length > 0 ? Math.max(...values) : 1;
+
+    // Best x in every completed row, refined by a parabola through its neighbours
+    const ridge = ys.map((y, j) => {
+        const row = xs.map((_, i) => value(i, j));
+        if (row.some(v => v === null)) return null;
+        const i = row.indexOf(Math.max(...row));
+        let offset = 0;
+        if (i > 0 && i < res - 1) {
+            const curvature = row[i - 1] - 2 * row[i] + row[i + 1];
+            if (curvature < 0) offset = 0.5 * (row[i - 1] - row[i + 1]) / curvature;
+        }
+        return { x: xs[i] + offset * (xs[1] - xs[0]), y };
+    });
+
+    let best = null;
+    ys.forEach((_, j) => xs.forEach((_, i) => {
+        const v = value(i, j);
+        if (v !== null && (!best || v > best.v)) best = { i, j, v };
+    }));
+
+    const height = 320;
+    const pad = { top: 10, right: 90, bottom: 40, left: 60 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const cellW = plotW / res;
+    const cellH = plotH / res;
+    const sx = (v) => pad.left + cellW / 2 + (v - xParam.min) / (xParam.max - xParam.min) * (plotW - cellW);
+    const sy = (v) => pad.top + plotH - cellH / 2 - (v - yParam.min) / (yParam.max - yParam.min) * (plotH - cellH);
+
+    const current = { x: xParam.get(scenario), y: yParam.get(scenario) };
+    const currentVisible = current.x >= xParam.min && current.x <= xParam.max
+        && current.y >= yParam.min && current.y <= yParam.max;
+
+    const ridgeRuns = [];
+    ridge.forEach((p, j) => {
+        if (!p) return;
+        if (j === 0 || !ridge[j - 1]) ridgeRuns.push([]);
+        ridgeRuns[ridgeRuns.length - 1].push(p);
+    });
+
+    const selectStyle = {
+        background: '#0a0a0f',
+        border: '1px solid #2a2a3a',
+        borderRadius: '3px',
+        color: '#e0e0e0',
+        fontSize: '10px',
+        fontFamily: 'inherit',
+        padding: '2px'
+    };
+
+    // Picking the other axis' parameter swaps the two
+    const chooseAxis = (which, key) => {
+        if (which === 'x') {
+            if (key === yKey) setYKey(xKey);
+            setXKey(key);
+        } else {
+            if (key === xKey) setXKey(yKey);
+            setYKey(key);
+        }
+        setHover(null);
+    };
+
+    const tip = hover && value(hover.i, hover.j) !== null ? {
+        x: Math.min(pad.left + (hover.i + 1) * cellW + 6, width - pad.right - 130),
+        y: Math.max(pad.top + (res - 1 - hover.j) * cellH - 50, pad.top),
+    } : null;
+
+    return (
+        <div style={{
+            background: 'rgba(10, 10, 15, 0.9)',
+            border: '1px solid #2a2a3a',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '16px',
+            fontSize: '10px'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <div style={{ letterSpacing: '2px', color: '#666' }}>APOGEE MAP</div>
+                <select value={xKey} onChange={(e) => chooseAxis('x', e.target.value)} style={selectStyle}>
+                    {Object.entries(GRID_PARAMS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                </select>
+                <span style={{ color: '#666' }}>×</span>
+                <select value={yKey} onChange={(e) => chooseAxis('y', e.target.value)} style={selectStyle}>
+                    {Object.entries(GRID_PARAMS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                </select>
+                <span style={{ marginLeft: 'auto', display: 'flex', gap: '4px', alignItems: 'center' }}>
+                    {grid.pending > 0 && (
+                        <span style={{ color: '#ffe66d', marginRight: '6px' }}>
+                            {res * res - grid.pending}/{res * res}
+                        </span>
+                    )}
+                    {grid.error && <span style={{ color: '#ff6b6b', marginRight: '6px' }}>{grid.error}</span>}
+                    {[11, 21, 31].map(n => (
+                        <button
+                            key={n}
+                            onClick={() => { setRes(n); setHover(null); }}
+                            style={{
+                                padding: '2px 6px',
+                                background: res === n ? '#a855f7' : 'transparent',
+                                border: '1px solid #a855f7',
+                                color: res === n ? '#0a0a0f' : '#a855f7',
+                                borderRadius: '3px',
+                                cursor: 'pointer',
+                                fontSize: '9px',
+                                fontFamily: 'inherit'
+                            }}
+                        >
+                            {n}×{n}
+                        </button>
+                    ))}
+                </span>
+            </div>
+
+            <svg width={width} height={height} style={{ display: 'block' }} onMouseLeave={() => setHover(null)}>
+                {/* Cells */}
+                {ys.map((_, j) => xs.map((_, i) => {
+                    const v = value(i, j);
+                    return (
+                        <rect
+                            key={`${i}-${j}`}
+                            x={pad.left + i * cellW}
+                            y={pad.top + (res - 1 - j) * cellH}
+                            width={cellW + 0.5}
+                            height={cellH + 0.5}
+                            fill={v === null ? '#111118' : heatColor((v - vMin) / (vMax - vMin || 1))}
+                            style={{ cursor: 'pointer' }}
+                            onMouseEnter={() => setHover({ i, j })}
+                            onClick={() => onPick(cellScenario(i, j))}
+                        />
+                    );
+                }))}
+
+                {/* Optimum ridge: best x for each y */}
+                {ridgeRuns.map((run, k) => (
+                    <path
+                        key={k}
+                        d={run.map((p, n) => `${n === 0 ? 'M' : 'L'} ${sx(p.x)} ${sy(p.y)}`).join(' ')}
+                        fill="none"
+                        stroke="#00ffaa"
+                        strokeWidth="2"
+                        strokeDasharray="4,3"
+                        pointerEvents="none"
+                    />
+                ))}
+                {best && (
+                    <circle
+                        cx={sx(xs[best.i])} cy={sy(ys[best.j])} r="5"
+                        fill="#00ffaa" stroke="#0a0a0f" strokeWidth="1.5"
+                        pointerEvents="none"
+                    />
+                )}
+
+                {/* Current slider setting */}
+                {currentVisible && (
+                    <g pointerEvents="none">
+                        <line x1={sx(current.x)} y1={pad.top} x2={sx(current.x)} y2={pad.top + plotH} stroke="#fff" strokeWidth="0.5" opacity="0.5" />
+                        <line x1={pad.left} y1={sy(current.y)} x2={pad.left + plotW} y2={sy(current.y)} stroke="#fff" strokeWidth="0.5" opacity="0.5" />
+                        <circle cx={sx(current.x)} cy={sy(current.y)} r="5" fill="none" stroke="#fff" strokeWidth="2" />
+                    </g>
+                )}
+
+                {/* Hovered cell */}
+                {hover && (
+                    <rect
+                        x={pad.left + hover.i * cellW}
+                        y={pad.top + (res - 1 - hover.j) * cellH}
+                        width={cellW}
+                        height={cellH}
+                        fill="none"
+                        stroke="#fff"
+                        pointerEvents="none"
+                    />
+                )}
+
+                {/* Axes */}
+                {[0, 0.25, 0.5, 0.75, 1].map(f => {
+                    const xv = xParam.min + f * (xParam.max - xParam.min);
+                    const yv = yParam.min + f * (yParam.max - yParam.min);
+                    return (
+                        <g key={f}>
+                            <text x={sx(xv)} y={height - 24} fill="#666" fontSize="9" textAnchor="middle">
+                                {xParam.format(xv, units)}
+                            </text>
+                            <text x={pad.left - 6} y={sy(yv) + 3} fill="#666" fontSize="9" textAnchor="end">
+                                {yParam.format(yv, units)}
+                            </text>
+                        </g>
+                    );
+                })}
+                <text x={pad.left + plotW / 2} y={height - 6} fill="#888" fontSize="10" textAnchor="middle">
+                    {xParam.label}
+                </text>
+                <text
+                    x={12} y={pad.top + plotH / 2}
+                    fill="#888" fontSize="10" textAnchor="middle"
+                    transform={`rotate(-90, 12, ${pad.top + plotH / 2})`}
+                >
+                    {yParam.label}
+                </text>
+
+                {/* Colour bar */}
+                {Array.from({ length: 40 }, (_, k) => (
+                    <rect
+                        key={k}
+                        x={width - pad.right + 20}
+                        y={pad.top + plotH - (k + 1) * plotH / 40}
+                        width={12}
+                        height={plotH / 40 + 0.5}
+                        fill={heatColor((k + 0.5) / 40)}
+                    />
+                ))}
+                <text x={width - pad.right + 38} y={pad.top + 8} fill="#888" fontSize="9">{L.format(vMax, 0)}</text>
+                <text x={width - pad.right + 38} y={pad.top + plotH} fill="#888" fontSize="9">{L.format(vMin, 0)}</text>
+
+                {/* Hover readout */}
+                {tip && (
+                    <g pointerEvents="none">
+                        <rect x={tip.x} y={tip.y} width={124} height={46} rx="3" fill="rgba(10, 10, 15, 0.95)" stroke="#2a2a3a" />
+                        <text x={tip.x + 6} y={tip.y + 13} fill="#888" fontSize="9">
+                            {xParam.label} {xParam.format(xs[hover.i], units)}
+                        </text>
+                        <text x={tip.x + 6} y={tip.y + 25} fill="#888" fontSize="9">
+                            {yParam.label} {yParam.format(ys[hover.j], units)}
+                        </text>
+                        <text x={tip.x + 6} y={tip.y + 39} fill="#ffe66d" fontSize="10">
+                            APOGEE {L.format(value(hover.i, hover.j))}
+                        </text>
+                    </g>
+                )}
+            </svg>
+
+            <div style={{ marginTop: '8px', color: '#666' }}>
+                <span style={{ color: '#00ffaa' }}>- - -</span> best {xParam.label.toLowerCase()} for each {yParam.label.toLowerCase()}
+                {best && ` • peak ${L.format(best.v)} at ${xParam.format(xs[best.i], units)}, ${yParam.format(ys[best.j], units)}`}
+                {' '}• <span style={{ color: '#fff' }}>○</span> current • click a cell to apply it
+            </div>
+        </div>
+    );
+}
+
+// Content-box width of an element, following resizes
+function useElementWidth(ref, fallback) {
+    const [width, setWidth] = useState(fallback);
+    useEffect(() => {
+        if (!ref.current || typeof ResizeObserver === 'undefined') return;
+        const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)));
+        observer.observe(ref.current);
+        return () => observer.disconnect();
+    }, []);
+    return width;
+}
+
+// Identity of a job across batches, for carrying its result over
+const jobKey = (job, index) => job.key ?? index;
+
+// Run a batch of pool jobs whenever deps change, cancelling the previous batch.
+// Eager hooks compute inline on the first render so there is always something
+// to draw, and keep those results rather than queueing the same jobs again.
+// After that results stream in and replace the old ones, so plots update
+// progressively instead of blanking mid-drag. A result carries over only to
+// the job with the same `key` (its index unless the job names one), so
+// removing or reordering items never shows one item's result under another.
+// A job that throws leaves its result null and its message in `errors`;
+// `error` is the first of them.
+function usePoolJobs(makeJobs, deps, { priority = 0, eager = true } = {}) {
+    const [state, setState] = useState(() => {
+        const jobs = makeJobs();
+        const initial = { keys: jobs.map(jobKey), results: jobs.map(() => null), errors: jobs.map(() => null), pending: 0 };
+        if (eager) {
+            jobs.forEach((job, i) => {
+                try {
+                    initial.results[i] = runJob(job);
+                } catch (err) {
+                    initial.errors[i] = err.message;
+                }
+            });
+        }
+        return initial;
+    });
+    // Set while the inline results still match the deps
+    const inline = useRef(eager);
+
+    useEffect(() => {
+        if (inline.current) {
+            inline.current = false;
+            return;
+        }
+        const jobs = makeJobs();
+        const keys = jobs.map(jobKey);
+        setState(prev => ({
+            keys,
+            results: keys.map(key => {
+                const j = prev.keys.indexOf(key);
+                return j < 0 ? null : prev.results[j];
+            }),
+            errors: jobs.map(() => null),
+            pending: jobs.length,
+        }));
+        if (jobs.length === 0) return;
+
+        const settle = (index, result, error) => setState(prev => {
+            const results = prev.results.slice();
+            const errors = prev.errors.slice();
+            results[index] = result;
+            errors[index] = error;
+            return { ...prev, results, errors, pending: prev.pending - 1 };
+        });
+        const batch = getPool().run(jobs.map(({ fn, args }) => ({ fn, args })), {
+            priority,
+            onResult: (index, result) => settle(index, result, null),
+            onError: (index, message) => settle(index, null, message),
+        });
+        return batch.cancel;
+    }, deps);
+
+    return { ...state, error: state.errors.find(Boolean) ?? null };
+}
@@ -0,0 +1,97 @@
+// Launch-site atmosphere. Air density follows from station pressure,
+// temperature and humidity, treating moist air as a mix of ideal gases; with
+// `isa` set it also falls off with height above the pad along the ISA lapse
+// rate. Units are SI (temperatures in K).
+
+// International Standard Atmosphere, troposphere
+export const ISA = {
+    T0: 288.15,                 // K at sea level
+    P0: 101325,                 // Pa at sea level
+    lapse: 0.0065,              // K/m temperature drop with height
+    g0: 9.80665,                // m/s², standard gravity
+    R_dry: 287.05,              // J/(kg·K), dry air
+    R_vapor: 461.5,             // J/(kg·K), water vapour
+    gamma: 1.4,                 // ratio of specific heats, dry air
+};
+
+// Launch-site conditions; the defaults are the ISA sea-level day
+export const DEFAULT_ATMOSPHERE = {
+    elevation: 0,               // m above sea level
+    temperature: ISA.T0,        // K, also the air temperature in the tank at fill
+    pressure: ISA.P0,           // Pa, barometric pressure reduced to sea level (QNH), as in weather reports
+    humidity: 0,                // relative humidity 0–1
+    isa: false,                 // density varies with altitude during flight
+};
+
+// Exponent of the ISA pressure–temperature relation, g0 / (R·L)
+const ISA_EXPONENT = ISA.g0 / (ISA.R_dry * ISA.lapse);
+
+/**
+ * Saturation vapour pressure of water over liquid (Buck, 1996).
+ * @param {number} T Temperature (K)
+ * @returns {number} Pa
+ */
+export function saturationPressure(T) {
+    const c = T - 273.15;
+    return 611.21 * Math.exp((18.678 - c / 234.5) * (c / (257.14 + c)));
+}
+
+/**
+ * Ambient pressure, temperature and air density at the launch site.
+ * The sea-level barometric reading is brought down to the site elevation
+ * with the standard-atmosphere pressure profile, as an altimeter does.
+ * @param {object} [atmosphere=DEFAULT_ATMOSPHERE] Fields as in DEFAULT_ATMOSPHERE
+ * @returns {{ P: number, T: number, rho: number, P_vapor: number }} Station
+ *   pressure (Pa), temperature (K), density (kg/m³) and vapour pressure (Pa)
+ */
+export function siteAtmosphere(atmosphere = DEFAULT_ATMOSPHERE) {
+    const { elevation, temperature: T, pressure, humidity } = { ...DEFAULT_ATMOSPHERE, ...atmosphere };
+    const P = pressure * Math.pow(1 - ISA.lapse * elevation / ISA.T0, ISA_EXPONENT);
+    const P_vapor = Math.min(Math.max(humidity, 0), 1) * saturationPressure(T);
+    const rho = (P - P_vapor) / (ISA.R_dry * T) + P_vapor / (ISA.R_vapor * T);
+    return { P, T, rho, P_vapor };
+}
+
+/**
+ * Air density at height h above the pad. Constant unless `isa` is set, in
+ * which case temperature drops at the ISA lapse rate and pressure follows
+ * hydrostatically from the site values.
+ * @param {{ T: number, rho: number }} site From `siteAtmosphere`
+ * @param {number} h Height above the pad (m)
+ * @param {boolean} isa
+ * @returns {number} kg/m³
+ */
+export function airDensity(site, h, isa) {
+    if (!isa) return site.rho;
+    return site.rho * Math.pow(1 - ISA.lapse * h / site.T, ISA_EXPONENT - 1);
+}
+
+/**
+ * Air temperature at height h above the pad: the site temperature, falling
+ * at the ISA lapse rate when `isa` is set.
+ * @param {{ T: number }} site From `siteAtmosphere`
+ * @param {number} h Height above the pad (m)
+ * @param {boolean} isa
+ * @returns {number} K
+ */
+export function airTemperature(site, h, isa) {
+    return isa ? site.T - ISA.lapse * h : site.T;
+}
+
+/**
+ * Dynamic viscosity of air (Sutherland's law).
+ * @param {number} T Temperature (K)
+ * @returns {number} Pa·s
+ */
+export function airViscosity(T) {
+    return 1.458e-6 * Math.pow(T, 1.5) / (T + 110.4);
+}
+
+/**
+ * Speed of sound in dry air.
+ * @param {number} T Temperature (K)
+ * @returns {number} m/s
+ */
+export function speedOfSound(T) {
+    return Math.sqrt(ISA.gamma * ISA.R_dry * T);
+}
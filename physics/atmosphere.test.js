@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ISA,
+    DEFAULT_ATMOSPHERE,
+    saturationPressure,
+    siteAtmosphere,
+    airDensity,
+    airTemperature,
+    airViscosity,
+    speedOfSound,
+} from './atmosphere.js';
+import { close } from './testing.js';
+
+test('the default site is the ISA sea-level day', () => {
+    const { P, T, rho } = siteAtmosphere(DEFAULT_ATMOSPHERE);
+    assert.equal(P, ISA.P0);
+    assert.equal(T, ISA.T0);
+    close(rho, 1.225, 1e-4, 'density');
+});
+
+test('station pressure follows the standard atmosphere with elevation', () => {
+    // ISA tables: 1000 m → 89 875 Pa, 2000 m → 79 495 Pa
+    close(siteAtmosphere({ elevation: 1000 }).P, 89875, 5, '1000 m');
+    close(siteAtmosphere({ elevation: 2000 }).P, 79495, 5, '2000 m');
+});
+
+test('saturation vapour pressure matches tabulated values', () => {
+    close(saturationPressure(273.15), 611.2, 0.5, '0 °C');
+    close(saturationPressure(293.15), 2338.8, 2, '20 °C');
+    close(saturationPressure(308.15), 5627.8, 5, '35 °C');
+});
+
+test('heat and humidity both thin the air', () => {
+    const cool = siteAtmosphere({ temperature: 283.15 }).rho;
+    const hot = siteAtmosphere({ temperature: 308.15 }).rho;
+    const humid = siteAtmosphere({ temperature: 308.15, humidity: 0.8 }).rho;
+    close(cool / hot, 308.15 / 283.15, 1e-12, 'ideal gas at fixed pressure');
+    assert.ok(humid < hot);
+});
+
+test('ISA density falls with height above the pad only when enabled', () => {
+    const site = siteAtmosphere({ elevation: 1500, temperature: 300 });
+    assert.equal(airDensity(site, 500, false), site.rho);
+    assert.equal(airDensity(site, 0, true), site.rho);
+    const T = 300 - ISA.lapse * 500;
+    const P = site.P * Math.pow(T / 300, ISA.g0 / (ISA.R_dry * ISA.lapse));
+    close(airDensity(site, 500, true), P / (ISA.R_dry * T), 1e-9, 'dry air at 500 m');
+});
+
+test('viscosity and speed of sound match standard sea-level values', () => {
+    close(airViscosity(ISA.T0), 1.7894e-5, 1e-8, 'viscosity');
+    close(speedOfSound(ISA.T0), 340.29, 0.01, 'speed of sound');
+    const site = siteAtmosphere({ temperature: 300 });
+    assert.equal(airTemperature(site, 500, false), 300);
+    close(airTemperature(site, 500, true), 300 - 3.25, 1e-12, 'lapse');
+});
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// Command-line front end for the physics engine.
+//
+//   node physics/cli.js simulate --fill 0.33 --pressure 60 --format csv
+//   node physics/cli.js optimize --config scenario.json
+//   node physics/cli.js design --goal targetApogee --target 30 --vary fillRatio,pressurePSI
+//
+// Run with --help for the full flag list.
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    DEFAULT_SOLVER,
+    DEFAULT_SCENARIO,
+    DESIGN_GOALS,
+    DESIGN_VARIABLES,
+    DEPLOY_MODES,
+    DRAG_MODELS,
+    INTEGRATORS,
+    NOZZLE_MODELS,
+    parseScenario,
+    runSimulation,
+    findOptimal,
+    optimizeDesign,
+    stabilityOverBurn,
+    toCSV,
+    trajectoryCSV,
+} from './index.js';
+
+const USAGE = `Usage: bottle-rocket <simulate|optimize|design> [options]
+
+  simulate                 Fly one rocket and print its summary, stability margins
+                           (calibres) and trajectory
+  optimize                 Sweep fill ratio for maximum apogee
+  design                   Search design variables for a goal, with a sensitivity ranking
+
+Scenario:
+  --config <file>          Scenario JSON exported by the app, or { fillRatio, C_d,
+                           pressurePSI, rocket, launch, solver } with any subset
+  --fill <ratio>           Water fill ratio 0–1 (default 0.33)
+  --cd <value>             Body drag coefficient (default 0.4)
+  --drag <model>           ${Object.keys(DRAG_MODELS).join(' | ')}: the --cd value, or Cd from the
+                           airframe (set it with --set rocket.body.*) (default constant)
+  --pressure <psi>         Launch gauge pressure (default 60)
+  --angle <deg>            Launch angle above horizontal (default 90)
+  --rail <m>               Launch rail length (default 1)
+  --wind <m/s>             Horizontal wind, positive downrange (default 0)
+  --tube <m>               Launch tube length, 0 for none (default 0)
+  --nozzle <model>         ${Object.keys(NOZZLE_MODELS).join(' | ')} (default discharge)
+  --cluster <n>            Cluster n bottles side by side
+  --staged                 Add a booster stage (set its fields with --set rocket.booster.*)
+  --elevation <m>          Launch site elevation above sea level (default 0)
+  --temperature <°C>       Air temperature at the site (default 15)
+  --baro <hPa>             Barometric pressure reduced to sea level (default 1013.25)
+  --humidity <ratio>       Relative humidity 0–1 (default 0)
+  --isa                    Let air density fall with altitude (ISA lapse rate)
+  --deploy <mode>          Parachute: ${Object.keys(DEPLOY_MODES).join(' | ')}
+  --set <path=value>       Any other field, e.g. --set rocket.d_nozzle=0.0215 (repeatable)
+
+Design:
+  --goal <goal>            ${Object.keys(DESIGN_GOALS).join(' | ')} (default maxApogee)
+  --target <m|s>           Target apogee (m) or flight time (s) for target goals
+  --vary <list>            Comma-separated: ${Object.keys(DESIGN_VARIABLES).join(',')} (default fillRatio)
+  --max-pressure <psi>     Highest launch pressure allowed
+  --min-apogee <m>         Lowest apogee allowed
+  --max-landing <m/s>      Highest landing speed allowed
+
+Solver:
+  --integrator <name>      ${Object.keys(INTEGRATORS).join(' | ')} (default ${DEFAULT_SOLVER.integrator})
+  --tolerance <rtol>       RK45 relative tolerance (default ${DEFAULT_SOLVER.tolerance})
+  --dt <s>                 RK4 step (default ${DEFAULT_SOLVER.dt})
+
+Output:
+  --format <json|csv>      json: summary and samples; csv: trajectory or sweep table
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+    config: { type: 'string' },
+    fill: { type: 'string' },
+    cd: { type: 'string' },
+    drag: { type: 'string' },
+    pressure: { type: 'string' },
+    angle: { type: 'string' },
+    rail: { type: 'string' },
+    wind: { type: 'string' },
+    tube: { type: 'string' },
+    nozzle: { type: 'string' },
+    cluster: { type: 'string' },
+    staged: { type: 'boolean' },
+    elevation: { type: 'string' },
+    temperature: { type: 'string' },
+    baro: { type: 'string' },
+    humidity: { type: 'string' },
+    isa: { type: 'boolean' },
+    deploy: { type: 'string' },
+    set: { type: 'string', multiple: true },
+    goal: { type: 'string', default: 'maxApogee' },
+    target: { type: 'string' },
+    vary: { type: 'string', default: 'fillRatio' },
+    'max-pressure': { type: 'string' },
+    'min-apogee': { type: 'string' },
+    'max-landing': { type: 'string' },
+    integrator: { type: 'string' },
+    tolerance: { type: 'string' },
+    dt: { type: 'string' },
+    format: { type: 'string', default: 'json' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+// Parse a flag value as a finite number, naming the flag on failure
+function toNumber(flag, value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`--${flag} expects a number, got "${value}"`);
+    return n;
+}
+
+// Assign value at a dotted path such as "rocket.recovery.diameter"
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        node[key] = { ...node[key] };
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+// Merge defaults, an optional scenario file and the command-line flags
+function buildScenario(values) {
+    const { fillRatio, C_d, pressurePSI, rocket, launch, solver } = values.config
+        ? parseScenario(readFileSync(values.config, 'utf8'))
+        : DEFAULT_SCENARIO;
+    const scenario = {
+        fillRatio,
+        C_d,
+        pressurePSI,
+        rocket: { ...rocket, recovery: { ...rocket.recovery } },
+        launch: { ...launch, atmosphere: { ...launch.atmosphere } },
+        solver: { ...solver },
+    };
+
+    if (values.fill !== undefined) scenario.fillRatio = toNumber('fill', values.fill);
+    if (values.cd !== undefined) scenario.C_d = toNumber('cd', values.cd);
+    if (values.pressure !== undefined) scenario.pressurePSI = toNumber('pressure', values.pressure);
+    if (values.drag !== undefined) {
+        if (!(values.drag in DRAG_MODELS)) throw new Error(`Unknown drag model "${values.drag}"`);
+        scenario.rocket.drag_model = values.drag;
+    }
+    if (values.angle !== undefined) scenario.launch.angle = toNumber('angle', values.angle);
+    if (values.rail !== undefined) scenario.launch.rail_length = toNumber('rail', values.rail);
+    if (values.wind !== undefined) scenario.launch.wind_speed = toNumber('wind', values.wind);
+    if (values.tube !== undefined) scenario.launch.tube_length = toNumber('tube', values.tube);
+    if (values.nozzle !== undefined) {
+        if (!(values.nozzle in NOZZLE_MODELS)) throw new Error(`Unknown nozzle model "${values.nozzle}"`);
+        scenario.rocket.nozzle_model = values.nozzle;
+    }
+    if (values.cluster !== undefined) {
+        scenario.rocket.layout = 'cluster';
+        scenario.rocket.cluster_count = toNumber('cluster', values.cluster);
+    }
+    if (values.staged) scenario.rocket.layout = 'staged';
+    const { atmosphere } = scenario.launch;
+    if (values.elevation !== undefined) atmosphere.elevation = toNumber('elevation', values.elevation);
+    if (values.temperature !== undefined) atmosphere.temperature = toNumber('temperature', values.temperature) + 273.15;
+    if (values.baro !== undefined) atmosphere.pressure = toNumber('baro', values.baro) * 100;
+    if (values.humidity !== undefined) atmosphere.humidity = toNumber('humidity', values.humidity);
+    if (values.isa) atmosphere.isa = true;
+    if (values.deploy !== undefined) {
+        if (!(values.deploy in DEPLOY_MODES)) throw new Error(`Unknown deploy mode "${values.deploy}"`);
+        scenario.rocket.recovery.deploy = values.deploy;
+    }
+    if (values.integrator !== undefined) {
+        if (!(values.integrator in INTEGRATORS)) throw new Error(`Unknown integrator "${values.integrator}"`);
+        scenario.solver.integrator = values.integrator;
+    }
+    if (values.tolerance !== undefined) scenario.solver.tolerance = toNumber('tolerance', values.tolerance);
+    if (values.dt !== undefined) scenario.solver.dt = toNumber('dt', values.dt);
+
+    for (const assignment of values.set ?? []) {
+        const eq = assignment.indexOf('=');
+        if (eq < 0) throw new Error(`--set expects path=value, got "${assignment}"`);
+        const raw = assignment.slice(eq + 1);
+        const num = Number(raw);
+        setPath(scenario, assignment.slice(0, eq), raw !== '' && Number.isFinite(num) ? num : raw);
+    }
+
+    return scenario;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return command || values.help ? 0 : 1;
+    }
+    if (values.format !== 'json' && values.format !== 'csv') {
+        throw new Error(`--format must be json or csv, got "${values.format}"`);
+    }
+
+    const scenario = buildScenario(values);
+    const { fillRatio, C_d, pressurePSI, rocket, launch, solver } = scenario;
+
+    if (command === 'simulate') {
+        const result = runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, { solver });
+        const { trajectory, ...summary } = result;
+        // Null for a staged rocket, which the stability model does not cover
+        const margins = stabilityOverBurn(rocket, result);
+        const stability = margins && {
+            cp: margins.cp.x, liftoff: margins.liftoff, burnout: margins.burnout, min: margins.min,
+        };
+        process.stdout.write(values.format === 'csv'
+            ? trajectoryCSV([{ name: 'run', result }])
+            : JSON.stringify({ scenario, summary, stability, trajectory }, null, 2) + '\n');
+        return 0;
+    }
+
+    if (command === 'optimize') {
+        const optimal = findOptimal(C_d, pressurePSI, rocket, launch, { solver });
+        process.stdout.write(values.format === 'csv'
+            ? toCSV(optimal.data, [{ key: 'ratio' }, { key: 'maxH' }])
+            : JSON.stringify({ scenario, ...optimal }, null, 2) + '\n');
+        return 0;
+    }
+
+    if (command === 'design') {
+        const optional = (flag) => (values[flag] === undefined ? null : toNumber(flag, values[flag]));
+        const spec = {
+            goal: values.goal,
+            target: optional('target'),
+            variables: values.vary.split(',').map(v => v.trim()).filter(Boolean),
+            constraints: {
+                maxPressurePSI: optional('max-pressure'),
+                minApogee: optional('min-apogee'),
+                maxLandingSpeed: optional('max-landing'),
+            },
+        };
+        const design = optimizeDesign(spec, fillRatio, C_d, pressurePSI, rocket, launch, { solver });
+        process.stdout.write(values.format === 'csv'
+            ? toCSV(design.sensitivity.map(s => ({ ...s, value: design.values[s.key] })),
+                [{ key: 'key' }, { key: 'value' }, { key: 'derivative' }, { key: 'elasticity' }])
+            : JSON.stringify({ scenario, ...design }, null, 2) + '\n');
+        return 0;
+    }
+
+    throw new Error(`Unknown command "${command}"`);
+}
+
+// Piping into `head` and the like closes stdout early; that is not an error
+process.stdout.on('error', (err) => {
+    if (err.code !== 'EPIPE') throw err;
+    process.exit(0);
+});
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`bottle-rocket: ${err.message}\n`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { runSimulation } from './model.js';
+import { TRAJECTORY_COLUMNS } from './export.js';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+const cli = (...args) => execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: 'pipe' });
+
+test('simulate --format csv prints the SI trajectory table', () => {
+    const lines = cli('simulate', '--fill', '0.3', '--format', 'csv').trim().split('\n');
+    assert.equal(lines[0], TRAJECTORY_COLUMNS.map(c => c.label).join(','));
+    const { trajectory } = runSimulation(0.3, 0.4, 60);
+    assert.equal(lines.length, 1 + trajectory.length);
+    const last = lines[lines.length - 1].split(',').map(Number);
+    assert.equal(last[0], trajectory[trajectory.length - 1].t);
+});
+
+test('simulate prints the summary and stability as JSON', () => {
+    const { summary, stability, trajectory } = JSON.parse(cli('simulate', '--pressure', '50'));
+    assert.equal(summary.maxH, runSimulation(0.33, 0.4, 50).maxH);
+    assert.ok(Number.isFinite(stability.liftoff));
+    assert.ok(trajectory.length > 0);
+
+    // A staged rocket is outside the stability model
+    assert.equal(JSON.parse(cli('simulate', '--staged')).stability, null);
+});
+
+test('an unknown --deploy mode exits non-zero', () => {
+    assert.throws(() => cli('simulate', '--deploy', 'bogus'), (err) => {
+        assert.equal(err.status, 1);
+        assert.match(err.stderr, /Unknown deploy mode "bogus"/);
+        return true;
+    });
+    assert.equal(JSON.parse(cli('simulate', '--deploy', 'apogee')).scenario.rocket.recovery.deploy, 'apogee');
+});
@@ -0,0 +1,215 @@
+// Design-goal optimisation: search fill ratio, pressure, dry mass and nozzle
+// size for the rocket that best meets a competition goal, within bounds and
+// constraints, and rank how strongly each parameter moves the result.
+
+import { runSimulation } from './model.js';
+import { nelderMead } from './numerics.js';
+
+// Quantities a design can be scored on. `metric` picks the scored value out
+// of a runSimulation result; apogee-only goals can stop the run at apogee.
+export const DESIGN_GOALS = {
+    maxApogee: { label: 'MAXIMIZE APOGEE', metric: 'maxH', apogeeOnly: true },
+    targetApogee: { label: 'HIT TARGET APOGEE', metric: 'maxH', target: true, apogeeOnly: true },
+    targetFlightTime: { label: 'HIT TARGET FLIGHT TIME', metric: 'flightTime', target: true },
+    minLandingSpeed: { label: 'MINIMIZE LANDING SPEED', metric: 'landingVel' },
+};
+
+// Searchable parameters with default bounds (model units: psi for pressure,
+// SI otherwise). `quantity` names the display unit in units.js.
+export const DESIGN_VARIABLES = {
+    fillRatio: { label: 'FILL RATIO', min: 0.05, max: 0.95 },
+    pressurePSI: { label: 'PRESSURE', quantity: 'pressure', min: 20, max: 120 },
+    mass_empty: { label: 'DRY MASS', quantity: 'mass', min: 0.03, max: 0.5 },
+    d_nozzle: { label: 'NOZZLE DIAMETER', quantity: 'diameter', min: 0.005, max: 0.03 },
+};
+
+// Limits on the outcome; a design that breaks one is penalised in proportion
+// to how far it is over
+export const DESIGN_CONSTRAINTS = {
+    maxPressurePSI: { label: 'MAX PRESSURE', quantity: 'pressure' },
+    minApogee: { label: 'MIN APOGEE', quantity: 'length' },
+    maxLandingSpeed: { label: 'MAX LANDING SPEED', quantity: 'speed' },
+};
+
+// Penalty per unit of constraint violation, and for a failed or out-of-bounds run
+const VIOLATION_WEIGHT = 1e4;
+const INFEASIBLE = 1e12;
+
+// Current value of every design variable
+function designValues(fillRatio, pressurePSI, rocket) {
+    return { fillRatio, pressurePSI, mass_empty: rocket.mass_empty, d_nozzle: rocket.d_nozzle };
+}
+
+// Constraint violations of a design and its flight, keyed like DESIGN_CONSTRAINTS
+function violations(values, result, constraints) {
+    const over = {};
+    const { maxPressurePSI, minApogee, maxLandingSpeed } = constraints;
+    if (maxPressurePSI != null && values.pressurePSI > maxPressurePSI) over.maxPressurePSI = values.pressurePSI - maxPressurePSI;
+    if (minApogee != null && result.maxH < minApogee) over.minApogee = minApogee - result.maxH;
+    if (maxLandingSpeed != null) {
+        const v = result.landingVel ?? Infinity;
+        if (v > maxLandingSpeed) over.maxLandingSpeed = v - maxLandingSpeed;
+    }
+    return over;
+}
+
+/**
+ * Search the chosen design variables for the best design under a goal.
+ *
+ * Nelder–Mead runs on the variables scaled to their bounds, starting from
+ * the current design (clamped into bounds) and restarting once from its
+ * optimum. Sensitivities are central differences at the optimum over 1% of
+ * each variable's range, for every variable whether searched or not, ranked
+ * by elasticity (relative change in the metric per relative change in the
+ * variable).
+ *
+ * @param {object} spec
+ * @param {string} spec.goal Key of DESIGN_GOALS
+ * @param {number} [spec.target] Target apogee (m) or flight time (s) for target goals
+ * @param {string[]} spec.variables Keys of DESIGN_VARIABLES to search
+ * @param {Object<string, { min: number, max: number }>} [spec.bounds] Overrides for
+ *   DESIGN_VARIABLES bounds
+ * @param {object} [spec.constraints] Limits keyed like DESIGN_CONSTRAINTS; null or
+ *   missing entries are off
+ * @param {number} fillRatio Starting fill ratio
+ * @param {number} C_d Body drag coefficient
+ * @param {number} pressurePSI Starting launch gauge pressure (psi)
+ * @param {object} rocket Starting rocket (its mass_empty and d_nozzle seed the search)
+ * @param {object} launch
+ * @param {object} [options] Passed to `runSimulation`
+ * @returns {{ goal: string, variables: string[], values: object, initial: object,
+ *   metric: number, initialMetric: number, feasible: boolean, violations: object,
+ *   sensitivity: { key: string, derivative: number, elasticity: number }[],
+ *   evaluations: number, iterations: number }} Values of every design variable,
+ *   the metric (m, s or m/s) before and after, and the sensitivity ranking
+ *   (derivative in metric units per model unit). If the final design cannot
+ *   fly, its metric is null, it is not feasible and the sensitivities are NaN
+ */
+export function optimizeDesign(spec, fillRatio, C_d, pressurePSI, rocket, launch, options = {}) {
+    const goal = DESIGN_GOALS[spec.goal];
+    if (!goal) throw new Error(`Unknown design goal "${spec.goal}"`);
+    if (goal.target && !(spec.target > 0)) throw new Error('A target goal needs a positive target');
+    const constraints = spec.constraints ?? {};
+    const bounds = Object.fromEntries(Object.entries(DESIGN_VARIABLES).map(([key, v]) =>
+        [key, { min: v.min, max: v.max, ...spec.bounds?.[key] }]
+    ));
+    // The nozzle has to fit the bottle
+    bounds.d_nozzle.max = Math.min(bounds.d_nozzle.max, rocket.d_bottle * 0.95);
+    if (constraints.maxPressurePSI != null) {
+        bounds.pressurePSI.max = Math.min(bounds.pressurePSI.max, constraints.maxPressurePSI);
+    }
+    for (const [key, { min, max }] of Object.entries(bounds)) {
+        if (!(min <= max)) throw new Error(`Empty bounds for ${key}`);
+    }
+    const { variables } = spec;
+    for (const key of variables) {
+        if (!(key in DESIGN_VARIABLES)) throw new Error(`Unknown design variable "${key}"`);
+    }
+
+    const needsDescent = !goal.apogeeOnly || constraints.maxLandingSpeed != null;
+    let evaluations = 0;
+    const fly = (values) => {
+        evaluations++;
+        return runSimulation(
+            values.fillRatio, C_d, values.pressurePSI,
+            { ...rocket, mass_empty: values.mass_empty, d_nozzle: values.d_nozzle },
+            launch, { ...options, stopAtApogee: !needsDescent }
+        );
+    };
+    // Runs that never land are scored at the simulation's 60 s limit
+    const metricOf = (result) => result[goal.metric] ?? (goal.metric === 'flightTime' ? 60 : Infinity);
+    const score = (metric) => {
+        if (spec.goal === 'maxApogee') return -metric;
+        if (goal.target) return ((metric - spec.target) / spec.target) ** 2;
+        return metric;
+    };
+
+    const initial = designValues(fillRatio, pressurePSI, rocket);
+    const clamp = (key, v) => Math.min(Math.max(v, bounds[key].min), bounds[key].max);
+    // Search coordinates: each variable scaled to 0–1 across its bounds
+    const toValues = (u) => {
+        const values = { ...initial };
+        variables.forEach((key, i) => {
+            const { min, max } = bounds[key];
+            values[key] = min + u[i] * (max - min);
+        });
+        return values;
+    };
+    const objective = (u) => {
+        const outside = u.reduce((sum, ui) => sum + Math.max(0, -ui, ui - 1), 0);
+        if (outside > 0) return INFEASIBLE * (1 + outside);
+        const values = toValues(u);
+        let result;
+        try {
+            result = fly(values);
+        } catch {
+            return INFEASIBLE;
+        }
+        const over = result ? violations(values, result, constraints) : {};
+        const penalty = Object.values(over).reduce((sum, v) => sum + v, 0);
+        return score(metricOf(result)) + VIOLATION_WEIGHT * penalty;
+    };
+
+    const u0 = variables.map(key => {
+        const { min, max } = bounds[key];
+        return max > min ? (clamp(key, initial[key]) - min) / (max - min) : 0;
+    });
+    let iterations = 0;
+    let u = u0;
+    if (variables.length > 0) {
+        // A first pass from the current design, then a restart from its
+        // optimum with a fresh simplex to escape a collapsed one
+        for (const size of [0.2, 0.05]) {
+            // Simplex edges point into the box
+            const step = u.map(ui => (ui + size > 1 ? -size : size));
+            const run = nelderMead(objective, u, { step, maxIter: 120, tol: 1e-8 });
+            u = run.x;
+            iterations += run.iterations;
+        }
+    }
+
+    const values = toValues(u);
+    let result = null;
+    try {
+        result = fly(values);
+    } catch {
+        // Nowhere the search went could the model fly
+    }
+    const metric = result ? metricOf(result) : null;
+    let initialMetric = null;
+    try {
+        initialMetric = metricOf(fly(initial));
+    } catch {
+        // The starting design may be outside what the model can fly
+    }
+    const over = result ? violations(values, result, constraints) : {};
+
+    const sensitivity = Object.keys(DESIGN_VARIABLES).map(key => {
+        const h = 0.01 * (bounds[key].max - bounds[key].min);
+        const lo = clamp(key, values[key] - h);
+        const hi = clamp(key, values[key] + h);
+        let derivative = NaN;
+        if (result && hi > lo) {
+            try {
+                derivative = (metricOf(fly({ ...values, [key]: hi })) - metricOf(fly({ ...values, [key]: lo }))) / (hi - lo);
+            } catch {
+                // Stepping past what the model can fly leaves this one unknown
+            }
+        }
+        return { key, derivative, elasticity: derivative * values[key] / metric };
+    }).sort((a, b) => (Math.abs(b.elasticity) || 0) - (Math.abs(a.elasticity) || 0));
+
+    return {
+        goal: spec.goal,
+        variables,
+        values,
+        initial,
+        metric,
+        initialMetric,
+        feasible: result !== null && Object.keys(over).length === 0,
+        violations: over,
+        sensitivity,
+        evaluations,
+        iterations,
+    };
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROCKET, DEFAULT_LAUNCH, findOptimal, runSimulation } from './model.js';
+import { DESIGN_VARIABLES, optimizeDesign } from './design.js';
+import { close } from './testing.js';
+
+const optimize = (spec) => optimizeDesign(spec, 0.33, 0.4, 60, DEFAULT_ROCKET, DEFAULT_LAUNCH);
+
+test('maximizing apogee over fill alone refines the sweep optimum', () => {
+    const sweep = findOptimal(0.4, 60);
+    const r = optimize({ goal: 'maxApogee', variables: ['fillRatio'] });
+    close(r.values.fillRatio, sweep.bestRatio, 0.02, 'fill ratio');
+    assert.ok(r.metric >= sweep.bestH);
+    assert.equal(r.values.pressurePSI, 60);
+    // At an interior optimum apogee is flat in fill
+    const fill = r.sensitivity.find(s => s.key === 'fillRatio');
+    assert.ok(Math.abs(fill.elasticity) < 0.01);
+    assert.deepEqual(r.sensitivity.map(s => s.key).sort(), Object.keys(DESIGN_VARIABLES).sort());
+});
+
+test('target goals land on the target and the result flies as reported', () => {
+    const apogee = optimize({ goal: 'targetApogee', target: 30, variables: ['fillRatio', 'pressurePSI'] });
+    close(apogee.metric, 30, 0.01, 'apogee');
+    const { fillRatio, pressurePSI } = apogee.values;
+    close(runSimulation(fillRatio, 0.4, pressurePSI).maxH, apogee.metric, 1e-9, 're-run');
+
+    const time = optimize({ goal: 'targetFlightTime', target: 6, variables: ['fillRatio', 'mass_empty'] });
+    close(time.metric, 6, 0.01, 'flight time');
+});
+
+test('bounds and constraints hold at the optimum', () => {
+    const r = optimize({
+        goal: 'maxApogee',
+        variables: ['pressurePSI', 'mass_empty'],
+        bounds: { mass_empty: { min: 0.07, max: 0.2 } },
+        constraints: { maxPressurePSI: 80 },
+    });
+    assert.ok(r.feasible);
+    assert.ok(r.values.pressurePSI <= 80 && r.values.pressurePSI > 79);
+    assert.ok(r.values.mass_empty >= 0.07);
+    assert.ok(r.metric > r.initialMetric);
+
+    const soft = optimize({ goal: 'minLandingSpeed', variables: ['fillRatio'], constraints: { minApogee: 30 } });
+    assert.ok(soft.feasible);
+    assert.ok(runSimulation(soft.values.fillRatio, 0.4, 60).maxH >= 30 - 1e-3);
+});
+
+test('bad design specs are rejected', () => {
+    assert.throws(() => optimize({ goal: 'fastest', variables: [] }), /Unknown design goal/);
+    assert.throws(() => optimize({ goal: 'targetApogee', variables: ['fillRatio'] }), /target/);
+    assert.throws(() => optimize({ goal: 'maxApogee', variables: ['C_d'] }), /Unknown design variable/);
+});
+
+test('a search that can never fly reports an infeasible design', () => {
+    // No air is left above the water once the tube is in, whatever the mass
+    const launch = { ...DEFAULT_LAUNCH, tube_length: 0.3 };
+    const r = optimizeDesign({ goal: 'maxApogee', variables: ['mass_empty'] }, 0.9, 0.4, 60, DEFAULT_ROCKET, launch);
+    assert.equal(r.feasible, false);
+    assert.equal(r.metric, null);
+    assert.equal(r.initialMetric, null);
+    assert.ok(r.sensitivity.every(s => Number.isNaN(s.derivative)));
+});
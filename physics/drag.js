@@ -0,0 +1,97 @@
+// Body drag coefficient estimated from the airframe, by the subsonic
+// component build-up used in Barrowman's method and OpenRocket: skin
+// friction from the Reynolds number over the wetted surface, nose pressure
+// drag, fin drag, and drag at the tail, where the bottle's shoulder tapers
+// to the neck and the jet fills the base while thrust lasts. Mach terms are
+// kept although bottle rockets rarely pass M 0.3. Coefficients refer to the
+// bottle's cross-section, like the constant C_d they replace.
+
+// Ways to set the body drag coefficient, selected by rocket.drag_model
+export const DRAG_MODELS = {
+    constant: 'CONSTANT Cᴅ',
+    estimated: 'FROM GEOMETRY',
+};
+
+// Equivalent sand-grain roughness of PET and painted fins (m)
+const ROUGHNESS = 2e-6;
+
+// Low-speed nose pressure drag as a multiple of sin² of the cone half-angle
+// over the same length and base: 0.8 for a cone, much less for the
+// rounded shapes, which recover pressure along their curved flanks
+const NOSE_PRESSURE = { conical: 0.8, ogive: 0.2, parabolic: 0.15, elliptical: 0.1 };
+
+/**
+ * Fixed airframe quantities the drag estimate needs.
+ * @param {object} rocket Tank and nozzle geometry
+ * @param {object} body Airframe fields as in DEFAULT_BODY (complete)
+ * @returns {object} Reference and wetted areas (m²), length (m) and
+ *   dimensionless shape factors, for `dragCoefficient`
+ */
+export function dragGeometry(rocket, body) {
+    const R = rocket.d_bottle / 2;
+    const area = Math.PI * R * R;
+    const tubeLength = body.fairing_length + rocket.tank_volume / area;
+    const length = body.nose_length + tubeLength;
+    const fins = body.fin_count > 0 ? body.fin_count : 0;
+    const finArea = (body.fin_root + body.fin_tip) / 2 * body.fin_span;
+    // The bottle's shoulder: taken as long as the bottle's radius, tapering
+    // to a neck the size of the nozzle
+    const r_neck = Math.min(rocket.d_nozzle / 2, R);
+    const taper = R > r_neck ? R / (R - r_neck) : Infinity;
+    return {
+        area,
+        length,
+        fineness: length / (2 * R),
+        // Nose cone (as a cone) plus the fairing and bottle
+        bodyWetted: Math.PI * R * Math.hypot(R, body.nose_length) + 2 * Math.PI * R * tubeLength,
+        finWetted: 2 * fins * finArea,
+        finFrontal: fins * body.fin_thickness * body.fin_span,
+        finThickness: finArea > 0 ? body.fin_thickness / (finArea / body.fin_span) : 0,
+        nose: (NOSE_PRESSURE[body.nose_shape] ?? NOSE_PRESSURE.ogive) * R * R / (R * R + body.nose_length ** 2),
+        // Shoulder drag falls away as the taper lengthens (3 radii of
+        // length per radius of step for none), and the neck is the base
+        boattail: Math.min(Math.max((3 - taper) / 2, 0), 1) * (1 - (r_neck / R) ** 2),
+        base: (r_neck / R) ** 2,
+    };
+}
+
+/**
+ * Drag coefficient of the airframe at an airspeed, by component.
+ * @param {object} geometry From `dragGeometry`
+ * @param {number} v Airspeed (m/s)
+ * @param {{ rho: number, mu: number, a: number }} air Density (kg/m³),
+ *   dynamic viscosity (Pa·s) and speed of sound (m/s)
+ * @param {boolean} thrusting The jet fills the base
+ * @returns {{ friction: number, nose: number, fins: number, base: number,
+ *   total: number, reynolds: number, mach: number }} Body skin friction, nose
+ *   pressure drag, fin friction and edge drag, shoulder and base drag, their
+ *   sum, and the Reynolds (over the full length) and Mach numbers
+ */
+export function dragCoefficient(geometry, v, air, thrusting) {
+    const { area, length } = geometry;
+    const mach = v / air.a;
+    const reynolds = air.rho * v * length / air.mu;
+    // Turbulent flat-plate friction, no lower than the roughness limit;
+    // held at its Re = 10⁴ value for very slow flow
+    const smooth = reynolds < 1e4 ? 1.48e-2 : 1 / (1.5 * Math.log(reynolds) - 5.6) ** 2;
+    const Cf = Math.max(smooth, 0.032 * Math.pow(ROUGHNESS / length, 0.2)) * (1 - 0.1 * mach * mach);
+    // Stagnation over dynamic pressure, and the drag behind a blunt step
+    const stagnation = 1 + mach * mach / 4 + mach ** 4 / 40;
+    const baseCd = 0.12 + 0.13 * mach * mach;
+
+    const friction = Cf * (1 + 1 / (2 * geometry.fineness)) * geometry.bodyWetted / area;
+    const nose = geometry.nose * stagnation;
+    // Flat fins: square leading and trailing edges
+    const fins = (Cf * (1 + 2 * geometry.finThickness) * geometry.finWetted
+        + (0.85 * stagnation + baseCd) * geometry.finFrontal) / area;
+    const base = baseCd * (geometry.boattail + (thrusting ? 0 : geometry.base));
+    return {
+        friction,
+        nose,
+        fins,
+        base,
+        total: friction + nose + fins + base,
+        reynolds,
+        mach,
+    };
+}
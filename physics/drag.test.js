@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROCKET, DEFAULT_BODY, runSimulation } from './model.js';
+import { siteAtmosphere, airViscosity, speedOfSound } from './atmosphere.js';
+import { dragGeometry, dragCoefficient } from './drag.js';
+import { close } from './testing.js';
+
+const site = siteAtmosphere();
+const air = { rho: site.rho, mu: airViscosity(site.T), a: speedOfSound(site.T) };
+const geometry = (body) => dragGeometry(DEFAULT_ROCKET, { ...DEFAULT_BODY, ...body });
+
+test('skin friction follows the turbulent flat-plate law in Reynolds number', () => {
+    const g = geometry();
+    // Airspeed giving Re = 10⁶ over the airframe
+    const v = 1e6 * air.mu / (air.rho * g.length);
+    const cd = dragCoefficient(g, v, air, false);
+    close(cd.reynolds, 1e6, 1e-6, 'Reynolds number');
+    const Cf = 1 / (1.5 * Math.log(1e6) - 5.6) ** 2 * (1 - 0.1 * cd.mach ** 2);
+    close(cd.friction, Cf * (1 + 1 / (2 * g.fineness)) * g.bodyWetted / g.area, 1e-12, 'body friction');
+    close(cd.total, cd.friction + cd.nose + cd.fins + cd.base, 1e-12, 'sum of components');
+
+    // Friction drag falls as the boundary layer thins with speed
+    assert.ok(dragCoefficient(g, 2 * v, air, false).friction < cd.friction);
+});
+
+test('the jet fills the base under thrust, and sharper noses and thinner fins cut drag', () => {
+    const g = geometry();
+    const coast = dragCoefficient(g, 30, air, false);
+    const thrust = dragCoefficient(g, 30, air, true);
+    close(coast.base - thrust.base, (0.12 + 0.13 * coast.mach ** 2) * g.base, 1e-12, 'base drag');
+    assert.ok(thrust.base > 0);
+
+    const nose = (shape, length) => dragCoefficient(geometry({ nose_shape: shape, nose_length: length }), 30, air, false).nose;
+    assert.ok(nose('conical', 0.12) > nose('ogive', 0.12));
+    assert.ok(nose('ogive', 0.06) > nose('ogive', 0.12));
+    assert.ok(dragCoefficient(geometry({ fin_thickness: 0.001 }), 30, air, false).fins < coast.fins);
+    assert.equal(dragCoefficient(geometry({ fin_count: 0 }), 30, air, false).fins, 0);
+});
+
+test('an estimated Cd varies through the flight around the usual constant', () => {
+    const constant = runSimulation(0.33, 0.4, 60);
+    assert.ok(constant.trajectory.every(p => p.C_d === 0.4));
+
+    const r = runSimulation(0.33, 0.4, 60, { ...DEFAULT_ROCKET, drag_model: 'estimated' });
+    const coast = r.trajectory.filter(p => p.t > r.airBurnoutTime && p.t < r.maxHTime);
+    const values = coast.map(p => p.C_d);
+    assert.ok(Math.max(...values) - Math.min(...values) > 0.02);
+    // Slower is draggier: Cd rises as the rocket climbs and slows
+    assert.ok(coast[coast.length - 1].C_d > coast[0].C_d);
+    close(coast[0].C_d, 0.4, 0.05, 'Cd after burnout');
+    close(r.maxH, constant.maxH, 0.1 * constant.maxH, 'apogee');
+});
@@ -0,0 +1,117 @@
+// Text exports of simulation output: trajectory tables as CSV and JSON, for
+// one run or several side by side. Values are SI unless display units (from
+// units.js) are passed, in which case tank pressure is exported as gauge
+// against each run's ambient pressure.
+
+// Trajectory sample fields in export order, with SI units
+export const TRAJECTORY_COLUMNS = [
+    { key: 't', label: 't_s', unit: 's' },
+    { key: 'x', name: 'x', quantity: 'length', label: 'x_m', unit: 'm' },
+    { key: 'h', name: 'h', quantity: 'length', label: 'h_m', unit: 'm' },
+    { key: 'v', name: 'v', quantity: 'speed', label: 'v_mps', unit: 'm/s' },
+    { key: 'a', name: 'accel', quantity: 'acceleration', label: 'accel_mps2', unit: 'm/s²' },
+    { key: 'm', name: 'mass', quantity: 'mass', label: 'mass_kg', unit: 'kg' },
+    { key: 'V_water', name: 'water_volume', quantity: 'volume', label: 'water_volume_m3', unit: 'm³' },
+    { key: 'P_tank', name: 'tank_pressure', quantity: 'pressure', label: 'tank_pressure_pa', unit: 'Pa (absolute)' },
+    { key: 'thrust', name: 'thrust', quantity: 'force', label: 'thrust_n', unit: 'N' },
+];
+
+// Dimensional runSimulation summary fields; the rest are times (s) or counts
+const SUMMARY_QUANTITIES = {
+    maxH: 'length', maxHX: 'length', burnoutAlt: 'length', burnoutX: 'length', airBurnoutAlt: 'length',
+    boosterBurnoutAlt: 'length', boosterAirBurnoutAlt: 'length', separationAlt: 'length', separationX: 'length',
+    impactX: 'length', range: 'length', deployAlt: 'length', deployX: 'length',
+    burnoutVel: 'speed', airBurnoutVel: 'speed', boosterBurnoutVel: 'speed', separationVel: 'speed',
+    tubeExitVel: 'speed', railExitVel: 'speed', landingVel: 'speed', descentRate: 'speed',
+    totalImpulse: 'impulse', tubeImpulse: 'impulse', boosterImpulse: 'impulse', waterImpulse: 'impulse',
+    airImpulse: 'impulse',
+};
+// Fields of the summary's `ambient` (from siteAtmosphere) with a display
+// quantity; density stays in kg/m³
+const AMBIENT_QUANTITIES = { P: 'barometric', T: 'temperature', P_vapor: 'barometric' };
+const SI_LABELS = { length: 'm', speed: 'm/s', impulse: 'N·s', barometric: 'Pa', temperature: 'K' };
+
+// Columns with a `convert` for each value, relabelled when display units are
+// given; P_amb is the run's ambient pressure for gauge tank pressure
+function exportColumns(units, P_amb) {
+    return TRAJECTORY_COLUMNS.map(c => {
+        if (!units || !c.quantity) return { ...c, convert: (v) => v };
+        const u = units[c.quantity];
+        const gauge = c.key === 'P_tank';
+        return {
+            ...c,
+            label: `${c.name}_${u.slug}`,
+            unit: gauge ? `${u.label} (gauge)` : u.label,
+            convert: gauge ? (v) => u.from(v - P_amb) : u.from,
+        };
+    });
+}
+
+const convertSample = (p, columns) => Object.fromEntries(columns.map(c => [c.key, c.convert(p[c.key])]));
+
+// Quote a CSV field only when it needs it
+const csvField = (v) => (typeof v === 'string' && /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : String(v ?? ''));
+
+/**
+ * Plain CSV from row objects.
+ * @param {object[]} rows
+ * @param {{ key: string, label?: string }[]} columns
+ * @returns {string} Header line plus one line per row, newline-terminated
+ */
+export function toCSV(rows, columns) {
+    return [
+        columns.map(c => csvField(c.label ?? c.key)).join(','),
+        ...rows.map(r => columns.map(c => csvField(r[c.key])).join(',')),
+    ].join('\n') + '\n';
+}
+
+/**
+ * Trajectories of one or more runs as CSV. Several runs are stacked in long
+ * format with a leading `run` column naming each.
+ * @param {{ name: string, result: object }[]} runs `result` from runSimulation
+ * @param {object} [units] Display units from `displayUnits`; SI when omitted
+ * @returns {string}
+ */
+export function trajectoryCSV(runs, units) {
+    const columns = exportColumns(units);
+    const rows = runs.flatMap(({ name, result }) => {
+        const runColumns = exportColumns(units, units && result.ambient.P);
+        return result.trajectory.map(p => ({ run: name, ...convertSample(p, runColumns) }));
+    });
+    return toCSV(rows, runs.length === 1 ? columns : [{ key: 'run' }, ...columns]);
+}
+
+/**
+ * Trajectories with their inputs and headline results as a JSON document.
+ * Inputs stay in model units (as in scenario files) so they can be re-run.
+ * @param {{ name: string, inputs: object, result: object }[]} runs
+ *   `inputs` describes the run, e.g. { fillRatio, C_d, pressurePSI, rocket, launch }
+ * @param {object} [units] Display units from `displayUnits`; SI when omitted
+ * @returns {string}
+ */
+export function trajectoryJSON(runs, units) {
+    const columns = exportColumns(units);
+    const label = (q) => (units ? units[q].label : SI_LABELS[q]);
+    const summaryUnits = Object.fromEntries(Object.entries(SUMMARY_QUANTITIES).map(([key, q]) => [key, label(q)]));
+    const ambientUnits = {
+        ...Object.fromEntries(Object.entries(AMBIENT_QUANTITIES).map(([key, q]) => [key, label(q)])),
+        rho: 'kg/m³',
+    };
+    return JSON.stringify({
+        units: { ...Object.fromEntries(columns.map(c => [c.key, c.unit])), ...summaryUnits, ambient: ambientUnits },
+        runs: runs.map(({ name, inputs, result }) => {
+            const { trajectory, finalState, ...summary } = result;
+            if (units) {
+                for (const [key, q] of Object.entries(SUMMARY_QUANTITIES)) {
+                    if (typeof summary[key] === 'number') summary[key] = units[q].from(summary[key]);
+                }
+                summary.ambient = { ...summary.ambient };
+                for (const [key, q] of Object.entries(AMBIENT_QUANTITIES)) {
+                    summary.ambient[key] = units[q].from(summary.ambient[key]);
+                }
+            }
+            const runColumns = exportColumns(units, units && result.ambient.P);
+            return { name, inputs, summary, trajectory: trajectory.map(p => convertSample(p, runColumns)) };
+        }),
+    }, null, 2) + '\n';
+}
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation, DEFAULT_ROCKET, CONSTANTS } from './model.js';
+import { TRAJECTORY_COLUMNS, toCSV, trajectoryCSV, trajectoryJSON } from './export.js';
+import { displayUnits } from './units.js';
+
+const result = runSimulation(0.33, 0.4, 60);
+
+test('trajectory samples carry mass, water, pressure and thrust', () => {
+    const [first] = result.trajectory;
+    const last = result.trajectory[result.trajectory.length - 1];
+    const P0 = 60 * CONSTANTS.psi + result.ambient.P;
+    const V_water = 0.33 * DEFAULT_ROCKET.tank_volume;
+    const m_air = P0 * (DEFAULT_ROCKET.tank_volume - V_water) / (CONSTANTS.R_air * result.ambient.T);
+    assert.ok(Math.abs(first.m - (DEFAULT_ROCKET.mass_empty + V_water * CONSTANTS.rho_water + m_air)) < 1e-12);
+    assert.ok(Math.abs(first.P_tank - P0) < 1e-6);
+    assert.ok(first.thrust > 0 && first.V_water > 0);
+    assert.equal(last.thrust, 0);
+    assert.equal(last.V_water, 0);
+    assert.ok(Math.abs(last.P_tank - result.ambient.P) < 1);
+});
+
+test('toCSV quotes only fields that need it', () => {
+    const csv = toCSV([{ a: 'x,y', b: 1 }, { a: 'say "hi"', b: null }], [{ key: 'a', label: 'A' }, { key: 'b' }]);
+    assert.equal(csv, 'A,b\n"x,y",1\n"say ""hi""",\n');
+});
+
+test('a single-run CSV has one line per sample and every column', () => {
+    const lines = trajectoryCSV([{ name: 'only', result }]).trim().split('\n');
+    assert.equal(lines[0], TRAJECTORY_COLUMNS.map(c => c.label).join(','));
+    assert.equal(lines.length, result.trajectory.length + 1);
+    assert.equal(lines[1].split(',').length, TRAJECTORY_COLUMNS.length);
+});
+
+test('compare CSV stacks runs with a run column', () => {
+    const other = runSimulation(0.5, 0.4, 60);
+    const lines = trajectoryCSV([{ name: 'a', result }, { name: 'b', result: other }]).trim().split('\n');
+    assert.ok(lines[0].startsWith('run,t_s,'));
+    assert.equal(lines.length, result.trajectory.length + other.trajectory.length + 1);
+    assert.ok(lines[lines.length - 1].startsWith('b,'));
+});
+
+test('JSON export keeps inputs, summary and samples but not solver internals', () => {
+    const doc = JSON.parse(trajectoryJSON([{ name: 'r', inputs: { fillRatio: 0.33 }, result }]));
+    assert.equal(doc.units.P_tank, 'Pa (absolute)');
+    assert.deepEqual(doc.units.ambient, { P: 'Pa', T: 'K', P_vapor: 'Pa', rho: 'kg/m³' });
+    assert.equal(doc.runs[0].summary.maxH, result.maxH);
+    assert.equal(doc.runs[0].summary.finalState, undefined);
+    assert.equal(doc.runs[0].trajectory.length, result.trajectory.length);
+    assert.deepEqual(doc.runs[0].inputs, { fillRatio: 0.33 });
+});
+
+test('display units relabel columns and convert values, with gauge tank pressure', () => {
+    const units = displayUnits({ system: 'imperial', pressure: 'psi' });
+    const [header, first] = trajectoryCSV([{ name: 'only', result }], units).split('\n');
+    assert.equal(header, 't_s,x_ft,h_ft,v_fps,accel_fps2,mass_oz,water_volume_floz,tank_pressure_psig,thrust_lbf');
+    const values = first.split(',').map(Number);
+    assert.ok(Math.abs(values[7] - 60) < 1e-9);
+    assert.ok(Math.abs(values[8] - result.trajectory[0].thrust / 4.4482216152605) < 1e-9);
+
+    const doc = JSON.parse(trajectoryJSON([{ name: 'r', inputs: { pressurePSI: 60 }, result }], units));
+    assert.equal(doc.units.h, 'ft');
+    assert.equal(doc.units.P_tank, 'psi (gauge)');
+    assert.equal(doc.units.maxH, 'ft');
+    assert.ok(Math.abs(doc.runs[0].summary.maxH - result.maxH / 0.3048) < 1e-9);
+    assert.equal(doc.runs[0].summary.maxHTime, result.maxHTime);
+    assert.deepEqual(doc.runs[0].inputs, { pressurePSI: 60 });
+    // Site conditions follow the same system
+    assert.deepEqual(doc.units.ambient, { P: 'inHg', T: '°F', P_vapor: 'inHg', rho: 'kg/m³' });
+    assert.ok(Math.abs(doc.runs[0].summary.ambient.P - result.ambient.P / 3386.389) < 1e-9);
+    assert.ok(Math.abs(doc.runs[0].summary.ambient.T - (result.ambient.T * 9 / 5 - 459.67)) < 1e-9);
+    assert.equal(doc.runs[0].summary.ambient.rho, result.ambient.rho);
+});
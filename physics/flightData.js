@@ -0,0 +1,185 @@
+// Measured flight logs: CSV parsing, unit mapping, residuals against the
+// model and least-squares estimation of model parameters.
+
+import { runSimulation, interpolateTrajectory } from './model.js';
+import { nelderMead, invertMatrix } from './numerics.js';
+
+// Measured flight data import
+export const TIME_UNITS = { s: 1, ms: 0.001 };
+export const ALT_UNITS = { m: 1, ft: 0.3048 };
+
+/**
+ * Parse delimited text (comma, semicolon or tab) into headers and numeric rows.
+ * A first row containing non-numeric cells is treated as the header; blank
+ * lines and `#` comments are skipped.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: number[][] }}
+ */
+export function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length === 0) return { headers: [], rows: [] };
+
+    const delim = [';', '\t'].reduce(
+        (best, d) => (lines[0].split(d).length > lines[0].split(best).length ? d : best), ','
+    );
+    const cells = lines.map(l => l.split(delim).map(c => c.trim().replace(/^"|"$/g, '')));
+    const hasHeader = cells[0].some(c => c !== '' && !Number.isFinite(Number(c)));
+    const headers = hasHeader ? cells[0] : cells[0].map((_, i) => `col ${i + 1}`);
+    const rows = (hasHeader ? cells.slice(1) : cells).map(r => r.map(c => (c === '' ? NaN : Number(c))));
+
+    return { headers, rows };
+}
+
+/**
+ * Guess column mapping and units from header names.
+ * @param {string[]} headers
+ * @returns {{ timeCol: number, altCol: number, timeUnit: string, altUnit: string,
+ *   zeroTime: boolean, zeroAlt: boolean }}
+ */
+export function guessFlightMapping(headers) {
+    const find = (re, fallback) => {
+        const i = headers.findIndex(h => re.test(h));
+        return i >= 0 ? i : Math.min(fallback, headers.length - 1);
+    };
+    const timeCol = find(/time|^t\b|sec/i, 0);
+    const altCol = find(/alt|height|^h\b|agl/i, timeCol === 0 ? 1 : 0);
+    return {
+        timeCol,
+        altCol,
+        timeUnit: /\bms\b|milli/i.test(headers[timeCol] ?? '') ? 'ms' : 's',
+        altUnit: /\bft\b|feet/i.test(headers[altCol] ?? '') ? 'ft' : 'm',
+        zeroTime: true,
+        zeroAlt: true,
+    };
+}
+
+/**
+ * Convert an imported flight to SI `{t, h}` points sorted by time.
+ * @param {{ rows: number[][], mapping: object }} flight
+ * @returns {{ t: number, h: number }[]}
+ */
+export function flightPoints({ rows, mapping }) {
+    const { timeCol, altCol, timeUnit, altUnit, zeroTime, zeroAlt } = mapping;
+    const points = rows
+        .map(r => ({ t: r[timeCol] * TIME_UNITS[timeUnit], h: r[altCol] * ALT_UNITS[altUnit] }))
+        .filter(p => Number.isFinite(p.t) && Number.isFinite(p.h))
+        .sort((a, b) => a.t - b.t);
+    if (points.length === 0) return points;
+
+    const t0 = zeroTime ? points[0].t : 0;
+    const h0 = zeroAlt ? points[0].h : 0;
+    return points.map(p => ({ t: p.t - t0, h: p.h - h0 }));
+}
+
+/**
+ * Residuals of a simulated flight against measured points (errors are sim − measured).
+ * @param {{ t: number, h: number }[]} points
+ * @param {object} simResult Result of `runSimulation`
+ * @returns {{ n: number, rmse: number, measuredApogee: number, measuredApogeeTime: number,
+ *   apogeeError: number, apogeeTimeError: number } | null}
+ */
+export function flightResiduals(points, simResult) {
+    if (points.length === 0) return null;
+
+    let sumSq = 0;
+    let peak = points[0];
+    for (const p of points) {
+        const err = interpolateTrajectory(simResult.trajectory, p.t) - p.h;
+        sumSq += err * err;
+        if (p.h > peak.h) peak = p;
+    }
+
+    return {
+        n: points.length,
+        rmse: Math.sqrt(sumSq / points.length),
+        measuredApogee: peak.h,
+        measuredApogeeTime: peak.t,
+        apogeeError: simResult.maxH - peak.h,
+        apogeeTimeError: simResult.maxHTime - peak.t,
+    };
+}
+
+// Model parameters that can be estimated from measured flights
+export const FIT_PARAMS = {
+    C_d: { label: 'DRAG Cᴅ', min: 0.1, max: 1.0 },
+    nozzle_cd: { label: 'NOZZLE DISCHARGE Cᴅ', min: 0.3, max: 1.0 },
+};
+
+/**
+ * Least-squares fit of the chosen free parameters to measured altitude points.
+ * Residuals from all flights are pooled; 95% intervals come from the
+ * linearised covariance s²(JᵀJ)⁻¹ at the optimum.
+ * @param {{ t: number, h: number }[][]} pointSets One point list per flight
+ * @param {string[]} freeParams Keys of FIT_PARAMS to estimate
+ * @param {number} fillRatio
+ * @param {number} C_d Starting body drag coefficient
+ * @param {number} pressurePSI
+ * @param {object} rocket Starting rocket (its nozzle_cd seeds the fit)
+ * @param {object} launch
+ * @param {object} [options] Passed to `runSimulation`
+ * @returns {{ params: string[], values: object, stdErr: object, ci95: object,
+ *   rmse: number, initialRmse: number, n: number, iterations: number }}
+ */
+export function fitFlightParameters(pointSets, freeParams, fillRatio, C_d, pressurePSI, rocket, launch, options = {}) {
+    const points = pointSets.flat();
+    const initial = { C_d, nozzle_cd: rocket.nozzle_cd };
+
+    const simulate = (values) => runSimulation(
+        fillRatio, values.C_d, pressurePSI, { ...rocket, nozzle_cd: values.nozzle_cd }, launch, options
+    );
+    const toValues = (x) => {
+        const values = { ...initial };
+        freeParams.forEach((key, i) => { values[key] = x[i]; });
+        return values;
+    };
+    const residuals = (x) => {
+        const { trajectory } = simulate(toValues(x));
+        return points.map(p => interpolateTrajectory(trajectory, p.t) - p.h);
+    };
+    const outOfBounds = (x) => freeParams.reduce((sum, key, i) => {
+        const { min, max } = FIT_PARAMS[key];
+        return sum + Math.max(0, min - x[i], x[i] - max);
+    }, 0);
+    const sse = (x) => {
+        const penalty = outOfBounds(x);
+        if (penalty > 0) return 1e12 * (1 + penalty);
+        return residuals(x).reduce((sum, r) => sum + r * r, 0);
+    };
+
+    const x0 = freeParams.map(key => initial[key]);
+    const { x, fx, iterations } = nelderMead(sse, x0, { step: x0.map(v => v * 0.2), maxIter: 150, tol: 1e-8 });
+
+    // Jacobian by central differences for the confidence intervals
+    const n = points.length;
+    const p = freeParams.length;
+    const J = points.map(() => new Array(p).fill(0));
+    freeParams.forEach((key, j) => {
+        // Relative step well above the integrator's tolerance
+        const hStep = Math.max(Math.abs(x[j]) * 0.01, 1e-4);
+        const up = residuals(x.map((v, k) => (k === j ? v + hStep : v)));
+        const down = residuals(x.map((v, k) => (k === j ? v - hStep : v)));
+        for (let i = 0; i < n; i++) J[i][j] = (up[i] - down[i]) / (2 * hStep);
+    });
+    const JtJ = Array.from({ length: p }, (_, a) =>
+        Array.from({ length: p }, (_, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0))
+    );
+    const cov = invertMatrix(JtJ);
+    const s2 = n > p ? fx / (n - p) : NaN;
+
+    const values = toValues(x);
+    const stdErr = {};
+    freeParams.forEach((key, j) => {
+        stdErr[key] = cov ? Math.sqrt(Math.max(0, s2 * cov[j][j])) : NaN;
+    });
+
+    return {
+        params: freeParams,
+        values,
+        stdErr,
+        ci95: Object.fromEntries(freeParams.map(key => [key, 1.96 * stdErr[key]])),
+        rmse: Math.sqrt(fx / n),
+        initialRmse: Math.sqrt(sse(x0) / n),
+        n,
+        iterations,
+    };
+}
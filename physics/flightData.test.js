@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation, DEFAULT_ROCKET, DEFAULT_LAUNCH } from './model.js';
+import {
+    parseCSV,
+    guessFlightMapping,
+    flightPoints,
+    flightResiduals,
+    fitFlightParameters,
+} from './flightData.js';
+
+test('parseCSV detects header, delimiter and comments', () => {
+    const { headers, rows } = parseCSV('# altimeter log\nTime (ms);Altitude (ft);Temp\n0;0;20\n\n500;"40";21\n');
+    assert.deepEqual(headers, ['Time (ms)', 'Altitude (ft)', 'Temp']);
+    assert.deepEqual(rows, [[0, 0, 20], [500, 40, 21]]);
+
+    const bare = parseCSV('0\t1.5\n0.1\t2\n');
+    assert.deepEqual(bare.headers, ['col 1', 'col 2']);
+    assert.deepEqual(bare.rows, [[0, 1.5], [0.1, 2]]);
+});
+
+test('guessFlightMapping picks columns and units from header names', () => {
+    const mapping = guessFlightMapping(['Temp', 'Altitude (ft)', 'Time (ms)']);
+    assert.equal(mapping.timeCol, 2);
+    assert.equal(mapping.altCol, 1);
+    assert.equal(mapping.timeUnit, 'ms');
+    assert.equal(mapping.altUnit, 'ft');
+});
+
+test('flightPoints converts units, sorts and zeroes the first sample', () => {
+    const points = flightPoints({
+        rows: [[2000, 110], [1000, 100], [NaN, 5], [1500, 120]],
+        mapping: { timeCol: 0, altCol: 1, timeUnit: 'ms', altUnit: 'ft', zeroTime: true, zeroAlt: true },
+    });
+    assert.deepEqual(points.map(p => p.t), [0, 0.5, 1]);
+    assert.ok(Math.abs(points[1].h - 20 * 0.3048) < 1e-12);
+});
+
+test('flightResiduals vanish against the simulated trajectory itself', () => {
+    const sim = runSimulation(0.33, 0.4, 60);
+    const points = sim.trajectory.filter((_, i) => i % 10 === 0).map(({ t, h }) => ({ t, h }));
+    const res = flightResiduals(points, sim);
+    assert.ok(res.rmse < 1e-9);
+    assert.ok(Math.abs(res.apogeeError) < 0.05);
+    assert.equal(flightResiduals([], sim), null);
+});
+
+test('fitFlightParameters recovers the drag coefficient of a synthetic flight', () => {
+    const truth = runSimulation(0.33, 0.6, 60);
+    let seed = 1;
+    const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 0.5;
+    const points = truth.trajectory.filter((_, i) => i % 20 === 0).map(p => ({ t: p.t, h: p.h + noise() }));
+
+    const fit = fitFlightParameters([points], ['C_d'], 0.33, 0.4, 60, DEFAULT_ROCKET, DEFAULT_LAUNCH);
+    assert.ok(Math.abs(fit.values.C_d - 0.6) < 3 * fit.stdErr.C_d + 1e-3, `C_d ${fit.values.C_d}`);
+    assert.ok(fit.rmse < 0.2 && fit.rmse < fit.initialRmse);
+    assert.deepEqual(fit.params, ['C_d']);
+});
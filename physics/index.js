@@ -0,0 +1,108 @@
+// Headless bottle rocket physics engine.
+//
+// Usable from the browser UI, Node scripts and the CLI (physics/cli.js):
+//
+//   import { runSimulation, DEFAULT_ROCKET } from './physics/index.js';
+//   const result = runSimulation(0.33, 0.4, 60, { ...DEFAULT_ROCKET, mass_empty: 0.1 });
+//   console.log(result.maxH, result.burnoutTime);
+//
+// In the browser, SimulationPool runs the same functions in Web Workers.
+
+export {
+    CONSTANTS,
+    DEFAULT_ROCKET,
+    DEFAULT_RECOVERY,
+    DEPLOY_MODES,
+    DEFAULT_BOOSTER,
+    DEFAULT_BODY,
+    DEFAULT_LAUNCH,
+    DEFAULT_SOLVER,
+    ROCKET_PRESETS,
+    INTEGRATORS,
+    NOZZLE_MODELS,
+    propulsion,
+    rocketODEs,
+    runSimulation,
+    bottleCount,
+    tankAirSpace,
+    SAMPLE_INTERVAL,
+    FILL_SWEEP,
+    summarizeSweep,
+    findOptimal,
+    interpolateTrajectory,
+} from './model.js';
+
+export { DESIGN_GOALS, DESIGN_VARIABLES, DESIGN_CONSTRAINTS, optimizeDesign } from './design.js';
+
+export {
+    SENSITIVITY_INPUTS,
+    SENSITIVITY_OUTPUTS,
+    sensitivityScenarios,
+    summarizeSensitivity,
+    sensitivityOutcome,
+    analyzeSensitivity,
+} from './sensitivity.js';
+
+export { DRAG_MODELS, dragGeometry, dragCoefficient } from './drag.js';
+
+export {
+    NOSE_SHAPES,
+    MIN_STABLE_MARGIN,
+    airframeGeometry,
+    centerOfPressure,
+    centerOfGravity,
+    stabilityOverBurn,
+} from './stability.js';
+
+export {
+    ISA,
+    DEFAULT_ATMOSPHERE,
+    saturationPressure,
+    siteAtmosphere,
+    airDensity,
+    airTemperature,
+    airViscosity,
+    speedOfSound,
+} from './atmosphere.js';
+
+export {
+    TIME_UNITS,
+    ALT_UNITS,
+    FIT_PARAMS,
+    parseCSV,
+    guessFlightMapping,
+    flightPoints,
+    flightResiduals,
+    fitFlightParameters,
+} from './flightData.js';
+
+export { rk4Step, dopriStep, integrate, nelderMead, invertMatrix } from './numerics.js';
+
+export {
+    DISPERSION_PARAMS,
+    DISTRIBUTIONS,
+    createRng,
+    sampleScenarios,
+    percentile,
+    summarize,
+    histogram,
+    altitudeBands,
+} from './monteCarlo.js';
+
+export {
+    SCENARIO_SCHEMA,
+    SCENARIO_VERSION,
+    DEFAULT_SCENARIO,
+    DEFAULT_MONTE_CARLO,
+    parseScenario,
+    serializeScenario,
+    encodeScenario,
+    decodeScenario,
+} from './scenario.js';
+
+export { TRAJECTORY_COLUMNS, toCSV, trajectoryCSV, trajectoryJSON } from './export.js';
+
+export { UNITS, UNIT_SYSTEMS, PRESSURE_UNITS, DEFAULT_UNITS, displayUnits } from './units.js';
+
+export { JOBS, runJob } from './jobs.js';
+export { SimulationPool } from './pool.js';
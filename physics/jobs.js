@@ -0,0 +1,66 @@
+// Named physics jobs that can be shipped to a worker as { fn, args }.
+// Arguments and results must survive structured cloning, so jobs return
+// plain data only.
+
+import { runSimulation, findOptimal, interpolateTrajectory, tankAirSpace, SAMPLE_INTERVAL } from './model.js';
+import { fitFlightParameters } from './flightData.js';
+import { optimizeDesign } from './design.js';
+import { sensitivityOutcome } from './sensitivity.js';
+
+const flyable = (fillRatio, rocket, launch) => tankAirSpace(fillRatio, rocket, launch) > 0;
+
+export const JOBS = {
+    // Full flight: same arguments as runSimulation. This and the jobs below
+    // give null for a setup that cannot fly (no air left in a tank), so one
+    // such run or point does not fail its batch
+    simulate: (fillRatio, C_d, pressurePSI, rocket, launch, options) =>
+        (flyable(fillRatio, rocket, launch) ? runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, options) : null),
+    // One point of a fill sweep; skips the descent and drops the trajectory
+    apogee: (fillRatio, C_d, pressurePSI, rocket, launch, options = {}) => flyable(fillRatio, rocket, launch) ? {
+        ratio: fillRatio,
+        maxH: runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, { ...options, stopAtApogee: true }).maxH,
+    } : null,
+    // Boost-phase summary for comparing propulsion setups; stops at apogee
+    boost: (fillRatio, C_d, pressurePSI, rocket, launch, options = {}) => {
+        if (!flyable(fillRatio, rocket, launch)) return null;
+        const r = runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, { ...options, stopAtApogee: true });
+        return {
+            maxH: r.maxH,
+            burnoutTime: r.burnoutTime,
+            burnoutVel: r.burnoutVel,
+            tubeExitVel: r.tubeExitVel,
+            totalImpulse: r.totalImpulse,
+        };
+    },
+    // One Monte Carlo member: headline numbers and the altitude only, resampled
+    // onto the SAMPLE_INTERVAL grid (the trajectory also holds a sample at
+    // every event, so its indices drift off the grid)
+    dispersion: (fillRatio, C_d, pressurePSI, rocket, launch, options) => {
+        if (!flyable(fillRatio, rocket, launch)) return null;
+        const r = runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, options);
+        const end = r.trajectory[r.trajectory.length - 1].t;
+        return {
+            maxH: r.maxH,
+            burnoutVel: r.burnoutVel,
+            flightTime: r.flightTime,
+            h: Array.from({ length: Math.floor(end / SAMPLE_INTERVAL + 1e-9) + 1 }, (_, k) =>
+                interpolateTrajectory(r.trajectory, k * SAMPLE_INTERVAL)
+            ),
+        };
+    },
+    // One perturbed setup of a sensitivity analysis; null if it cannot fly
+    sensitivity: sensitivityOutcome,
+    optimize: findOptimal,
+    fit: fitFlightParameters,
+    design: optimizeDesign,
+};
+
+/**
+ * Run a job synchronously in the current thread.
+ * @param {{ fn: string, args: any[] }} job
+ * @returns {any}
+ */
+export function runJob({ fn, args }) {
+    if (!(fn in JOBS)) throw new Error(`Unknown job "${fn}"`);
+    return JOBS[fn](...args);
+}
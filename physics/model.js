@@ -0,0 +1,751 @@
+// Water rocket flight model: tank thermodynamics, nozzle flow, 2D point-mass
+// dynamics with launch rail, wind and parachute recovery. All units are SI
+// except the launch pressure, which is gauge psi as on a pump.
+
+import { integrate } from './numerics.js';
+import { DEFAULT_ATMOSPHERE, siteAtmosphere, airDensity, airTemperature, airViscosity, speedOfSound } from './atmosphere.js';
+import { dragGeometry, dragCoefficient } from './drag.js';
+
+// Physical Constants
+export const CONSTANTS = {
+    g: 9.81,                    // m/s²
+    rho_water: 1000,            // kg/m³
+    gamma: 1.4,                 // Adiabatic exponent
+    R_air: 287.05,              // J/(kg·K), specific gas constant of air
+    psi: 6894.76,               // Pa per psi
+};
+
+// When the parachute opens: never, at apogee, a delay after thrust ends, or
+// at an altitude on the way down
+export const DEPLOY_MODES = {
+    none: 'NONE',
+    apogee: 'APOGEE',
+    delay: 'DELAY',
+    altitude: 'ALTITUDE',
+};
+
+// Recovery system. deploy: a key of DEPLOY_MODES
+export const DEFAULT_RECOVERY = {
+    deploy: 'none',
+    delay: 1.0,                 // s after burnout
+    altitude: 20,               // m
+    diameter: 0.45,             // 45 cm canopy
+    C_d: 0.8,                   // canopy drag coefficient
+    inflation_time: 0.3,        // s to reach full drag area
+};
+
+// Lower stage of a staged rocket. It fires first with its own fill and
+// pressure; at separation its dry mass (and anything left in it) is dropped
+// and the upper stage, the rocket's main tank, opens its nozzle.
+// separation: 'water' (booster water burnout) | 'burnout' (booster tank at
+// ambient) | 'delay' (a fixed time after booster burnout)
+export const DEFAULT_BOOSTER = {
+    tank_volume: 1e-3,          // 1 L
+    d_bottle: 0.080,            // 8 cm
+    d_nozzle: 0.0215,           // standard PCO neck
+    mass_empty: 0.080,          // 80 g, dropped at separation
+    fill_ratio: 0.33,
+    pressure_psi: 60,           // launch gauge pressure
+    separation: 'burnout',
+    delay: 0.2,                 // s after booster burnout
+};
+
+// Airframe around the bottle, for the stability analysis (stability.js):
+// nose cone and fairing tube on the bottle's base, fins at the nozzle end.
+// Nose and fin masses are part of the dry mass; ballast in the nose is
+// added to it.
+export const DEFAULT_BODY = {
+    nose_shape: 'ogive',        // see NOSE_SHAPES in stability.js
+    nose_length: 0.12,          // m
+    nose_mass: 0.03,            // kg, of the dry mass
+    fairing_length: 0.15,       // m of body tube between nose cone and bottle
+    fin_count: 3,
+    fin_root: 0.12,             // root chord (m)
+    fin_tip: 0.05,              // tip chord (m)
+    fin_span: 0.10,             // semi-span from the body surface (m)
+    fin_sweep: 0.06,            // root to tip leading edge, along the body (m)
+    fin_offset: 0,              // root trailing edge above the nozzle end (m)
+    fin_thickness: 0.002,       // m, for fin drag
+    fin_mass: 0.015,            // kg for all fins, of the dry mass
+    ballast: 0,                 // kg, added to the dry mass
+    ballast_position: 0.06,     // m behind the nose tip
+};
+
+// Default rocket geometry (0.8L Bottle Rocket - from constants.py)
+export const DEFAULT_ROCKET = {
+    tank_volume: 8e-4,          // 0.8L in m³
+    d_bottle: 0.075,            // 7.5 cm
+    d_nozzle: 0.026,            // 2.6 cm
+    mass_empty: 0.0765,         // 76.5 g
+    nozzle_model: 'discharge',  // Water-flow loss model, see NOZZLE_MODELS
+    nozzle_cd: 1.0,             // Nozzle discharge coefficient Cd_n (1 = ideal)
+    nozzle_cc: 1.0,             // Jet contraction coefficient C_c (vena contracta area / nozzle area)
+    drag_model: 'constant',     // Body drag coefficient: the C_d given, or 'estimated' from the airframe (drag.js)
+    layout: 'single',           // 'single' | 'cluster' (bottles side by side) | 'staged' (booster below)
+    cluster_count: 2,           // bottles in a cluster, each with its own nozzle
+    booster: DEFAULT_BOOSTER,
+    body: DEFAULT_BODY,
+    recovery: DEFAULT_RECOVERY,
+};
+
+// How the water jet departs from ideal Bernoulli flow through the nozzle:
+//   ideal        full nozzle area at the Bernoulli speed; Cd_n and C_c ignored
+//   discharge    Cd_n shrinks the effective area, the jet keeps the Bernoulli speed
+//   contraction  the jet necks down to C_c of the nozzle area and leaves at
+//                C_v = Cd_n / C_c of the Bernoulli speed (C_c ≥ Cd_n, so C_v ≤ 1)
+// The air phase uses Cd_n as an effective-area factor in both lossy models.
+export const NOZZLE_MODELS = {
+    ideal: 'IDEAL BERNOULLI',
+    discharge: 'DISCHARGE Cd_n',
+    contraction: 'VENA CONTRACTA',
+};
+
+// Common bottle sizes (standard PCO neck, typical fin/nose dry mass)
+export const ROCKET_PRESETS = {
+    '0.5L': { tank_volume: 5e-4, d_bottle: 0.065, d_nozzle: 0.0215, mass_empty: 0.060 },
+    '0.8L': { tank_volume: 8e-4, d_bottle: 0.075, d_nozzle: 0.026, mass_empty: 0.0765 },
+    '1L': { tank_volume: 1e-3, d_bottle: 0.080, d_nozzle: 0.0215, mass_empty: 0.090 },
+    '2L': { tank_volume: 2e-3, d_bottle: 0.105, d_nozzle: 0.0215, mass_empty: 0.140 },
+};
+
+// Default launch conditions: vertical launch, 1 m rail, calm air on a standard day
+export const DEFAULT_LAUNCH = {
+    angle: 90,                  // degrees above horizontal
+    rail_length: 1.0,           // m
+    wind_speed: 0,              // m/s, positive blows downrange (+x)
+    tube_length: 0,             // m of launch tube inside the nozzle, 0 for none
+    tube_diameter: 0.02,        // m, outer diameter of the launch tube
+    atmosphere: DEFAULT_ATMOSPHERE,
+};
+
+// Integrators selectable in the UI
+export const INTEGRATORS = {
+    dopri45: 'DORMAND–PRINCE RK45',
+    rk4: 'RK4 FIXED STEP',
+};
+
+// Numerical settings: fixed RK4 step, or relative tolerance for the adaptive method
+export const DEFAULT_SOLVER = {
+    integrator: 'dopri45',
+    dt: 0.002,                  // s, RK4 step
+    tolerance: 1e-6,            // RK45 relative tolerance
+};
+
+// State-vector slots [V_water, m_air] of each tank: the main (upper) tank,
+// then a staged rocket's booster
+const TANK_SLOTS = [[5, 6], [8, 9]];
+
+// Pressure and air density in tank k. Isentropic expansion: P / ρ^γ keeps
+// its fill value through every phase; a launch tube still inside the nozzle
+// takes up part of the air space.
+function tankState(y, params, k) {
+    const tank = params.tanks[k];
+    const [iW, iA] = TANK_SLOTS[k];
+    const inTube = params.onTube && tank.A_tube > 0
+        ? Math.max(params.launch.tube_length - Math.hypot(y[2], y[3]), 0)
+        : 0;
+    const V_air = tank.tank_volume - Math.max(y[iW], 0) - tank.A_tube * inTube;
+    const rho_tank = y[iA] / V_air;
+    return { rho_tank, P_tank: tank.P_0_abs * Math.pow(rho_tank * tank.V_air_0 / tank.m_air_0, CONSTANTS.gamma) };
+}
+
+/**
+ * Tank and nozzle state for a rocket state vector.
+ *
+ * Only one tank fires at a time: the main tank, or on a staged rocket the
+ * booster until separation. A cluster's bottles fire together and stay
+ * identical, so one bottle is tracked and its thrust multiplied.
+ *
+ * On a launch tube the rocket first rides the tube: tank pressure pushes on
+ * the tube's cross-section and the air expands into the volume it vacates,
+ * with no outflow. Phase 1 then expels water (Bernoulli, with the nozzle
+ * model's losses); phase 2 vents the remaining air through the nozzle,
+ * choked while P_tank/P_amb exceeds the critical ratio and subsonic
+ * isentropic below it, until the tank reaches ambient pressure (the site's
+ * station pressure).
+ *
+ * @param {number[]} y State `[vx, vy, x, h, m, V_water, m_air, I]`, plus the
+ *   booster's `[V_water, m_air]` on a staged rocket
+ * @param {object} params Run parameters built by `runSimulation`
+ * @returns {{ phase: 'tube' | 'water' | 'air' | 'coast', tank: number, thrust: number,
+ *   P_tank: number, dV_water_dt: number, dm_air_dt: number }} Firing tank
+ *   (0 main, 1 booster), total thrust (N), its tank pressure (Pa) and
+ *   outflow rates per bottle (m³/s, kg/s)
+ */
+export function propulsion(y, params) {
+    const { site } = params;
+    const { gamma, R_air, rho_water } = CONSTANTS;
+    const P_amb = site.P;
+    const k = params.firing;
+    const tank = params.tanks[k];
+    const { A_nozzle, A_jet, C_v, A_tube, count } = tank;
+    const V_water = y[TANK_SLOTS[k][0]];
+    const { rho_tank, P_tank } = tankState(y, params, k);
+    const coast = { phase: 'coast', tank: k, thrust: 0, P_tank, dV_water_dt: 0, dm_air_dt: 0 };
+
+    if (params.onTube) {
+        return { ...coast, phase: 'tube', thrust: Math.max(P_tank - P_amb, 0) * A_tube * count };
+    }
+
+    if (V_water > 0) {
+        const delta_P = P_tank - P_amb;
+        if (delta_P <= 0) return coast;
+        const denom = rho_water * (1 - Math.pow(tank.d_nozzle / tank.d_bottle, 4));
+        const v_e = C_v * Math.sqrt(2 * delta_P / denom);
+        return {
+            phase: 'water',
+            tank: k,
+            thrust: rho_water * A_jet * v_e * v_e * count,
+            P_tank,
+            dV_water_dt: -A_jet * v_e,
+            dm_air_dt: 0,
+        };
+    }
+
+    if (!(P_tank > P_amb)) return coast;
+
+    const T_tank = P_tank / (rho_tank * R_air);
+    const P_crit = P_tank * Math.pow(2 / (gamma + 1), gamma / (gamma - 1));
+    let mdot, v_e, P_exit;
+
+    if (P_crit > P_amb) {
+        // Choked: sonic throat, exit pressure above ambient adds pressure thrust
+        const T_exit = T_tank * 2 / (gamma + 1);
+        v_e = Math.sqrt(gamma * R_air * T_exit);
+        P_exit = P_crit;
+        mdot = (P_exit / (R_air * T_exit)) * A_nozzle * v_e;
+    } else {
+        // Subsonic: jet expands to ambient pressure
+        const ratio = P_amb / P_tank;
+        v_e = Math.sqrt(2 * gamma / (gamma - 1) * R_air * T_tank * (1 - Math.pow(ratio, (gamma - 1) / gamma)));
+        P_exit = P_amb;
+        mdot = rho_tank * Math.pow(ratio, 1 / gamma) * A_nozzle * v_e;
+    }
+
+    return {
+        phase: 'air',
+        tank: k,
+        thrust: (mdot * v_e + (P_exit - P_amb) * A_nozzle) * count,
+        P_tank,
+        dV_water_dt: 0,
+        dm_air_dt: -mdot,
+    };
+}
+
+// Parachute drag area (Cd·A, m²) at time t; grows linearly during inflation
+function chuteDragArea(t, params) {
+    const { deployTime, A_chute, rocket } = params;
+    if (deployTime === null || t < deployTime) return 0;
+    const { inflation_time, C_d } = rocket.recovery;
+    const inflation = inflation_time > 0 ? Math.min(1, (t - deployTime) / inflation_time) : 1;
+    return C_d * A_chute * inflation;
+}
+
+// Body drag coefficient: the fixed C_d, or estimated from the airframe at
+// the current airspeed and height
+function bodyDragCoefficient(params, v_rel, h, thrusting) {
+    if (!params.drag) return params.C_d;
+    const { site, isa } = params;
+    const T = airTemperature(site, h, isa);
+    const air = { rho: airDensity(site, h, isa), mu: airViscosity(T), a: speedOfSound(T) };
+    return dragCoefficient(params.drag, v_rel, air, thrusting).total;
+}
+
+/**
+ * Rocket equations of motion, y = [vx, vy, x, h, m, V_water, m_air, I] with
+ * a staged rocket's booster [V_water, m_air] appended.
+ *
+ * m is total mass (dry + water + air, every bottle and stage still attached)
+ * and I the accumulated thrust impulse.
+ * On the launch rail motion is constrained to the rail direction; once free,
+ * thrust acts along the air-relative velocity (weathercocking into the wind).
+ *
+ * @param {number} t Time (s)
+ * @param {number[]} y State
+ * @param {object} params Run parameters built by `runSimulation`
+ * @returns {number[]} dy/dt
+ */
+export function rocketODEs(t, y, params) {
+    const { A_bottle, launch, railDir, site, isa } = params;
+    let [vx, vy, x, h, m] = y;
+    const { tank, thrust, dV_water_dt, dm_air_dt } = propulsion(y, params);
+
+    // Drag acts on the velocity relative to the air mass
+    const vrx = vx - launch.wind_speed;
+    const vry = vy;
+    const v_rel = Math.hypot(vrx, vry);
+    const CdA = bodyDragCoefficient(params, v_rel, h, thrust > 0) * A_bottle + chuteDragArea(t, params);
+    const drag_k = -0.5 * airDensity(site, h, isa) * CdA * v_rel / m;
+    let ax = drag_k * vrx;
+    let ay = drag_k * vry - CONSTANTS.g;
+
+    const onRail = !params.offRail && Math.hypot(x, h) < params.guideLength;
+    const [dirX, dirY] = onRail || v_rel < 1e-6 ? railDir : [vrx / v_rel, vry / v_rel];
+
+    const dm_dt = (CONSTANTS.rho_water * dV_water_dt + dm_air_dt) * params.tanks[tank].count;
+    ax += thrust / m * dirX;
+    ay += thrust / m * dirY;
+
+    if (onRail) {
+        // Keep only the along-rail component; the pad holds the rocket until thrust exceeds weight
+        let a_along = ax * railDir[0] + ay * railDir[1];
+        const v_along = vx * railDir[0] + vy * railDir[1];
+        if (Math.hypot(x, h) === 0 && v_along <= 0 && a_along < 0) a_along = 0;
+        ax = a_along * railDir[0];
+        ay = a_along * railDir[1];
+    }
+
+    const dy = [ax, ay, vx, vy, dm_dt, 0, 0, thrust];
+    if (params.tanks.length > 1) dy.push(0, 0);
+    const [iW, iA] = TANK_SLOTS[tank];
+    dy[iW] = dV_water_dt;
+    dy[iA] = dm_air_dt;
+    return dy;
+}
+
+// One tank of a rocket: geometry, nozzle areas for the rocket's nozzle model,
+// and fill. `count` identical bottles fire together; a launch tube of area
+// A_tube reaches up through the water of each.
+function makeTank(spec, rocket, fillRatio, pressurePSI, site, count, A_tube, tube_length) {
+    const V_water_0 = fillRatio * spec.tank_volume;
+    // The tube's length inside the bottle is not air space
+    const V_air_0 = spec.tank_volume - V_water_0 - A_tube * tube_length;
+    if (!(V_air_0 > 0)) throw new Error('Water and launch tube leave no air space in the tank');
+    const P_0_abs = pressurePSI * CONSTANTS.psi + site.P;
+    // Water jet area and speed factor for the nozzle model; the air phase
+    // sees discharge losses as a smaller effective area
+    const model = rocket.nozzle_model ?? 'discharge';
+    const A_geometric = Math.PI * (spec.d_nozzle / 2) ** 2;
+    const A_nozzle = A_geometric * (model === 'ideal' ? 1 : rocket.nozzle_cd);
+    const C_c = model === 'contraction' ? Math.max(rocket.nozzle_cc ?? 1, rocket.nozzle_cd) : 1;
+    return {
+        tank_volume: spec.tank_volume, d_bottle: spec.d_bottle, d_nozzle: spec.d_nozzle, count,
+        A_nozzle,
+        A_jet: model === 'contraction' ? A_geometric * C_c : A_nozzle,
+        C_v: model === 'contraction' ? rocket.nozzle_cd / C_c : 1,
+        A_tube,
+        A_bottle: Math.PI * (spec.d_bottle / 2) ** 2,
+        V_water_0, V_air_0, P_0_abs,
+        // The tank is filled at the site temperature
+        m_air_0: P_0_abs * V_air_0 / (CONSTANTS.R_air * site.T),
+    };
+}
+
+// Spacing of the recorded trajectory samples (s)
+export const SAMPLE_INTERVAL = 0.005;
+
+// Typical state magnitudes, used as absolute tolerance scales:
+// [vx, vy, x, h, m, V_water, m_air, I], then the booster's [V_water, m_air]
+const STATE_SCALE = [10, 10, 10, 10, 0.1, 1e-3, 1e-3, 1];
+const BOOSTER_SCALE = [1e-3, 1e-3];
+
+/**
+ * Bottles firing side by side in the upper (or only) stage: a cluster's
+ * count, rounded to a whole number of at least one, else one.
+ * @param {object} rocket
+ * @returns {number}
+ */
+export function bottleCount(rocket) {
+    return rocket.layout === 'cluster' ? Math.max(1, Math.round(rocket.cluster_count)) : 1;
+}
+
+/**
+ * Air space left in the tightest tank once filled and with the launch tube
+ * in (the tube reaches into the booster of a staged rocket). The model
+ * needs it positive: runSimulation throws otherwise.
+ * @param {number} fillRatio Water fraction of the upper (or only) tank
+ * @param {object} rocket Tank geometry, layout and booster
+ * @param {object} launch Launch tube length and diameter
+ * @returns {number} Air volume (m³), zero or negative if the rocket cannot fly
+ */
+export function tankAirSpace(fillRatio, rocket = DEFAULT_ROCKET, launch = DEFAULT_LAUNCH) {
+    const tube_length = launch.tube_length ?? 0;
+    const tube = tube_length > 0 ? Math.PI * (launch.tube_diameter / 2) ** 2 * tube_length : 0;
+    if ((rocket.layout ?? 'single') !== 'staged') return rocket.tank_volume * (1 - fillRatio) - tube;
+    const booster = { ...DEFAULT_BOOSTER, ...rocket.booster };
+    return Math.min(rocket.tank_volume * (1 - fillRatio), booster.tank_volume * (1 - booster.fill_ratio) - tube);
+}
+
+/**
+ * Simulate one flight from the pad to ground impact (or 60 s).
+ *
+ * @param {number} fillRatio Water fraction of the tank volume (0–1)
+ * @param {number} C_d Body drag coefficient, unless the rocket's drag_model
+ *   estimates it from the airframe
+ * @param {number} pressurePSI Launch gauge pressure (psi)
+ * @param {object} [rocket=DEFAULT_ROCKET] Geometry, masses, tank layout
+ *   (single, cluster or staged with a booster), airframe, drag model and
+ *   recovery (SI)
+ * @param {object} [launch=DEFAULT_LAUNCH] Launch angle, rail length, wind,
+ *   launch tube and site atmosphere (missing atmosphere fields take
+ *   DEFAULT_ATMOSPHERE values)
+ * @param {object} [options]
+ * @param {boolean} [options.stopAtApogee] End the run at apogee when only the peak is needed
+ * @param {object} [options.solver] Overrides for DEFAULT_SOLVER
+ * @returns {object} Trajectory samples every 5 ms `{t, x, h, v, a, m,
+ *   V_water, P_tank, thrust, C_d}` (SI; a is dv/dt, P_tank absolute, C_d the
+ *   body drag coefficient in use) plus events;
+ *   apogee (maxH, maxHTime, maxHX), water and air burnout, impulse split
+ *   (tubeImpulse from the launch tube, boosterImpulse from a staged
+ *   rocket's booster), booster burnout and separation, tube and rail exit,
+ *   impact/range,
+ *   recovery stats, ambient conditions at the pad (`ambient`, from
+ *   siteAtmosphere), solver statistics and the final state vector. Event
+ *   fields are null when the event did not occur.
+ * @throws {Error} If the water and launch tube leave no air in a tank
+ */
+export function runSimulation(fillRatio, C_d, pressurePSI, rocket = DEFAULT_ROCKET, launch = DEFAULT_LAUNCH, options = {}) {
+    const solver = { ...DEFAULT_SOLVER, ...options.solver };
+    const tube_length = launch.tube_length ?? 0;
+    const A_tube = tube_length > 0 ? Math.PI * (launch.tube_diameter / 2) ** 2 : 0;
+    const atmosphere = { ...DEFAULT_ATMOSPHERE, ...launch.atmosphere };
+    const site = siteAtmosphere(atmosphere);
+    const layout = rocket.layout ?? 'single';
+    const staged = layout === 'staged';
+    const count = bottleCount(rocket);
+    const booster = staged ? { ...DEFAULT_BOOSTER, ...rocket.booster } : null;
+
+    // The launch tube fits whichever nozzle fires first
+    const tanks = [makeTank(rocket, rocket, fillRatio, pressurePSI, site, count, staged ? 0 : A_tube, tube_length)];
+    if (staged) {
+        tanks.push(makeTank(booster, rocket, booster.fill_ratio, booster.pressure_psi, site, 1, A_tube, tube_length));
+    }
+    const [main, lower] = tanks;
+    const A_chute = Math.PI * (rocket.recovery.diameter / 2) ** 2;
+    const theta = launch.angle * Math.PI / 180;
+    const railDir = [Math.cos(theta), Math.sin(theta)];
+
+    const tankMass = (tank) => (CONSTANTS.rho_water * tank.V_water_0 + tank.m_air_0) * tank.count;
+    const m_dry = rocket.mass_empty + (rocket.body?.ballast ?? 0);
+    const m_0 = m_dry + tankMass(main) + (staged ? booster.mass_empty + tankMass(lower) : 0);
+    const y0 = [0, 0, 0, 0, m_0, main.V_water_0, main.m_air_0, 0];
+    if (staged) y0.push(lower.V_water_0, lower.m_air_0);
+    const params = {
+        C_d, rocket, tanks, A_chute, launch, railDir,
+        site, isa: atmosphere.isa,
+        // Airframe for an estimated drag coefficient; on a staged rocket the
+        // upper stage's, scaled to the wider stage's area until separation
+        drag: rocket.drag_model === 'estimated' ? dragGeometry(rocket, { ...DEFAULT_BODY, ...rocket.body }) : null,
+        // Tank now firing: the booster until separation, then the main tank
+        firing: staged ? 1 : 0,
+        // Frontal area for body drag: a cluster's bottles side by side, or
+        // the wider stage until the booster drops away
+        A_bottle: staged ? Math.max(main.A_bottle, lower.A_bottle) : main.A_bottle * count,
+        // A launch tube guides the rocket like a rail until it slides off
+        guideLength: Math.max(launch.rail_length, tube_length),
+        onTube: A_tube > 0,
+        offRail: false,
+        deployTime: null,
+    };
+    const { recovery } = rocket;
+    const speed = (y) => Math.hypot(y[0], y[1]);
+
+    const trajectory = [];
+    let maxH = 0;
+    let maxHTime = 0;
+    let maxHX = 0;
+    let apogeeFound = false;
+    let burnoutTime = null;
+    let burnoutAlt = null;
+    let burnoutVel = null;
+    let burnoutX = null;
+    let waterImpulse = null;
+    let airBurnoutTime = null;
+    let airBurnoutAlt = null;
+    let airBurnoutVel = null;
+    let railExitTime = null;
+    let railExitVel = null;
+    let tubeExitTime = null;
+    let tubeExitVel = null;
+    let tubeImpulse = 0;
+    let boosterBurnoutTime = null;
+    let boosterBurnoutAlt = null;
+    let boosterBurnoutVel = null;
+    let boosterAirBurnoutTime = null;
+    let boosterAirBurnoutAlt = null;
+    let boosterThrustEndTime = null;
+    let separationTime = null;
+    let separationAlt = null;
+    let separationVel = null;
+    let separationX = null;
+    let boosterImpulse = null;
+    let thrustEndTime = null;
+    let deployAlt = null;
+    let deployX = null;
+    let fullInflation = null;
+    let impactTime = null;
+    let impactX = null;
+    let landingVel = null;
+
+    const deploy = (t, y) => {
+        params.deployTime = t;
+        deployAlt = y[3];
+        deployX = y[2];
+    };
+
+    // Drop the booster: its dry mass and whatever water and air it still
+    // holds leave with it, and the main tank starts firing
+    const separate = (t, y) => {
+        params.firing = 0;
+        params.A_bottle = main.A_bottle;
+        separationTime = t;
+        separationAlt = y[3];
+        separationVel = speed(y);
+        separationX = y[2];
+        boosterImpulse = y[7] - tubeImpulse;
+        const dropped = booster.mass_empty + CONSTANTS.rho_water * Math.max(y[8], 0) + y[9];
+        return y.map((yi, i) => (i === 4 ? yi - dropped : i >= 8 ? 0 : yi));
+    };
+    const boosterFiring = () => staged && params.firing === 1;
+
+    const events = [
+        {
+            // Rocket slides off the end of the launch tube
+            g: (t, y) => Math.hypot(y[2], y[3]) - tube_length,
+            direction: 1,
+            active: () => params.onTube,
+            onEvent: (t, y) => {
+                params.onTube = false;
+                tubeExitTime = t;
+                tubeExitVel = speed(y);
+                tubeImpulse = y[7];
+            },
+        },
+        {
+            // Rocket clears the end of the launch rail (or a longer tube)
+            g: (t, y) => Math.hypot(y[2], y[3]) - params.guideLength,
+            direction: 1,
+            onEvent: (t, y) => {
+                params.offRail = true;
+                railExitTime = t;
+                railExitVel = speed(y);
+            },
+        },
+        {
+            // Booster water exhausted
+            g: (t, y) => y[8],
+            direction: -1,
+            active: boosterFiring,
+            onEvent: (t, y) => {
+                boosterBurnoutTime = t;
+                boosterBurnoutAlt = y[3];
+                boosterBurnoutVel = speed(y);
+                const yNew = y.map((yi, i) => (i === 8 ? 0 : yi));
+                return booster.separation === 'water' ? separate(t, yNew) : yNew;
+            },
+        },
+        {
+            // Booster reaches ambient pressure
+            g: (t, y) => tankState(y, params, 1).P_tank - site.P,
+            direction: -1,
+            active: boosterFiring,
+            onEvent: (t, y) => {
+                boosterThrustEndTime = t;
+                if (boosterBurnoutTime !== null) {
+                    boosterAirBurnoutTime = t;
+                    boosterAirBurnoutAlt = y[3];
+                }
+                if (booster.separation === 'burnout') return separate(t, y);
+            },
+        },
+        {
+            g: (t) => t - (boosterThrustEndTime + booster.delay),
+            direction: 1,
+            active: () => boosterFiring() && booster.separation === 'delay' && boosterThrustEndTime !== null,
+            onEvent: separate,
+        },
+        {
+            // Water exhausted
+            g: (t, y) => y[5],
+            direction: -1,
+            onEvent: (t, y) => {
+                burnoutTime = t;
+                burnoutAlt = y[3];
+                burnoutVel = speed(y);
+                burnoutX = y[2];
+                waterImpulse = y[7];
+                return y.map((yi, i) => (i === 5 ? 0 : yi));
+            },
+        },
+        {
+            // Main tank reaches ambient pressure: end of all thrust
+            g: (t, y) => tankState(y, params, 0).P_tank - site.P,
+            direction: -1,
+            active: () => params.firing === 0,
+            onEvent: (t, y) => {
+                thrustEndTime = t;
+                if (burnoutTime !== null) {
+                    airBurnoutTime = t;
+                    airBurnoutAlt = y[3];
+                    airBurnoutVel = speed(y);
+                }
+            },
+        },
+        {
+            g: (t, y) => y[1],
+            direction: -1,
+            terminal: options.stopAtApogee,
+            onEvent: (t, y) => {
+                apogeeFound = true;
+                maxH = y[3];
+                maxHTime = t;
+                maxHX = y[2];
+                if (recovery.deploy === 'apogee') deploy(t, y);
+            },
+        },
+        {
+            g: (t) => t - (thrustEndTime + recovery.delay),
+            direction: 1,
+            active: () => recovery.deploy === 'delay' && thrustEndTime !== null,
+            onEvent: deploy,
+        },
+        {
+            g: (t, y) => y[3] - recovery.altitude,
+            direction: -1,
+            active: () => recovery.deploy === 'altitude' && apogeeFound,
+            onEvent: deploy,
+        },
+        {
+            g: (t) => t - (params.deployTime + recovery.inflation_time),
+            direction: 1,
+            active: () => params.deployTime !== null,
+            onEvent: (t, y) => {
+                fullInflation = { t, h: y[3] };
+            },
+        },
+        {
+            // Ground impact
+            g: (t, y) => y[3],
+            direction: -1,
+            terminal: true,
+            onEvent: (t, y) => {
+                impactTime = t;
+                impactX = y[2];
+                landingVel = speed(y);
+                return y.map((yi, i) => (i === 3 ? 0 : yi));
+            },
+        },
+    ];
+
+    const { y, stats } = integrate(rocketODEs, y0, params, {
+        solver,
+        scale: staged ? [...STATE_SCALE, ...BOOSTER_SCALE] : STATE_SCALE,
+        tMax: 60,
+        sampleInterval: SAMPLE_INTERVAL,
+        events,
+        onSample: (t, y) => {
+            if (!apogeeFound && y[3] > maxH) {
+                maxH = y[3];
+                maxHTime = t;
+                maxHX = y[2];
+            }
+            const { P_tank } = propulsion(y, params);
+            const [ax, ay, , , , , , thrust] = rocketODEs(t, y, params);
+            const C_d = bodyDragCoefficient(params, Math.hypot(y[0] - launch.wind_speed, y[1]), y[3], thrust > 0);
+            // Water still on board, across every bottle and stage
+            const V_water = Math.max(0, y[5]) * count + (staged ? Math.max(0, y[8]) : 0);
+            // Along-track acceleration dv/dt; along the rail while still at rest
+            const v = speed(y);
+            const [dirX, dirY] = v > 0 ? [y[0] / v, y[1] / v] : railDir;
+            trajectory.push({
+                t, x: y[2], h: Math.max(0, y[3]), v, a: ax * dirX + ay * dirY,
+                m: y[4], V_water, P_tank, thrust, C_d,
+            });
+        },
+        // Never left the pad: thrust is over, or too weak to move it up the tube,
+        // and the rocket is at rest on the rail
+        shouldStop: (t, y) => (thrustEndTime !== null || params.onTube) && !params.offRail && speed(y) === 0,
+    });
+
+    const totalImpulse = y[7];
+    // A booster that never separated made all the thrust
+    const stageImpulse = boosterImpulse ?? (staged ? totalImpulse - tubeImpulse : 0);
+
+    return {
+        trajectory, maxH, maxHTime, maxHX,
+        burnoutTime, burnoutAlt, burnoutVel, burnoutX,
+        airBurnoutTime, airBurnoutAlt, airBurnoutVel,
+        boosterBurnoutTime, boosterBurnoutAlt, boosterBurnoutVel,
+        boosterAirBurnoutTime, boosterAirBurnoutAlt,
+        separationTime, separationAlt, separationVel, separationX,
+        totalImpulse,
+        tubeImpulse,
+        boosterImpulse: stageImpulse,
+        waterImpulse: (waterImpulse ?? totalImpulse) - tubeImpulse - stageImpulse,
+        airImpulse: totalImpulse - (waterImpulse ?? totalImpulse),
+        tubeExitTime, tubeExitVel,
+        railExitTime, railExitVel,
+        impactTime, impactX, landingVel,
+        range: impactX === null ? null : Math.abs(impactX),
+        flightTime: impactTime,
+        deployTime: params.deployTime, deployAlt, deployX,
+        // Mean sink rate under the fully inflated canopy
+        descentRate: fullInflation !== null && impactTime !== null && impactTime > fullInflation.t
+            ? fullInflation.h / (impactTime - fullInflation.t)
+            : null,
+        ambient: site,
+        solver: { integrator: solver.integrator, ...stats },
+        finalState: y,
+    };
+}
+
+// Fill ratios visited by the optimal-fill sweep: 5–95% in 2% steps
+export const FILL_SWEEP = [];
+for (let r = 0.05; r <= 0.95; r += 0.02) FILL_SWEEP.push(r);
+
+/**
+ * Pick the highest apogee out of (possibly partial) sweep points.
+ * @param {{ ratio: number, maxH: number }[]} data
+ * @returns {{ bestRatio: number, bestH: number, data: { ratio: number, maxH: number }[] }}
+ */
+export function summarizeSweep(data) {
+    let bestRatio = 0.33;
+    let bestH = 0;
+    for (const { ratio, maxH } of data) {
+        if (maxH > bestH) {
+            bestH = maxH;
+            bestRatio = ratio;
+        }
+    }
+    return { bestRatio, bestH, data };
+}
+
+/**
+ * Sweep fill ratio over FILL_SWEEP for the highest apogee.
+ * @param {number} C_d Body drag coefficient
+ * @param {number} pressurePSI Launch gauge pressure (psi)
+ * @param {object} [rocket=DEFAULT_ROCKET]
+ * @param {object} [launch=DEFAULT_LAUNCH]
+ * @param {object} [options] Passed to `runSimulation`
+ * @returns {{ bestRatio: number, bestH: number, data: { ratio: number, maxH: number }[] }}
+ */
+export function findOptimal(C_d, pressurePSI, rocket = DEFAULT_ROCKET, launch = DEFAULT_LAUNCH, options = {}) {
+    return summarizeSweep(FILL_SWEEP.map(ratio => ({
+        ratio,
+        maxH: runSimulation(ratio, C_d, pressurePSI, rocket, launch, { ...options, stopAtApogee: true }).maxH,
+    })));
+}
+
+/**
+ * Linear interpolation of a trajectory field at time t (clamped to the ends).
+ * @param {{ t: number }[]} trajectory Samples sorted by time
+ * @param {number} t
+ * @param {string} [key='h'] Field to interpolate
+ * @returns {number}
+ */
+export function interpolateTrajectory(trajectory, t, key = 'h') {
+    if (t <= trajectory[0].t) return trajectory[0][key];
+    const last = trajectory[trajectory.length - 1];
+    if (t >= last.t) return last[key];
+
+    let lo = 0;
+    let hi = trajectory.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (trajectory[mid].t <= t) lo = mid;
+        else hi = mid;
+    }
+    const a = trajectory[lo];
+    const b = trajectory[hi];
+    return a[key] + (b[key] - a[key]) * (t - a.t) / (b.t - a.t);
+}
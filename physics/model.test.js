@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONSTANTS,
+    DEFAULT_ROCKET,
+    DEFAULT_LAUNCH,
+    ROCKET_PRESETS,
+    runSimulation,
+    findOptimal,
+} from './model.js';
+import { close } from './testing.js';
+
+const withChute = (deploy) => ({ ...DEFAULT_ROCKET, recovery: { ...DEFAULT_ROCKET.recovery, deploy } });
+
+test('without drag the coast is an exact ballistic arc', () => {
+    const r = runSimulation(0.33, 0, 60);
+    const { g } = CONSTANTS;
+    const v = r.airBurnoutVel;
+    const h = r.airBurnoutAlt;
+
+    close(r.maxH, h + v * v / (2 * g), 1e-4, 'apogee');
+    close(r.maxHTime, r.airBurnoutTime + v / g, 1e-6, 'apogee time');
+    // Energy conservation from burnout to the ground
+    close(r.landingVel, Math.sqrt(v * v + 2 * g * h), 1e-4, 'landing speed');
+    close(r.impactTime, r.airBurnoutTime + (v + r.landingVel) / g, 1e-6, 'impact time');
+});
+
+test('mass is conserved: final mass is dry + water + air', () => {
+    for (const fill of [0.2, 0.33, 0.8]) {
+        const [, , , , m, V_water, m_air] = runSimulation(fill, 0.4, 60).finalState;
+        close(m, DEFAULT_ROCKET.mass_empty + CONSTANTS.rho_water * V_water + m_air, 1e-9, `fill ${fill}`);
+    }
+});
+
+test('recorded acceleration is dv/dt along the track', () => {
+    const { trajectory, airBurnoutTime, maxHTime } = runSimulation(0.33, 0, 60);
+    const coast = trajectory.find(p => p.t > airBurnoutTime && p.t < maxHTime);
+    close(coast.a, -CONSTANTS.g, 1e-9, 'drag-free coast');
+    assert.equal(coast.thrust, 0);
+
+    // Vertical and drag-free, so under thrust a = F/m - g
+    for (const p of trajectory.filter(p => p.thrust > 0)) {
+        close(p.a, p.thrust / p.m - CONSTANTS.g, 1e-9, `t = ${p.t}`);
+    }
+});
+
+test('impulse splits into water and air phases', () => {
+    const r = runSimulation(0.33, 0.4, 60);
+    assert.ok(r.waterImpulse > 0 && r.airImpulse > 0);
+    close(r.waterImpulse + r.airImpulse, r.totalImpulse, 1e-12, 'impulse sum');
+    assert.ok(r.burnoutTime < r.airBurnoutTime && r.airBurnoutTime < r.maxHTime);
+});
+
+test('vertical launch in still air stays on the pad axis', () => {
+    const r = runSimulation(0.33, 0.4, 60);
+    close(r.impactX, 0, 1e-9, 'impact x');
+    close(r.maxHX, 0, 1e-9, 'apogee x');
+});
+
+test('wind drifts the rocket downwind and tailwind launches go further', () => {
+    const calm = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, { ...DEFAULT_LAUNCH, angle: 70 });
+    const tail = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, { ...DEFAULT_LAUNCH, angle: 70, wind_speed: 3 });
+    assert.ok(calm.impactX > 0);
+    assert.ok(tail.impactX > calm.impactX);
+    assert.ok(calm.railExitVel > 0 && calm.railExitTime < calm.burnoutTime + 1);
+});
+
+test('thin air at a hot, high site raises apogee and ambient pressure sets the burn', () => {
+    const sea = runSimulation(0.33, 0.4, 60);
+    const high = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, {
+        ...DEFAULT_LAUNCH,
+        atmosphere: { elevation: 1500, temperature: 308.15, humidity: 0.5 },
+    });
+    assert.ok(high.ambient.rho < 0.85 * sea.ambient.rho);
+    assert.ok(high.maxH > sea.maxH);
+    // Same gauge pressure, so the tank starts that far above the local ambient
+    close(high.trajectory[0].P_tank - high.ambient.P, 60 * CONSTANTS.psi, 1e-6, 'fill pressure');
+    close(high.trajectory[high.trajectory.length - 1].P_tank, high.ambient.P, 1, 'vents to ambient');
+
+    // ISA density drops with altitude: a little less drag on the way up
+    const isa = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, { ...DEFAULT_LAUNCH, atmosphere: { isa: true } });
+    assert.ok(isa.maxH > sea.maxH && isa.maxH < sea.maxH * 1.01);
+});
+
+test('nozzle models: ideal ignores losses, contraction at C_c = Cd_n is the discharge model', () => {
+    const fly = (fields) => runSimulation(0.33, 0.4, 60, { ...DEFAULT_ROCKET, nozzle_cd: 0.85, ...fields });
+    const ideal = fly({ nozzle_model: 'ideal' });
+    close(ideal.maxH, runSimulation(0.33, 0.4, 60).maxH, 1e-9, 'ideal');
+
+    const discharge = fly({ nozzle_model: 'discharge' });
+    close(fly({ nozzle_model: 'contraction', nozzle_cc: 0.85 }).maxH, discharge.maxH, 1e-9, 'C_c = Cd_n');
+    assert.ok(discharge.burnoutTime > ideal.burnoutTime);
+
+    // A full-area jet with a velocity loss wastes energy in the water phase
+    const contraction = fly({ nozzle_model: 'contraction', nozzle_cc: 1 });
+    assert.ok(contraction.waterImpulse < discharge.waterImpulse && contraction.maxH < discharge.maxH);
+});
+
+test('launch tube stroke matches the adiabatic work on the tube', () => {
+    const launch = { ...DEFAULT_LAUNCH, tube_length: 0.2, tube_diameter: 0.02 };
+    const r = runSimulation(0.33, 0, 60, DEFAULT_ROCKET, launch);
+    const { gamma, psi, g } = CONSTANTS;
+    const A = Math.PI * 0.01 ** 2;
+    const V0 = DEFAULT_ROCKET.tank_volume * 0.67 - A * 0.2;
+    const P0 = 60 * psi + r.ambient.P;
+    // Mass is constant while on the tube: kinetic energy = work - ambient - gravity
+    const work = P0 * V0 / (gamma - 1) * (1 - (V0 / (V0 + A * 0.2)) ** (gamma - 1));
+    const m = r.trajectory[0].m;
+    const v = Math.sqrt(2 / m * (work - r.ambient.P * A * 0.2 - m * g * 0.2));
+    close(r.tubeExitVel, v, 1e-4, 'tube exit velocity');
+    close(r.tubeImpulse + r.waterImpulse + r.airImpulse, r.totalImpulse, 1e-12, 'impulse sum');
+    assert.ok(r.maxH > runSimulation(0.33, 0, 60).maxH);
+    assert.throws(() => runSimulation(0.9, 0.4, 60, DEFAULT_ROCKET, { ...launch, tube_length: 2 }), /no air space/);
+});
+
+test('a cluster of N bottles flies like one bottle carrying 1/N of the airframe', () => {
+    // Without drag each bottle pushes its share of the dry mass
+    const cluster = runSimulation(0.33, 0, 60, { ...DEFAULT_ROCKET, layout: 'cluster', cluster_count: 3 });
+    const single = runSimulation(0.33, 0, 60, { ...DEFAULT_ROCKET, mass_empty: DEFAULT_ROCKET.mass_empty / 3 });
+    close(cluster.maxH, single.maxH, 1e-3, 'apogee');
+    close(cluster.burnoutTime, single.burnoutTime, 1e-6, 'burnout');
+    close(cluster.totalImpulse, 3 * single.totalImpulse, 1e-4, 'impulse');
+    close(cluster.trajectory[0].V_water, 3 * 0.33 * DEFAULT_ROCKET.tank_volume, 1e-12, 'water on board');
+});
+
+test('staging drops the booster at separation and then fires the upper stage', () => {
+    const staged = (separation) => runSimulation(0.33, 0.4, 60, {
+        ...DEFAULT_ROCKET, layout: 'staged', booster: { ...DEFAULT_ROCKET.booster, separation },
+    });
+    const water = staged('water');
+    const burnout = staged('burnout');
+    const delay = staged('delay');
+    close(water.separationTime, water.boosterBurnoutTime, 1e-12, 'separates at booster water burnout');
+    close(burnout.separationTime, burnout.boosterAirBurnoutTime, 1e-12, 'separates at booster burnout');
+    close(delay.separationTime, burnout.separationTime + DEFAULT_ROCKET.booster.delay, 1e-9, 'delay');
+    for (const r of [water, burnout, delay]) {
+        assert.ok(r.burnoutTime > r.separationTime);
+        // Only the upper stage's dry mass and leftover air come down
+        close(r.finalState[4], DEFAULT_ROCKET.mass_empty + r.finalState[6], 1e-12, 'final mass');
+        close(r.boosterImpulse + r.waterImpulse + r.airImpulse, r.totalImpulse, 1e-12, 'impulse sum');
+    }
+    // Dropping the booster early throws away the thrust of its air phase
+    assert.ok(water.boosterImpulse < burnout.boosterImpulse);
+    assert.ok(burnout.maxH > runSimulation(0.33, 0.4, 60).maxH);
+});
+
+test('RK4 and RK45 converge to the same flight', () => {
+    const rk4 = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, DEFAULT_LAUNCH, { solver: { integrator: 'rk4', dt: 2e-4 } });
+    const rk45 = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, DEFAULT_LAUNCH, { solver: { tolerance: 1e-10 } });
+    close(rk4.maxH, rk45.maxH, 1e-3, 'apogee');
+    close(rk4.burnoutTime, rk45.burnoutTime, 1e-4, 'burnout time');
+    close(rk4.impactTime, rk45.impactTime, 1e-4, 'impact time');
+    assert.ok(rk45.solver.steps < rk4.solver.steps / 10);
+});
+
+test('parachute descent approaches terminal velocity', () => {
+    const r = runSimulation(0.33, 0.4, 60, withChute('apogee'));
+    const { recovery, d_bottle, mass_empty } = DEFAULT_ROCKET;
+    const CdA = recovery.C_d * Math.PI * (recovery.diameter / 2) ** 2 + 0.4 * Math.PI * (d_bottle / 2) ** 2;
+    const m = mass_empty + r.finalState[6];
+    const terminal = Math.sqrt(2 * m * CONSTANTS.g / (r.ambient.rho * CdA));
+
+    close(r.deployTime, r.maxHTime, 1e-9, 'deploys at apogee');
+    close(r.landingVel, terminal, 0.01 * terminal, 'landing speed');
+    // Averaged from full inflation, so still slightly below terminal
+    assert.ok(r.descentRate < terminal && r.descentRate > terminal * 0.95);
+});
+
+test('deployment modes trigger at their conditions', () => {
+    const delay = runSimulation(0.33, 0.4, 60, withChute('delay'));
+    const plain = runSimulation(0.33, 0.4, 60);
+    close(delay.deployTime, plain.airBurnoutTime + DEFAULT_ROCKET.recovery.delay, 1e-6, 'delay');
+
+    const alt = runSimulation(0.33, 0.4, 60, withChute('altitude'));
+    close(alt.deployAlt, DEFAULT_ROCKET.recovery.altitude, 1e-6, 'altitude');
+    assert.ok(alt.deployTime > alt.maxHTime);
+});
+
+test('a rocket without enough thrust to lift off stays on the pad', () => {
+    const r = runSimulation(0.95, 0.4, 1);
+    assert.ok(r.maxH < 0.5);
+    assert.ok(r.trajectory[r.trajectory.length - 1].t < 60);
+});
+
+// Regression values for known configurations (default RK45, tol 1e-6, ISA sea-level day)
+test('regression: default 0.8L rocket', () => {
+    const r = runSimulation(0.33, 0.4, 60);
+    close(r.maxH, 41.4145, 1e-3, 'apogee');
+    close(r.maxHTime, 2.65059, 1e-4, 'apogee time');
+    close(r.burnoutTime, 0.021034, 1e-5, 'water burnout');
+    close(r.burnoutVel, 33.162, 1e-2, 'burnout velocity');
+    close(r.totalImpulse, 6.7626, 1e-3, 'impulse');
+    close(r.impactTime, 5.8408, 1e-3, 'flight time');
+});
+
+test('regression: 2L preset at 80 psi', () => {
+    const r = runSimulation(0.4, 0.35, 80, { ...DEFAULT_ROCKET, ...ROCKET_PRESETS['2L'] });
+    close(r.maxH, 62.1699, 1e-3, 'apogee');
+    close(r.burnoutTime, 0.085317, 1e-5, 'water burnout');
+    close(r.totalImpulse, 22.375, 1e-3, 'impulse');
+});
+
+test('regression: angled launch in wind, and parachute recovery', () => {
+    const angled = runSimulation(0.33, 0.4, 60, DEFAULT_ROCKET, { angle: 60, rail_length: 1, wind_speed: 3 });
+    close(angled.maxH, 32.7703, 1e-3, 'apogee');
+    close(angled.range, 62.2581, 1e-3, 'range');
+
+    const chute = runSimulation(0.33, 0.4, 60, withChute('apogee'));
+    close(chute.flightTime, 16.1607, 1e-3, 'flight time');
+    close(chute.descentRate, 3.1042, 1e-3, 'descent rate');
+});
+
+test('findOptimal sweeps fill ratio and reports the best point', () => {
+    const { bestRatio, bestH, data } = findOptimal(0.4, 60);
+    assert.equal(data.length, 45);
+    assert.equal(bestH, Math.max(...data.map(d => d.maxH)));
+    close(bestRatio, 0.33, 1e-9, 'best ratio');
+    close(bestH, runSimulation(bestRatio, 0.4, 60).maxH, 1e-6, 'best apogee');
+});
@@ -0,0 +1,139 @@
+// Monte Carlo dispersion: seeded sampling of uncertain inputs and percentile
+// summaries of the resulting flights. Scenarios have the CLI config shape
+// { fillRatio, C_d, pressurePSI, rocket, launch }.
+
+import { CONSTANTS, SAMPLE_INTERVAL } from './model.js';
+
+// Inputs that can be dispersed. Sampled values are clamped to [min, max];
+// spread is the default σ (normal) or half-width (uniform). Dimensional
+// inputs name their display-unit `quantity` and the SI value of one model unit.
+export const DISPERSION_PARAMS = {
+    fillRatio: { label: 'FILL RATIO', path: 'fillRatio', min: 0.01, max: 0.99, spread: 0.02 },
+    pressurePSI: { label: 'PRESSURE', quantity: 'pressure', si: CONSTANTS.psi, path: 'pressurePSI', min: 1, max: 200, spread: 3 },
+    C_d: { label: 'DRAG COEFF', path: 'C_d', min: 0, max: 2, spread: 0.05 },
+    mass_empty: { label: 'DRY MASS', quantity: 'mass', si: 1, path: 'rocket.mass_empty', min: 0.005, max: 2, spread: 0.005 },
+    nozzle_cd: { label: 'NOZZLE Cᴅ', path: 'rocket.nozzle_cd', min: 0.1, max: 1, spread: 0.03 },
+    angle: { label: 'LAUNCH ANGLE (°)', path: 'launch.angle', min: 1, max: 90, spread: 1 },
+    wind_speed: { label: 'WIND', quantity: 'speed', si: 1, path: 'launch.wind_speed', min: -30, max: 30, spread: 1 },
+};
+
+export const DISTRIBUTIONS = ['normal', 'uniform'];
+
+/**
+ * Mulberry32: small, fast, seedable PRNG.
+ * @param {number} seed 32-bit integer
+ * @returns {() => number} Uniform draws in [0, 1)
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw by Box–Muller
+function gaussian(rng) {
+    const u = 1 - rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((node, key) => node[key], obj);
+}
+
+function setPath(obj, path, value) {
+    const [key, ...rest] = path.split('.');
+    return { ...obj, [key]: rest.length === 0 ? value : setPath(obj[key], rest.join('.'), value) };
+}
+
+/**
+ * Draw n scenarios around a nominal one. The same seed, inputs and
+ * dispersions always give the same samples.
+ * @param {object} scenario Nominal { fillRatio, C_d, pressurePSI, rocket, launch }; used as the mean
+ * @param {Object<string, { dist: 'normal' | 'uniform', spread: number }>} dispersions
+ *   Keyed by DISPERSION_PARAMS; spread is σ (normal) or half-width (uniform)
+ * @param {number} n
+ * @param {number} seed
+ * @returns {object[]} Scenarios
+ */
+export function sampleScenarios(scenario, dispersions, n, seed) {
+    const rng = createRng(seed);
+    const active = Object.keys(DISPERSION_PARAMS).filter(key => dispersions[key]);
+    return Array.from({ length: n }, () => active.reduce((s, key) => {
+        const { path, min, max } = DISPERSION_PARAMS[key];
+        const { dist, spread } = dispersions[key];
+        const offset = dist === 'uniform' ? (2 * rng() - 1) * spread : gaussian(rng) * spread;
+        return setPath(s, path, Math.min(Math.max(getPath(scenario, path) + offset, min), max));
+    }, scenario));
+}
+
+/**
+ * Linear-interpolated percentile of sorted values.
+ * @param {ArrayLike<number>} sorted Ascending
+ * @param {number} p In [0, 1]
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const x = p * (sorted.length - 1);
+    const i = Math.floor(x);
+    return i + 1 < sorted.length ? sorted[i] + (x - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+}
+
+/**
+ * 5th, 50th and 95th percentiles plus mean and standard deviation.
+ * @param {number[]} values
+ * @returns {{ p5: number, p50: number, p95: number, mean: number, sd: number, n: number }}
+ */
+export function summarize(values) {
+    const sorted = Float64Array.from(values).sort();
+    const n = sorted.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1)) : 0;
+    return { p5: percentile(sorted, 0.05), p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), mean, sd, n };
+}
+
+/**
+ * Equal-width histogram.
+ * @param {number[]} values
+ * @param {number} [bins=20]
+ * @returns {{ min: number, width: number, counts: number[] }}
+ */
+export function histogram(values, bins = 20) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => { counts[Math.min(Math.floor((v - min) / width), bins - 1)]++; });
+    return { min, width, counts };
+}
+
+/**
+ * Altitude percentile bands across ensemble members. Members carry altitude
+ * samples h[] at t = k × SAMPLE_INTERVAL (as the `dispersion` job resamples
+ * them); after landing a member counts as h = 0.
+ * @param {{ h: number[] }[]} members
+ * @param {number} [maxPoints=300] Bands are decimated to about this many times
+ * @returns {{ t: number, p5: number, p50: number, p95: number }[]}
+ */
+export function altitudeBands(members, maxPoints = 300) {
+    const length = Math.max(0, ...members.map(m => m.h.length));
+    const stride = Math.max(1, Math.ceil(length / maxPoints));
+    const column = new Float64Array(members.length);
+    const bands = [];
+    for (let k = 0; k < length; k += stride) {
+        members.forEach((m, i) => { column[i] = k < m.h.length ? m.h[k] : 0; });
+        column.sort();
+        bands.push({
+            t: k * SAMPLE_INTERVAL,
+            p5: percentile(column, 0.05),
+            p50: percentile(column, 0.5),
+            p95: percentile(column, 0.95),
+        });
+    }
+    return bands;
+}
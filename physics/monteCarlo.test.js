@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROCKET, DEFAULT_LAUNCH, SAMPLE_INTERVAL, interpolateTrajectory } from './model.js';
+import {
+    createRng,
+    sampleScenarios,
+    percentile,
+    summarize,
+    histogram,
+    altitudeBands,
+} from './monteCarlo.js';
+import { runJob } from './jobs.js';
+import { close } from './testing.js';
+
+const nominal = { fillRatio: 0.33, C_d: 0.4, pressurePSI: 60, rocket: DEFAULT_ROCKET, launch: DEFAULT_LAUNCH };
+
+test('createRng is reproducible and uniform', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const draws = Array.from({ length: 10000 }, () => a());
+    assert.deepEqual(draws.slice(0, 5), Array.from({ length: 5 }, () => b()));
+    assert.ok(draws.every(x => x >= 0 && x < 1));
+    const mean = draws.reduce((s, x) => s + x, 0) / draws.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.01);
+    assert.notEqual(createRng(43)(), createRng(42)());
+});
+
+test('sampleScenarios draws around the nominal values with the requested spread', () => {
+    const dispersions = {
+        pressurePSI: { dist: 'normal', spread: 3 },
+        C_d: { dist: 'uniform', spread: 0.05 },
+        mass_empty: { dist: 'normal', spread: 0.005 },
+    };
+    const samples = sampleScenarios(nominal, dispersions, 4000, 7);
+    const pressure = summarize(samples.map(s => s.pressurePSI));
+    const cd = samples.map(s => s.C_d);
+
+    assert.ok(Math.abs(pressure.mean - 60) < 0.2);
+    assert.ok(Math.abs(pressure.sd - 3) < 0.15);
+    assert.ok(Math.min(...cd) >= 0.35 && Math.max(...cd) <= 0.45);
+    assert.ok(samples.every(s => s.fillRatio === 0.33 && s.launch === DEFAULT_LAUNCH));
+    assert.ok(samples.every(s => s.rocket.d_bottle === DEFAULT_ROCKET.d_bottle));
+    // The nominal scenario itself is left untouched
+    assert.equal(DEFAULT_ROCKET.mass_empty, 0.0765);
+
+    assert.deepEqual(sampleScenarios(nominal, dispersions, 5, 7), samples.slice(0, 5));
+});
+
+test('sampled values are clamped to the valid range', () => {
+    const samples = sampleScenarios(nominal, { fillRatio: { dist: 'uniform', spread: 2 } }, 200, 1);
+    assert.ok(samples.every(s => s.fillRatio >= 0.01 && s.fillRatio <= 0.99));
+});
+
+test('percentile and summarize', () => {
+    assert.equal(percentile([1, 2, 3, 4, 5], 0.5), 3);
+    assert.equal(percentile([0, 10], 0.25), 2.5);
+    const s = summarize([5, 1, 4, 2, 3]);
+    assert.equal(s.p50, 3);
+    assert.equal(s.mean, 3);
+    assert.ok(Math.abs(s.sd - Math.sqrt(2.5)) < 1e-12);
+});
+
+test('histogram counts every value once', () => {
+    const { min, width, counts } = histogram([0, 1, 2, 3, 4, 4], 4);
+    assert.equal(min, 0);
+    assert.equal(width, 1);
+    assert.deepEqual(counts, [1, 1, 1, 3]);
+    assert.deepEqual(histogram([2, 2, 2], 3).counts, [3, 0, 0]);
+});
+
+test('altitude bands bracket the median and treat landed members as zero', () => {
+    const members = [{ h: [0, 1, 2, 3] }, { h: [0, 2, 4] }, { h: [0, 3] }];
+    const bands = altitudeBands(members);
+    assert.deepEqual(bands.map(b => b.t), [0, 1, 2, 3].map(k => k * SAMPLE_INTERVAL));
+    assert.deepEqual(bands.map(b => b.p50), [0, 2, 2, 0]);
+    assert.ok(bands.every(b => b.p5 <= b.p50 && b.p50 <= b.p95));
+});
+
+test('an ensemble of dispersion jobs spreads apogee around the nominal flight', () => {
+    const samples = sampleScenarios(nominal, { pressurePSI: { dist: 'normal', spread: 3 } }, 40, 3);
+    const members = samples.map(s => runJob({
+        fn: 'dispersion',
+        args: [s.fillRatio, s.C_d, s.pressurePSI, s.rocket, s.launch],
+    }));
+    const apogee = summarize(members.map(m => m.maxH));
+    const nominalH = runJob({ fn: 'simulate', args: [0.33, 0.4, 60] }).maxH;
+
+    assert.ok(apogee.p5 < nominalH && nominalH < apogee.p95);
+    const peak = Math.max(...altitudeBands(members, 1e6).map(b => b.p95));
+    assert.ok(peak <= apogee.p95 + 1e-9 && peak > apogee.p50);
+});
+
+test('dispersion members are resampled onto the time grid past off-grid event samples', () => {
+    const rocket = { ...DEFAULT_ROCKET, recovery: { ...DEFAULT_ROCKET.recovery, deploy: 'apogee' } };
+    const launch = { ...DEFAULT_LAUNCH, tube_length: 0.1 };
+    const { trajectory } = runJob({ fn: 'simulate', args: [0.33, 0.4, 60, rocket, launch] });
+    const offGrid = trajectory.filter(p => Math.abs(p.t / SAMPLE_INTERVAL - Math.round(p.t / SAMPLE_INTERVAL)) > 1e-6);
+    assert.ok(offGrid.length >= 4);
+
+    const { h } = runJob({ fn: 'dispersion', args: [0.33, 0.4, 60, rocket, launch] });
+    const end = trajectory[trajectory.length - 1].t;
+    assert.equal(h.length, Math.floor(end / SAMPLE_INTERVAL + 1e-9) + 1);
+    for (const k of [0, 10, 200, 600, h.length - 1]) {
+        close(h[k], interpolateTrajectory(trajectory, k * SAMPLE_INTERVAL), 1e-12, `h at step ${k}`);
+    }
+    assert.equal(altitudeBands([{ h }], 1e6)[600].t, 600 * SAMPLE_INTERVAL);
+});
@@ -0,0 +1,285 @@
+// Numerical building blocks for the simulator: Runge–Kutta steppers, an
+// event-locating integration driver and small optimisation helpers.
+
+/**
+ * Classic fourth-order Runge–Kutta step.
+ * @param {(t: number, y: number[], params: object) => number[]} odes Right-hand side
+ * @param {number} t Current time
+ * @param {number[]} y Current state
+ * @param {number} dt Step size
+ * @param {object} params Passed through to `odes`
+ * @param {number[]} [k1] `odes(t, y, params)` when already known
+ * @returns {number[]} State at t + dt
+ */
+export function rk4Step(odes, t, y, dt, params, k1 = odes(t, y, params)) {
+    const k2 = odes(t + dt / 2, y.map((yi, i) => yi + dt / 2 * k1[i]), params);
+    const k3 = odes(t + dt / 2, y.map((yi, i) => yi + dt / 2 * k2[i]), params);
+    const k4 = odes(t + dt, y.map((yi, i) => yi + dt * k3[i]), params);
+    return y.map((yi, i) => yi + dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+// Dormand–Prince 5(4) Butcher tableau
+const DOPRI_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DOPRI_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+// 5th-order weights minus embedded 4th-order weights
+const DOPRI_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+/**
+ * Dormand–Prince 5(4) step.
+ * @param {(t: number, y: number[], params: object) => number[]} odes Right-hand side
+ * @param {number} t Current time
+ * @param {number[]} y Current state
+ * @param {number} dt Step size
+ * @param {object} params Passed through to `odes`
+ * @param {number[]} [k1] `odes(t, y, params)` when already known
+ * @returns {{ y: number[], err: number[], f: number[] }} 5th-order solution, its
+ *   embedded error estimate and the derivative at the new point
+ *   (first-same-as-last, reusable as the next step's k1)
+ */
+export function dopriStep(odes, t, y, dt, params, k1 = odes(t, y, params)) {
+    const k = [k1];
+    let yNew = y;
+    for (let s = 1; s < 7; s++) {
+        const a = DOPRI_A[s];
+        const ys = y.map((yi, i) => {
+            let sum = 0;
+            for (let j = 0; j < s; j++) sum += a[j] * k[j][i];
+            return yi + dt * sum;
+        });
+        k.push(odes(t + DOPRI_C[s] * dt, ys, params));
+        if (s === 6) yNew = ys;
+    }
+    const err = y.map((_, i) => {
+        let sum = 0;
+        for (let j = 0; j < 7; j++) sum += DOPRI_E[j] * k[j][i];
+        return dt * sum;
+    });
+    return { y: yNew, err, f: k[6] };
+}
+
+// Cubic Hermite interpolation between two states using their derivatives
+function hermite(y0, f0, y1, f1, dt, s) {
+    const h00 = 2 * s ** 3 - 3 * s ** 2 + 1;
+    const h10 = s ** 3 - 2 * s ** 2 + s;
+    const h01 = -2 * s ** 3 + 3 * s ** 2;
+    const h11 = s ** 3 - s ** 2;
+    return y0.map((yi, i) => h00 * yi + h10 * dt * f0[i] + h01 * y1[i] + h11 * dt * f1[i]);
+}
+
+/**
+ * Integrate an ODE system from t = 0 until `tMax` or a terminal event.
+ *
+ * Events are one-shot objects `{ g(t, y), direction, active?(), onEvent(t, y), terminal? }`.
+ * A sign change of `g` in `direction` (-1 falling, +1 rising) is located by
+ * Illinois root-finding on the step size, so the step ends exactly on the
+ * event; `onEvent` may return a replacement state. Samples are emitted every
+ * `sampleInterval` by cubic Hermite interpolation, plus one at each event.
+ *
+ * @param {(t: number, y: number[], params: object) => number[]} odes Right-hand side
+ * @param {number[]} y0 Initial state
+ * @param {object} params Passed through to `odes`
+ * @param {object} options
+ * @param {{ integrator: 'dopri45' | 'rk4', dt: number, tolerance: number }} options.solver
+ * @param {number[]} options.scale Typical magnitude of each state component (absolute tolerance scale)
+ * @param {number} options.tMax End time
+ * @param {number} options.sampleInterval Output sample spacing
+ * @param {object[]} options.events Event definitions
+ * @param {(t: number, y: number[]) => void} options.onSample Sample callback
+ * @param {(t: number, y: number[]) => boolean} [options.shouldStop] Checked after every step
+ * @returns {{ t: number, y: number[], stats: { steps: number, rejected: number, evals: number, elapsedMs: number } }}
+ */
+export function integrate(odes, y0, params, { solver, scale, tMax, sampleInterval, events, onSample, shouldStop }) {
+    const adaptive = solver.integrator === 'dopri45';
+    const stats = { steps: 0, rejected: 0, evals: 0 };
+    const f = (t, y) => {
+        stats.evals++;
+        return odes(t, y, params);
+    };
+    const started = performance.now();
+
+    // Advance from (t, y) with known derivative fy by dt: { y, f, err }
+    const advance = (t, y, fy, dt) => {
+        if (adaptive) return dopriStep(f, t, y, dt, params, fy);
+        const yNew = rk4Step(f, t, y, dt, params, fy);
+        return { y: yNew, f: f(t + dt, yNew) };
+    };
+    const errNorm = (y, yNew, err) => Math.sqrt(err.reduce((sum, e, i) => {
+        const sc = solver.tolerance * (scale[i] + Math.max(Math.abs(y[i]), Math.abs(yNew[i])));
+        return sum + (e / sc) ** 2;
+    }, 0) / err.length);
+    const crosses = (g0, g1, direction) => (direction < 0 ? g0 > 0 && g1 <= 0 : g0 < 0 && g1 >= 0);
+
+    let t = 0;
+    let y = y0;
+    let fy = f(t, y);
+    let h = adaptive ? 1e-4 : solver.dt;
+    let nextSample = sampleInterval;
+    onSample(t, y);
+
+    while (t < tMax) {
+        let dt = Math.min(h, tMax - t);
+        let next;
+
+        if (adaptive) {
+            for (;;) {
+                next = advance(t, y, fy, dt);
+                const en = errNorm(y, next.y, next.err);
+                // A non-finite estimate (stage left the physical domain) counts as a rejection
+                const factor = Number.isFinite(en)
+                    ? Math.min(5, Math.max(0.2, 0.9 * Math.pow(en || 1e-10, -0.2)))
+                    : 0.2;
+                if (en <= 1) {
+                    h = dt * factor;
+                    break;
+                }
+                stats.rejected++;
+                dt *= factor;
+            }
+        } else {
+            next = advance(t, y, fy, dt);
+        }
+
+        // Earliest event inside this step
+        let hit = null;
+        for (const ev of events) {
+            if (ev.done || (ev.active && !ev.active())) continue;
+            const g0 = ev.g(t, y);
+            const g1 = ev.g(t + dt, next.y);
+            if (!crosses(g0, g1, ev.direction)) continue;
+
+            // Illinois false position on the step length; keep the post-event side
+            let lo = 0, glo = g0, hi = dt, ghi = g1, side = 0;
+            for (let iter = 0; iter < 60 && hi - lo > 1e-9; iter++) {
+                const mid = Math.min(Math.max(lo + (hi - lo) * glo / (glo - ghi), lo + 1e-12), hi - 1e-12);
+                const gm = ev.g(t + mid, advance(t, y, fy, mid).y);
+                if (crosses(glo, gm, ev.direction)) {
+                    hi = mid;
+                    ghi = gm;
+                    if (side === -1) glo /= 2;
+                    side = -1;
+                } else {
+                    lo = mid;
+                    glo = gm;
+                    if (side === 1) ghi /= 2;
+                    side = 1;
+                }
+            }
+            if (!hit || hi < hit.dt) hit = { ev, dt: hi };
+        }
+        if (hit && hit.dt < dt) {
+            dt = hit.dt;
+            next = advance(t, y, fy, dt);
+        }
+
+        while (nextSample <= t + dt) {
+            onSample(nextSample, hermite(y, fy, next.y, next.f, dt, (nextSample - t) / dt));
+            nextSample += sampleInterval;
+        }
+
+        t += dt;
+        y = next.y;
+        fy = next.f;
+        stats.steps++;
+
+        if (hit) {
+            hit.ev.done = true;
+            y = hit.ev.onEvent(t, y) ?? y;
+            fy = f(t, y);
+            onSample(t, y);
+            if (hit.ev.terminal) break;
+        }
+        if (shouldStop && shouldStop(t, y)) break;
+    }
+
+    return { t, y, stats: { ...stats, elapsedMs: performance.now() - started } };
+}
+
+/**
+ * Nelder–Mead simplex minimisation (no derivatives needed).
+ * @param {(x: number[]) => number} f Objective
+ * @param {number[]} x0 Starting point
+ * @param {{ step?: number[], maxIter?: number, tol?: number }} [options] Initial
+ *   simplex offsets, iteration cap and relative spread of f at which to stop
+ * @returns {{ x: number[], fx: number, iterations: number }}
+ */
+export function nelderMead(f, x0, { step = x0.map(v => Math.abs(v) * 0.1 || 0.1), maxIter = 200, tol = 1e-6 } = {}) {
+    const n = x0.length;
+    let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + step[j] : v)))]
+        .map(x => ({ x, fx: f(x) }));
+    let iterations = 0;
+
+    const combine = (a, b, w) => a.map((ai, i) => ai + w * (b[i] - ai));
+
+    while (iterations < maxIter) {
+        iterations++;
+        simplex.sort((a, b) => a.fx - b.fx);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.fx - best.fx) <= tol * (Math.abs(best.fx) + tol)) break;
+
+        const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[j], 0) / n);
+        const reflected = combine(centroid, worst.x, -1);
+        const fr = f(reflected);
+
+        if (fr < best.fx) {
+            const expanded = combine(centroid, worst.x, -2);
+            const fe = f(expanded);
+            simplex[n] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+        } else if (fr < simplex[n - 1].fx) {
+            simplex[n] = { x: reflected, fx: fr };
+        } else {
+            const contracted = fr < worst.fx
+                ? combine(centroid, reflected, 0.5)
+                : combine(centroid, worst.x, 0.5);
+            const fc = f(contracted);
+            if (fc < Math.min(fr, worst.fx)) {
+                simplex[n] = { x: contracted, fx: fc };
+            } else {
+                // Shrink towards the best vertex
+                simplex = simplex.map((p, i) => {
+                    if (i === 0) return p;
+                    const x = combine(best.x, p.x, 0.5);
+                    return { x, fx: f(x) };
+                });
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.fx - b.fx);
+    return { x: simplex[0].x, fx: simplex[0].fx, iterations };
+}
+
+/**
+ * Gauss–Jordan inverse of a small square matrix.
+ * @param {number[][]} M
+ * @returns {number[][] | null} Inverse, or null if M is singular
+ */
+export function invertMatrix(M) {
+    const n = M.length;
+    const A = M.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let c = 0; c < n; c++) {
+        let pivot = c;
+        for (let r = c + 1; r < n; r++) {
+            if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+        }
+        if (Math.abs(A[pivot][c]) < 1e-12) return null;
+        [A[c], A[pivot]] = [A[pivot], A[c]];
+        const p = A[c][c];
+        A[c] = A[c].map(v => v / p);
+        for (let r = 0; r < n; r++) {
+            if (r !== c) {
+                const factor = A[r][c];
+                A[r] = A[r].map((v, j) => v - factor * A[c][j]);
+            }
+        }
+    }
+    return A.map(row => row.slice(n));
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rk4Step, dopriStep, integrate, nelderMead, invertMatrix } from './numerics.js';
+
+const decay = (t, y) => [-y[0]];
+
+test('rk4Step is fourth-order accurate on exponential decay', () => {
+    const err = (dt) => {
+        let y = [1];
+        for (let t = 0; t < 1 - 1e-12; t += dt) y = rk4Step(decay, t, y, dt, {});
+        return Math.abs(y[0] - Math.exp(-1));
+    };
+    const ratio = err(0.1) / err(0.05);
+    assert.ok(ratio > 14 && ratio < 18, `error ratio ${ratio}`);
+});
+
+test('dopriStep returns the 5th-order solution, a small error estimate and FSAL derivative', () => {
+    const { y, err, f } = dopriStep(decay, 0, [1], 0.1, {});
+    assert.ok(Math.abs(y[0] - Math.exp(-0.1)) < 1e-9);
+    assert.ok(Math.abs(err[0]) < 1e-7);
+    assert.ok(Math.abs(f[0] + y[0]) < 1e-15);
+});
+
+test('integrate locates a falling zero crossing exactly', () => {
+    // Ballistic throw: y = [v, h], lands at t = 2 v0 / g
+    const ballistic = () => [-9.81, 0];
+    const odes = (t, y) => [ballistic()[0], y[0]];
+    for (const integrator of ['dopri45', 'rk4']) {
+        let landed = null;
+        integrate(odes, [20, 0], {}, {
+            solver: { integrator, dt: 0.01, tolerance: 1e-8 },
+            scale: [1, 1],
+            tMax: 10,
+            sampleInterval: 0.1,
+            events: [{ g: (t, y) => y[1], direction: -1, terminal: true, onEvent: (t) => { landed = t; } }],
+            onSample: () => {},
+        });
+        assert.ok(Math.abs(landed - 40 / 9.81) < 1e-8, `${integrator} landed at ${landed}`);
+    }
+});
+
+test('integrate samples on a fixed grid and reports statistics', () => {
+    const samples = [];
+    const { t, stats } = integrate(decay, [1], {}, {
+        solver: { integrator: 'dopri45', tolerance: 1e-8 },
+        scale: [1],
+        tMax: 2,
+        sampleInterval: 0.25,
+        events: [],
+        onSample: (t, y) => samples.push([t, y[0]]),
+    });
+    assert.equal(t, 2);
+    assert.equal(samples.length, 9);
+    for (const [ts, ys] of samples) assert.ok(Math.abs(ys - Math.exp(-ts)) < 1e-6, `sample at ${ts}`);
+    assert.ok(stats.steps > 0 && stats.evals >= stats.steps * 6);
+});
+
+test('nelderMead minimises the Rosenbrock function', () => {
+    const rosenbrock = ([a, b]) => (1 - a) ** 2 + 100 * (b - a * a) ** 2;
+    const { x, fx } = nelderMead(rosenbrock, [-1.2, 1], { maxIter: 2000, tol: 1e-14 });
+    assert.ok(fx < 1e-10);
+    assert.ok(Math.abs(x[0] - 1) < 1e-4 && Math.abs(x[1] - 1) < 1e-4);
+});
+
+test('invertMatrix inverts and detects singular matrices', () => {
+    const inv = invertMatrix([[4, 7], [2, 6]]);
+    const expected = [[0.6, -0.7], [-0.2, 0.4]];
+    inv.forEach((row, i) => row.forEach((v, j) => assert.ok(Math.abs(v - expected[i][j]) < 1e-12)));
+    assert.equal(invertMatrix([[1, 2], [2, 4]]), null);
+});
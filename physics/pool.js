@@ -0,0 +1,162 @@
+// Worker pool that keeps simulations off the UI thread.
+//
+//   const batch = pool.run(jobs, { onResult: (i, result) => ..., priority: 1 });
+//   batch.promise.then(results => ...);
+//   batch.cancel();
+//
+// Jobs ({ fn, args }, see jobs.js) are handed to idle workers one at a time,
+// so keep them short and split sweeps into one job per point: cancelling a
+// batch drops its queued jobs immediately, while jobs already running finish
+// and their results are discarded. Higher-priority batches are dispatched
+// first. Without Worker support (Node, server rendering) jobs run inline,
+// one per timer tick, behind the same interface.
+
+import { runJob } from './jobs.js';
+
+const defaultSize = () => {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+};
+
+export class SimulationPool {
+    /**
+     * @param {number} [size] Worker count; defaults to cores − 1, at most 4
+     */
+    constructor(size = defaultSize()) {
+        this.size = size;
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.listeners = new Set();
+        this.inline = typeof Worker === 'undefined';
+    }
+
+    /**
+     * Queue a batch of jobs.
+     * @param {{ fn: string, args: any[] }[]} jobs
+     * @param {{ onResult?: (index: number, result: any) => void,
+     *   onError?: (index: number, message: string) => void, priority?: number }} [options]
+     *   With onError, a job that throws is reported there and the rest of the
+     *   batch carries on, its result left null
+     * @returns {{ promise: Promise<any[] | null>, cancel: () => void }}
+     *   promise resolves with all results in job order, with null if cancelled,
+     *   and without onError rejects on the first job that throws
+     */
+    run(jobs, { onResult, onError, priority = 0 } = {}) {
+        const batch = { results: new Array(jobs.length), remaining: jobs.length, onResult, onError, cancelled: false };
+        batch.promise = new Promise((resolve, reject) => {
+            batch.resolve = resolve;
+            batch.reject = reject;
+        });
+        if (jobs.length === 0) batch.resolve(batch.results);
+
+        // Stable insert after every queued job of equal or higher priority
+        const entries = jobs.map((job, index) => ({ batch, index, job, priority }));
+        const at = this.queue.findIndex(e => e.priority < priority);
+        this.queue.splice(at < 0 ? this.queue.length : at, 0, ...entries);
+        this.pump();
+
+        const cancel = () => {
+            if (batch.cancelled || batch.remaining === 0) return;
+            batch.cancelled = true;
+            this.queue = this.queue.filter(e => e.batch !== batch);
+            batch.resolve(null);
+            this.notify();
+        };
+        return { promise: batch.promise, cancel };
+    }
+
+    // Number of jobs queued or running
+    get pending() {
+        return this.queue.length + this.workers.filter(w => w.current).length;
+    }
+
+    /**
+     * Call listener(pending) whenever the number of queued or running jobs changes.
+     * @param {(pending: number) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.pending);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const pending = this.pending;
+        this.listeners.forEach(listener => listener(pending));
+    }
+
+    terminate() {
+        this.queue = [];
+        this.workers.forEach(w => w.worker?.terminate());
+        this.workers = [];
+        this.notify();
+    }
+
+    pump() {
+        while (this.queue.length > 0) {
+            const slot = this.idleSlot();
+            if (!slot) break;
+            const entry = this.queue.shift();
+            slot.current = { id: this.nextId++, entry };
+            if (this.inline) {
+                setTimeout(() => this.execInline(slot), 0);
+            } else {
+                slot.worker.postMessage({ id: slot.current.id, job: entry.job });
+            }
+        }
+        this.notify();
+    }
+
+    idleSlot() {
+        const idle = this.workers.find(w => !w.current);
+        if (idle) return idle;
+        if (this.workers.length >= (this.inline ? 1 : this.size)) return null;
+
+        const slot = { worker: null, current: null };
+        if (!this.inline) {
+            slot.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+            slot.worker.onmessage = ({ data }) => {
+                if (slot.current?.id === data.id) this.settle(slot, data.error, data.result);
+            };
+            slot.worker.onerror = (event) => {
+                event.preventDefault();
+                if (slot.current) this.settle(slot, event.message || 'Worker failed');
+            };
+        }
+        this.workers.push(slot);
+        return slot;
+    }
+
+    execInline(slot) {
+        let result;
+        let error;
+        try {
+            result = runJob(slot.current.entry.job);
+        } catch (err) {
+            error = err.message;
+        }
+        this.settle(slot, error, result);
+    }
+
+    settle(slot, error, result) {
+        const { batch, index } = slot.current.entry;
+        slot.current = null;
+
+        if (!batch.cancelled) {
+            if (error !== undefined && !batch.onError) {
+                batch.cancelled = true;
+                this.queue = this.queue.filter(e => e.batch !== batch);
+                batch.reject(new Error(error));
+            } else {
+                batch.results[index] = error === undefined ? result : null;
+                batch.remaining--;
+                if (error === undefined) batch.onResult?.(index, result);
+                else batch.onError(index, error);
+                if (batch.remaining === 0) batch.resolve(batch.results);
+            }
+        }
+        this.pump();
+    }
+}
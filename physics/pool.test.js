@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationPool } from './pool.js';
+import { runJob } from './jobs.js';
+import { runSimulation, findOptimal, tankAirSpace, DEFAULT_ROCKET, DEFAULT_LAUNCH, FILL_SWEEP } from './model.js';
+
+// Node has no Web Worker global, so these exercise the inline fallback,
+// which shares the queueing, priority and cancellation logic.
+
+test('runJob dispatches by name and rejects unknown jobs', () => {
+    const { ratio, maxH } = runJob({ fn: 'apogee', args: [0.33, 0.4, 60] });
+    assert.equal(ratio, 0.33);
+    assert.equal(maxH, runSimulation(0.33, 0.4, 60).maxH);
+    assert.throws(() => runJob({ fn: 'nope', args: [] }), /Unknown job/);
+});
+
+test('a sweep batch streams every point and matches findOptimal', async () => {
+    const pool = new SimulationPool();
+    const seen = [];
+    const { promise } = pool.run(FILL_SWEEP.map(r => ({ fn: 'apogee', args: [r, 0.4, 60] })), {
+        onResult: (index) => seen.push(index),
+    });
+    const results = await promise;
+    assert.deepEqual(seen.sort((a, b) => a - b), FILL_SWEEP.map((_, i) => i));
+    assert.deepEqual(results, findOptimal(0.4, 60).data);
+    assert.equal(pool.pending, 0);
+});
+
+test('higher-priority batches run first', async () => {
+    const pool = new SimulationPool();
+    const order = [];
+    const job = { fn: 'apogee', args: [0.33, 0.4, 60] };
+    const low = pool.run([job, job, job], { onResult: () => order.push('low') });
+    const high = pool.run([job], { onResult: () => order.push('high'), priority: 1 });
+    await Promise.all([low.promise, high.promise]);
+    // The first low job was already dispatched when the high batch arrived
+    assert.deepEqual(order, ['low', 'high', 'low', 'low']);
+});
+
+test('cancelling drops queued jobs and resolves with null', async () => {
+    const pool = new SimulationPool();
+    let count = 0;
+    const batch = pool.run(FILL_SWEEP.map(r => ({ fn: 'apogee', args: [r, 0.4, 60] })), {
+        onResult: () => count++,
+    });
+    batch.cancel();
+    assert.equal(await batch.promise, null);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(count, 0);
+    assert.equal(pool.pending, 0);
+});
+
+test('a failing job rejects its batch', async () => {
+    const pool = new SimulationPool();
+    await assert.rejects(pool.run([{ fn: 'nope', args: [] }]).promise, /Unknown job/);
+});
+
+test('with onError a failing job is reported by index and the batch carries on', async () => {
+    const pool = new SimulationPool();
+    const job = { fn: 'apogee', args: [0.33, 0.4, 60] };
+    const errors = [];
+    const results = await pool.run([job, { fn: 'nope', args: [] }, job], {
+        onError: (index, message) => errors.push([index, message]),
+    }).promise;
+    assert.deepEqual(errors, [[1, 'Unknown job "nope"']]);
+    assert.equal(results[1], null);
+    assert.deepEqual(results[0], results[2]);
+    assert.equal(results[2].maxH, runSimulation(0.33, 0.4, 60).maxH);
+});
+
+test('points with no air space left resolve as null instead of failing the batch', async () => {
+    const pool = new SimulationPool();
+    const launch = { ...DEFAULT_LAUNCH, tube_length: 0.3 };
+    const results = await pool.run(FILL_SWEEP.map(r => ({ fn: 'apogee', args: [r, 0.4, 60, DEFAULT_ROCKET, launch] }))).promise;
+    FILL_SWEEP.forEach((r, i) => {
+        if (tankAirSpace(r, DEFAULT_ROCKET, launch) > 0) assert.ok(results[i].maxH > 0, `fill ${r}`);
+        else assert.equal(results[i], null, `fill ${r}`);
+    });
+    assert.ok(results.some(r => r === null));
+    assert.equal(runJob({ fn: 'simulate', args: [0.9, 0.4, 60, DEFAULT_ROCKET, launch] }), null);
+    assert.equal(runJob({ fn: 'boost', args: [0.9, 0.4, 60, DEFAULT_ROCKET, launch] }), null);
+    assert.equal(runJob({ fn: 'dispersion', args: [0.9, 0.4, 60, DEFAULT_ROCKET, launch] }), null);
+});
+
+test('subscribers see the pending count rise and drain to zero', async () => {
+    const pool = new SimulationPool();
+    const counts = [];
+    const unsubscribe = pool.subscribe(n => counts.push(n));
+    await pool.run(FILL_SWEEP.slice(0, 3).map(r => ({ fn: 'apogee', args: [r, 0.4, 60] }))).promise;
+    unsubscribe();
+    assert.equal(counts[0], 0);
+    assert.equal(Math.max(...counts), 3);
+    assert.equal(counts[counts.length - 1], 0);
+});
@@ -0,0 +1,201 @@
+// Scenario files: the complete, shareable description of a simulation setup.
+// The same JSON is written by the app's export, carried in share links and
+// accepted by `cli.js --config`. Files carry a schema version; older versions
+// are migrated forward on load and missing fields fall back to defaults.
+
+import { DEFAULT_ROCKET, DEFAULT_LAUNCH, DEFAULT_SOLVER, DEPLOY_MODES, tankAirSpace } from './model.js';
+
+export const SCENARIO_SCHEMA = 'bottle-rocket-scenario';
+export const SCENARIO_VERSION = 1;
+
+export const DEFAULT_MONTE_CARLO = {
+    enabled: false,
+    samples: 200,
+    seed: 1,
+    dispersions: {
+        fillRatio: { dist: 'normal', spread: 0.02 },
+        pressurePSI: { dist: 'normal', spread: 3 },
+        C_d: { dist: 'uniform', spread: 0.05 },
+    },
+};
+
+// Compare runs share launch and recovery, so their rockets omit `recovery`
+function airframe(rocket) {
+    const { recovery, ...rest } = rocket;
+    return rest;
+}
+
+export const DEFAULT_SCENARIO = {
+    fillRatio: 0.33,
+    C_d: 0.4,
+    pressurePSI: 60,
+    rocket: DEFAULT_ROCKET,
+    launch: DEFAULT_LAUNCH,
+    solver: DEFAULT_SOLVER,
+    mode: 'single',
+    compareRuns: [0.25, 0.33, 0.5, 0.67].map(r => ({
+        name: `${(r * 100).toFixed(0)}% fill`,
+        fillRatio: r,
+        C_d: 0.4,
+        pressurePSI: 60,
+        rocket: airframe(DEFAULT_ROCKET),
+    })),
+    monteCarlo: DEFAULT_MONTE_CARLO,
+};
+
+// MIGRATIONS[v] turns a version-v scenario into version v + 1
+const MIGRATIONS = {
+    // Version 0: a bare CLI config { fillRatio, C_d, pressurePSI, rocket, launch, solver }
+    0: (s) => ({ ...s, version: 1 }),
+};
+
+function requireNumber(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Scenario field "${name}" must be a number`);
+    }
+    return value;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Load a scenario from JSON text or a parsed object: migrate it to the
+ * current version, fill in defaults and check the numeric fields.
+ * @param {string | object} input
+ * @returns {object} Complete scenario at SCENARIO_VERSION
+ * @throws {Error} On malformed JSON, a newer version, invalid values or a
+ *   tank the water and launch tube leave without air
+ */
+export function parseScenario(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!isObject(data)) throw new Error('Scenario must be a JSON object');
+    if (data.schema !== undefined && data.schema !== SCENARIO_SCHEMA) {
+        throw new Error(`Not a scenario file (schema "${data.schema}")`);
+    }
+
+    const version = data.version ?? 0;
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid scenario version "${version}"`);
+    if (version > SCENARIO_VERSION) {
+        throw new Error(`Scenario version ${version} is newer than this version supports (${SCENARIO_VERSION})`);
+    }
+    let s = data;
+    for (let v = version; v < SCENARIO_VERSION; v++) s = MIGRATIONS[v](s);
+
+    const d = DEFAULT_SCENARIO;
+    const rocket = {
+        ...d.rocket,
+        ...s.rocket,
+        booster: { ...d.rocket.booster, ...s.rocket?.booster },
+        body: { ...d.rocket.body, ...s.rocket?.body },
+        recovery: { ...d.rocket.recovery, ...s.rocket?.recovery },
+    };
+    const launch = { ...d.launch, ...s.launch, atmosphere: { ...d.launch.atmosphere, ...s.launch?.atmosphere } };
+    const scenario = {
+        schema: SCENARIO_SCHEMA,
+        version: SCENARIO_VERSION,
+        fillRatio: requireNumber(s.fillRatio ?? d.fillRatio, 'fillRatio'),
+        C_d: requireNumber(s.C_d ?? d.C_d, 'C_d'),
+        pressurePSI: requireNumber(s.pressurePSI ?? d.pressurePSI, 'pressurePSI'),
+        rocket,
+        launch,
+        solver: { ...d.solver, ...s.solver },
+        mode: s.mode === 'compare' ? 'compare' : 'single',
+        compareRuns: (Array.isArray(s.compareRuns) ? s.compareRuns : d.compareRuns).map((run, i) => {
+            if (!isObject(run)) throw new Error(`Scenario field "compareRuns[${i}]" must be an object`);
+            return {
+                name: typeof run.name === 'string' ? run.name : `Run ${i + 1}`,
+                fillRatio: requireNumber(run.fillRatio ?? d.fillRatio, `compareRuns[${i}].fillRatio`),
+                C_d: requireNumber(run.C_d ?? d.C_d, `compareRuns[${i}].C_d`),
+                pressurePSI: requireNumber(run.pressurePSI ?? d.pressurePSI, `compareRuns[${i}].pressurePSI`),
+                rocket: airframe({
+                    ...DEFAULT_ROCKET,
+                    ...run.rocket,
+                    booster: { ...DEFAULT_ROCKET.booster, ...run.rocket?.booster },
+                    body: { ...DEFAULT_ROCKET.body, ...run.rocket?.body },
+                }),
+            };
+        }),
+        monteCarlo: {
+            ...d.monteCarlo,
+            ...s.monteCarlo,
+            dispersions: isObject(s.monteCarlo?.dispersions) ? s.monteCarlo.dispersions : d.monteCarlo.dispersions,
+        },
+    };
+
+    const { atmosphere, ...launchFields } = launch;
+    const { booster, body, recovery, ...rocketFields } = rocket;
+    // Fields that default to a number must be one; others may be text or flags
+    const groups = [
+        ['rocket', rocketFields, DEFAULT_ROCKET], ['rocket.booster', booster, DEFAULT_ROCKET.booster],
+        ['rocket.body', body, DEFAULT_ROCKET.body], ['rocket.recovery', recovery, DEFAULT_ROCKET.recovery],
+        ['launch', launchFields, DEFAULT_LAUNCH], ['launch.atmosphere', atmosphere, DEFAULT_LAUNCH.atmosphere],
+        ['solver', scenario.solver, DEFAULT_SOLVER],
+    ];
+    for (const [group, fields, defaults] of groups) {
+        for (const [key, value] of Object.entries(fields)) {
+            if (typeof defaults[key] === 'number' || (typeof value !== 'string' && typeof value !== 'boolean')) {
+                requireNumber(value, `${group}.${key}`);
+            }
+        }
+    }
+    if (!(recovery.deploy in DEPLOY_MODES)) {
+        throw new Error(`Scenario field "rocket.recovery.deploy" must be one of ${Object.keys(DEPLOY_MODES).join(', ')}`);
+    }
+    // Every run must leave air in its tanks, or no simulation of it can start
+    const runs = [['', scenario], ...scenario.compareRuns.map((run, i) => [`compareRuns[${i}]: `, run])];
+    for (const [where, run] of runs) {
+        if (!(tankAirSpace(run.fillRatio, run.rocket, launch) > 0)) {
+            throw new Error(`${where}Water and launch tube leave no air space in the tank`);
+        }
+    }
+    return scenario;
+}
+
+/**
+ * Build the versioned JSON object for a scenario, dropping UI-only fields
+ * such as compare run ids.
+ * @param {object} scenario Fields as in DEFAULT_SCENARIO
+ * @returns {object}
+ */
+export function serializeScenario(scenario) {
+    const { fillRatio, C_d, pressurePSI, rocket, launch, solver, mode, compareRuns, monteCarlo } = scenario;
+    return {
+        schema: SCENARIO_SCHEMA,
+        version: SCENARIO_VERSION,
+        fillRatio,
+        C_d,
+        pressurePSI,
+        rocket,
+        launch,
+        solver,
+        mode,
+        compareRuns: compareRuns.map(({ name, fillRatio, C_d, pressurePSI, rocket }) =>
+            ({ name, fillRatio, C_d, pressurePSI, rocket: airframe(rocket) })
+        ),
+        monteCarlo,
+    };
+}
+
+/**
+ * Compact, URL-safe text form of a scenario (base64url of its UTF-8 JSON).
+ * @param {object} scenario
+ * @returns {string}
+ */
+export function encodeScenario(scenario) {
+    const bytes = new TextEncoder().encode(JSON.stringify(serializeScenario(scenario)));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inverse of encodeScenario.
+ * @param {string} text
+ * @returns {object} Complete scenario
+ * @throws {Error} If the text is not a valid encoded scenario
+ */
+export function decodeScenario(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return parseScenario(new TextDecoder().decode(bytes));
+}
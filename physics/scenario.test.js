@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROCKET, ROCKET_PRESETS } from './model.js';
+import {
+    SCENARIO_SCHEMA,
+    SCENARIO_VERSION,
+    DEFAULT_SCENARIO,
+    parseScenario,
+    serializeScenario,
+    encodeScenario,
+    decodeScenario,
+} from './scenario.js';
+
+const custom = {
+    ...DEFAULT_SCENARIO,
+    fillRatio: 0.41,
+    pressurePSI: 75,
+    rocket: { ...DEFAULT_ROCKET, ...ROCKET_PRESETS['2L'], recovery: { ...DEFAULT_ROCKET.recovery, deploy: 'apogee' } },
+    mode: 'compare',
+    compareRuns: [
+        { id: 'run-a', name: 'Höhe ⇡', fillRatio: 0.3, C_d: 0.5, pressurePSI: 70, rocket: DEFAULT_ROCKET },
+    ],
+};
+
+test('serialize then parse round-trips a scenario', () => {
+    const saved = serializeScenario(custom);
+    assert.equal(saved.schema, SCENARIO_SCHEMA);
+    assert.equal(saved.version, SCENARIO_VERSION);
+    assert.equal(saved.compareRuns[0].id, undefined);
+    assert.equal(saved.compareRuns[0].rocket.recovery, undefined);
+
+    const loaded = parseScenario(JSON.stringify(saved));
+    assert.deepEqual(loaded, saved);
+});
+
+test('share-link encoding is URL-safe and survives non-ASCII names', () => {
+    const text = encodeScenario(custom);
+    assert.match(text, /^[\w-]+$/);
+    const loaded = decodeScenario(text);
+    assert.equal(loaded.compareRuns[0].name, 'Höhe ⇡');
+    assert.equal(loaded.rocket.recovery.deploy, 'apogee');
+    assert.throws(() => decodeScenario('not-a-scenario'));
+});
+
+test('unversioned CLI configs migrate and fill in defaults', () => {
+    const loaded = parseScenario({ fillRatio: 0.5, launch: { angle: 70 }, rocket: { recovery: { diameter: 0.6 } } });
+    assert.equal(loaded.version, SCENARIO_VERSION);
+    assert.equal(loaded.fillRatio, 0.5);
+    assert.equal(loaded.C_d, DEFAULT_SCENARIO.C_d);
+    assert.deepEqual(loaded.launch, { ...DEFAULT_SCENARIO.launch, angle: 70 });
+    assert.equal(loaded.rocket.tank_volume, DEFAULT_ROCKET.tank_volume);
+    assert.equal(loaded.rocket.recovery.diameter, 0.6);
+    assert.equal(loaded.rocket.recovery.deploy, DEFAULT_ROCKET.recovery.deploy);
+    assert.deepEqual(
+        parseScenario({ launch: { atmosphere: { elevation: 800 } } }).launch.atmosphere,
+        { ...DEFAULT_SCENARIO.launch.atmosphere, elevation: 800 }
+    );
+    assert.equal(loaded.mode, 'single');
+    assert.equal(loaded.compareRuns.length, DEFAULT_SCENARIO.compareRuns.length);
+});
+
+test('invalid scenarios are rejected with a reason', () => {
+    assert.throws(() => parseScenario('[1, 2]'), /JSON object/);
+    assert.throws(() => parseScenario('{ "fillRatio": '), SyntaxError);
+    assert.throws(() => parseScenario({ schema: 'something-else' }), /Not a scenario/);
+    assert.throws(() => parseScenario({ version: SCENARIO_VERSION + 1 }), /newer/);
+    assert.throws(() => parseScenario({ pressurePSI: '60' }), /pressurePSI/);
+    assert.throws(() => parseScenario({ rocket: { d_nozzle: null } }), /rocket\.d_nozzle/);
+    assert.throws(() => parseScenario({ launch: { atmosphere: { humidity: null } } }), /launch\.atmosphere\.humidity/);
+    assert.throws(() => parseScenario({ compareRuns: [{ fillRatio: 'x' }] }), /compareRuns\[0\]\.fillRatio/);
+    assert.throws(() => parseScenario({ compareRuns: [null] }), /"compareRuns\[0\]" must be an object/);
+    assert.throws(() => parseScenario({ rocket: { recovery: { diameter: 'x' } } }), /rocket\.recovery\.diameter/);
+    assert.throws(() => parseScenario({ rocket: { recovery: { deploy: 'bogus' } } }), /rocket\.recovery\.deploy/);
+    assert.throws(() => parseScenario({ rocket: { d_bottle: '0.1' } }), /rocket\.d_bottle/);
+    assert.throws(() => parseScenario({ fillRatio: 0.9, launch: { tube_length: 0.3 } }), /no air space/);
+    assert.throws(
+        () => parseScenario({ fillRatio: 0.3, launch: { tube_length: 0.3 }, compareRuns: [{ fillRatio: 0.9 }] }),
+        /compareRuns\[0\]: .*no air space/
+    );
+});
@@ -0,0 +1,145 @@
+// One-at-a-time sensitivity of the flight to each input: every input is
+// nudged down and up by a fraction of its value around the current setup,
+// giving central-difference partial derivatives, elasticities and the
+// low/high swings a tornado chart plots.
+
+import { runSimulation } from './model.js';
+
+// Inputs read from and written to a { fillRatio, C_d, pressurePSI, rocket,
+// launch } scenario. `quantity` names the display unit in units.js (pressure
+// is held in psi); `max` caps the nudged value where the model needs it.
+export const SENSITIVITY_INPUTS = {
+    fillRatio: {
+        label: 'FILL RATIO', max: 0.99,
+        get: (s) => s.fillRatio,
+        set: (s, v) => ({ ...s, fillRatio: v }),
+    },
+    C_d: {
+        label: 'DRAG Cᴅ',
+        get: (s) => s.C_d,
+        set: (s, v) => ({ ...s, C_d: v }),
+    },
+    pressurePSI: {
+        label: 'PRESSURE', quantity: 'pressure',
+        get: (s) => s.pressurePSI,
+        set: (s, v) => ({ ...s, pressurePSI: v }),
+    },
+    mass_empty: {
+        label: 'DRY MASS', quantity: 'mass',
+        get: (s) => s.rocket.mass_empty,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, mass_empty: v } }),
+    },
+    d_nozzle: {
+        label: 'NOZZLE Ø', quantity: 'diameter',
+        get: (s) => s.rocket.d_nozzle,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, d_nozzle: v } }),
+    },
+    nozzle_cd: {
+        label: 'NOZZLE Cᴅ', max: 1,
+        get: (s) => s.rocket.nozzle_cd,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, nozzle_cd: v } }),
+    },
+    d_bottle: {
+        label: 'BOTTLE Ø', quantity: 'diameter',
+        get: (s) => s.rocket.d_bottle,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, d_bottle: v } }),
+    },
+    tank_volume: {
+        label: 'TANK VOLUME', quantity: 'volume',
+        get: (s) => s.rocket.tank_volume,
+        set: (s, v) => ({ ...s, rocket: { ...s.rocket, tank_volume: v } }),
+    },
+};
+
+// Flight results analysed; flight time is in s
+export const SENSITIVITY_OUTPUTS = {
+    maxH: { label: 'APOGEE', quantity: 'length' },
+    burnoutVel: { label: 'BURNOUT VELOCITY', quantity: 'speed' },
+    flightTime: { label: 'FLIGHT TIME' },
+};
+
+// The setup with one input set to `factor` times its value (capped)
+function nudge(scenario, key, factor) {
+    const input = SENSITIVITY_INPUTS[key];
+    return input.set(scenario, Math.min(input.get(scenario) * factor, input.max ?? Infinity));
+}
+
+/**
+ * Setups to fly for a sensitivity analysis: the current one, then each
+ * input at (1 − step) and (1 + step) times its value, in SENSITIVITY_INPUTS
+ * order.
+ * @param {{ fillRatio: number, C_d: number, pressurePSI: number, rocket: object, launch: object }} scenario
+ * @param {number} [step=0.1] Relative perturbation
+ * @returns {object[]} 1 + 2 × inputs scenarios
+ */
+export function sensitivityScenarios(scenario, step = 0.1) {
+    return [
+        scenario,
+        ...Object.keys(SENSITIVITY_INPUTS).flatMap(key => [nudge(scenario, key, 1 - step), nudge(scenario, key, 1 + step)]),
+    ];
+}
+
+/**
+ * Partial derivatives, elasticities and swings from flown setups. Outcomes
+ * that are null (the setup could not fly) or missing a value leave NaN.
+ * @param {object} scenario Setup the perturbations were made around
+ * @param {(object | null)[]} outcomes `{ maxH, burnoutVel, flightTime }` for each
+ *   of `sensitivityScenarios(scenario, step)`, in order
+ * @param {number} [step=0.1] Relative perturbation used
+ * @returns {{ base: object, inputs: { key: string, value: number, low: object,
+ *   high: object, derivative: object, elasticity: object }[] }} `low`/`high`
+ *   hold each output at the low and high setting, `derivative` each ∂output/∂input
+ *   (output units per model unit of the input), `elasticity` each relative
+ *   change per relative change
+ */
+export function summarizeSensitivity(scenario, outcomes, step = 0.1) {
+    const scenarios = sensitivityScenarios(scenario, step);
+    const read = (outcome, out) => outcome?.[out] ?? NaN;
+    const base = Object.fromEntries(Object.keys(SENSITIVITY_OUTPUTS).map(out => [out, read(outcomes[0], out)]));
+    const inputs = Object.entries(SENSITIVITY_INPUTS).map(([key, input], i) => {
+        const value = input.get(scenario);
+        const xLow = input.get(scenarios[1 + 2 * i]);
+        const xHigh = input.get(scenarios[2 + 2 * i]);
+        const low = {};
+        const high = {};
+        const derivative = {};
+        const elasticity = {};
+        for (const out of Object.keys(SENSITIVITY_OUTPUTS)) {
+            low[out] = read(outcomes[1 + 2 * i], out);
+            high[out] = read(outcomes[2 + 2 * i], out);
+            derivative[out] = xHigh > xLow ? (high[out] - low[out]) / (xHigh - xLow) : NaN;
+            elasticity[out] = derivative[out] * value / base[out];
+        }
+        return { key, value, low, high, derivative, elasticity };
+    });
+    return { base, inputs };
+}
+
+/**
+ * Fly one setup for the sensitivity analysis; takes runSimulation's arguments.
+ * @returns {{ maxH: number, burnoutVel: number | null, flightTime: number | null } | null}
+ *   Null if the setup cannot fly (no air space left in the tank)
+ */
+export function sensitivityOutcome(fillRatio, C_d, pressurePSI, rocket, launch, options = {}) {
+    let r;
+    try {
+        r = runSimulation(fillRatio, C_d, pressurePSI, rocket, launch, options);
+    } catch {
+        return null;
+    }
+    return { maxH: r.maxH, burnoutVel: r.burnoutVel, flightTime: r.flightTime };
+}
+
+/**
+ * Run a full sensitivity analysis in the current thread.
+ * @param {object} scenario As for `sensitivityScenarios`
+ * @param {object} [options] Passed to `runSimulation`
+ * @param {number} [step=0.1] Relative perturbation
+ * @returns {object} As `summarizeSensitivity`
+ */
+export function analyzeSensitivity(scenario, options = {}, step = 0.1) {
+    const outcomes = sensitivityScenarios(scenario, step).map(({ fillRatio, C_d, pressurePSI, rocket, launch }) =>
+        sensitivityOutcome(fillRatio, C_d, pressurePSI, rocket, launch, options)
+    );
+    return summarizeSensitivity(scenario, outcomes, step);
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from './model.js';
+import { DEFAULT_SCENARIO } from './scenario.js';
+import { SENSITIVITY_INPUTS, sensitivityScenarios, summarizeSensitivity, analyzeSensitivity } from './sensitivity.js';
+import { close } from './testing.js';
+
+test('each input is nudged down and up in turn, capped where the model needs it', () => {
+    const scenario = { ...DEFAULT_SCENARIO, fillRatio: 0.95 };
+    const runs = sensitivityScenarios(scenario, 0.1);
+    const keys = Object.keys(SENSITIVITY_INPUTS);
+    assert.equal(runs.length, 1 + 2 * keys.length);
+    assert.equal(runs[0], scenario);
+    close(runs[1].fillRatio, 0.855, 1e-12, 'low fill');
+    assert.equal(runs[2].fillRatio, 0.99);
+    const p = 1 + 2 * keys.indexOf('mass_empty');
+    close(runs[p + 1].rocket.mass_empty, 1.1 * scenario.rocket.mass_empty, 1e-12, 'high dry mass');
+    assert.equal(runs[p + 1].fillRatio, 0.95);
+});
+
+test('derivatives are central differences and elasticities are relative', () => {
+    const { inputs, base } = analyzeSensitivity(DEFAULT_SCENARIO);
+    const { fillRatio, C_d, pressurePSI } = DEFAULT_SCENARIO;
+    const pressure = inputs.find(i => i.key === 'pressurePSI');
+    const apogee = (psi) => runSimulation(fillRatio, C_d, psi).maxH;
+    close(pressure.derivative.maxH, (apogee(66) - apogee(54)) / 12, 1e-9, '∂apogee/∂pressure');
+    close(pressure.elasticity.maxH, pressure.derivative.maxH * 60 / base.maxH, 1e-12, 'elasticity');
+
+    const sign = (key) => Math.sign(inputs.find(i => i.key === key).elasticity.maxH);
+    assert.equal(sign('pressurePSI'), 1);
+    assert.equal(sign('C_d'), -1);
+    assert.equal(sign('mass_empty'), -1);
+});
+
+test('setups that cannot fly leave NaN rather than failing the analysis', () => {
+    const runs = sensitivityScenarios(DEFAULT_SCENARIO);
+    const outcomes = runs.map((_, i) => (i === 2 ? null : { maxH: 10 + i, burnoutVel: 5, flightTime: null }));
+    const { inputs } = summarizeSensitivity(DEFAULT_SCENARIO, outcomes);
+    assert.ok(Number.isNaN(inputs[0].derivative.maxH));
+    assert.ok(Number.isNaN(inputs[1].derivative.flightTime));
+    assert.equal(inputs[1].derivative.burnoutVel, 0);
+});
@@ -0,0 +1,141 @@
+// Static stability from the airframe geometry. The centre of pressure comes
+// from the Barrowman equations (subsonic, small angle of attack); the centre
+// of gravity follows the water and air left in the bottle. Positions are
+// measured from the nose tip towards the tail; margins are in calibres of
+// the bottle diameter. Clustered bottles sit side by side, so the same axial
+// layout holds with every mass multiplied.
+
+import { CONSTANTS, DEFAULT_BODY, bottleCount } from './model.js';
+
+// Nose cone shapes: Barrowman centre of pressure and the approximate shell
+// centroid (for the nose mass), as fractions of the nose length from the tip
+export const NOSE_SHAPES = {
+    conical: { label: 'CONICAL', cp: 0.666, cg: 0.667 },
+    ogive: { label: 'OGIVE', cp: 0.466, cg: 0.6 },
+    parabolic: { label: 'PARABOLIC', cp: 0.5, cg: 0.58 },
+    elliptical: { label: 'ELLIPTICAL', cp: 0.333, cg: 0.5 },
+};
+
+// Margin below which a rocket is treated as marginally stable
+export const MIN_STABLE_MARGIN = 1;
+
+/**
+ * Axial layout of the airframe: nose cone, fairing tube, then the bottle,
+ * taken as a straight cylinder of the tank's volume with the nozzle end as
+ * the tail.
+ * @param {object} rocket Rocket with `body` fields as in DEFAULT_BODY
+ * @returns {{ body: object, diameter: number, area: number, noseLength: number,
+ *   tankStart: number, tankLength: number, length: number, finLeadingEdge: number }}
+ *   Lengths and positions (m) and the bottle cross-section (m²)
+ */
+export function airframeGeometry(rocket) {
+    const body = { ...DEFAULT_BODY, ...rocket.body };
+    const diameter = rocket.d_bottle;
+    const area = Math.PI * (diameter / 2) ** 2;
+    const tankLength = rocket.tank_volume / area;
+    const tankStart = body.nose_length + body.fairing_length;
+    const length = tankStart + tankLength;
+    return {
+        body,
+        diameter,
+        area,
+        noseLength: body.nose_length,
+        tankStart,
+        tankLength,
+        length,
+        finLeadingEdge: length - body.fin_offset - body.fin_root,
+    };
+}
+
+/**
+ * Centre of pressure by the Barrowman equations: nose cone plus one fin set
+ * with body interference. The straight bottle adds no normal force.
+ * @param {object} rocket
+ * @returns {{ x: number, CN: number, nose: { x: number, CN: number }, fins: { x: number, CN: number } }}
+ *   Centre of pressure (m from the tip) and normal-force coefficient slopes (per rad)
+ */
+export function centerOfPressure(rocket) {
+    const { body, diameter, noseLength, finLeadingEdge } = airframeGeometry(rocket);
+    const nose = { CN: 2, x: (NOSE_SHAPES[body.nose_shape] ?? NOSE_SHAPES.ogive).cp * noseLength };
+
+    const { fin_count: N, fin_root: Cr, fin_tip: Ct, fin_span: S, fin_sweep: Xr } = body;
+    const R = diameter / 2;
+    let fins = { CN: 0, x: finLeadingEdge };
+    if (N > 0 && S > 0 && Cr + Ct > 0) {
+        // Length of the mid-chord line
+        const lf = Math.hypot(S, Xr + Ct / 2 - Cr / 2);
+        const interference = 1 + R / (S + R);
+        const CN = interference * 4 * N * (S / diameter) ** 2 / (1 + Math.sqrt(1 + (2 * lf / (Cr + Ct)) ** 2));
+        const x = finLeadingEdge
+            + Xr * (Cr + 2 * Ct) / (3 * (Cr + Ct))
+            + ((Cr + Ct) - Cr * Ct / (Cr + Ct)) / 6;
+        fins = { CN, x };
+    }
+
+    const CN = nose.CN + fins.CN;
+    return { x: (nose.CN * nose.x + fins.CN * fins.x) / CN, CN, nose, fins };
+}
+
+/**
+ * Centre of gravity with the given water and air on board. Under thrust the
+ * water sits at the nozzle end and the air fills the rest of the bottle.
+ * @param {object} rocket
+ * @param {number} V_water Water on board (m³), across all bottles
+ * @param {number} m_air Air on board (kg), across all bottles
+ * @returns {{ x: number, mass: number }} CG (m from the tip) and total mass (kg)
+ */
+export function centerOfGravity(rocket, V_water, m_air) {
+    const { body, noseLength, tankStart, tankLength, length, finLeadingEdge } = airframeGeometry(rocket);
+    const count = bottleCount(rocket);
+    const { fin_root: Cr, fin_tip: Ct, fin_sweep: Xr } = body;
+    // Water column height in each bottle
+    const h = Math.min(Math.max(V_water, 0) / count / (rocket.tank_volume / tankLength), tankLength);
+    const finCentroid = Cr + Ct > 0 ? (Xr * (Cr + 2 * Ct) + Cr * Cr + Cr * Ct + Ct * Ct) / (3 * (Cr + Ct)) : 0;
+    const shell = NOSE_SHAPES[body.nose_shape] ?? NOSE_SHAPES.ogive;
+
+    const parts = [
+        [body.nose_mass, shell.cg * noseLength],
+        [body.fin_mass, finLeadingEdge + finCentroid],
+        // The rest of the dry mass is the bottles and fairing, spread evenly
+        [Math.max(rocket.mass_empty - body.nose_mass - body.fin_mass, 0), (noseLength + length) / 2],
+        [body.ballast, body.ballast_position],
+        [CONSTANTS.rho_water * Math.max(V_water, 0), length - h / 2],
+        [Math.max(m_air, 0), tankStart + (tankLength - h) / 2],
+    ];
+    const mass = parts.reduce((sum, [m]) => sum + m, 0);
+    return { x: parts.reduce((sum, [m, x]) => sum + m * x, 0) / mass, mass };
+}
+
+/**
+ * Stability margin through the powered flight of a simulated run, from the
+ * water and air on board at each trajectory sample until thrust ends.
+ * The airframe here is a single stage, so a staged rocket gets null: its
+ * booster below the upper bottle would move both the CG and the CP.
+ * @param {object} rocket As flown
+ * @param {object} result From `runSimulation`
+ * @returns {{ cp: object, diameter: number, samples: { t: number, cg: number, margin: number }[],
+ *   liftoff: number, burnout: number, min: { t: number, margin: number } } | null} Margins in
+ *   calibres; `burnout` is the empty-bottle margin after the air pulse
+ */
+export function stabilityOverBurn(rocket, result) {
+    if (rocket.layout === 'staged') return null;
+    const cp = centerOfPressure(rocket);
+    const { diameter } = airframeGeometry(rocket);
+    const dry = rocket.mass_empty + ({ ...DEFAULT_BODY, ...rocket.body }).ballast;
+    const end = result.airBurnoutTime ?? result.burnoutTime ?? 0;
+    const burn = result.trajectory.filter(p => p.t <= end);
+    const samples = (burn.length > 0 ? burn : result.trajectory.slice(0, 1)).map(p => {
+        const air = p.m - dry - CONSTANTS.rho_water * p.V_water;
+        const cg = centerOfGravity(rocket, p.V_water, air).x;
+        return { t: p.t, cg, margin: (cp.x - cg) / diameter };
+    });
+    const min = samples.reduce((lo, s) => (s.margin < lo.margin ? s : lo), samples[0]);
+    return {
+        cp,
+        diameter,
+        samples,
+        liftoff: samples[0].margin,
+        burnout: samples[samples.length - 1].margin,
+        min: { t: min.t, margin: min.margin },
+    };
+}
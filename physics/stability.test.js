@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTANTS, DEFAULT_ROCKET, runSimulation } from './model.js';
+import { MIN_STABLE_MARGIN, airframeGeometry, centerOfPressure, centerOfGravity, stabilityOverBurn } from './stability.js';
+import { close } from './testing.js';
+
+const withBody = (body) => ({ ...DEFAULT_ROCKET, body: { ...DEFAULT_ROCKET.body, ...body } });
+
+test('centre of pressure matches a hand Barrowman calculation', () => {
+    // 100 mm body, 0.5 m bottle behind a 0.2 m cone, four trapezoidal fins
+    const rocket = {
+        ...withBody({
+            nose_shape: 'conical', nose_length: 0.2, fairing_length: 0,
+            fin_count: 4, fin_root: 0.1, fin_tip: 0.05, fin_span: 0.1, fin_sweep: 0.05, fin_offset: 0,
+        }),
+        d_bottle: 0.1,
+        tank_volume: Math.PI * 0.05 ** 2 * 0.5,
+    };
+    close(airframeGeometry(rocket).length, 0.7, 1e-12, 'length');
+    const cp = centerOfPressure(rocket);
+    close(cp.nose.x, 0.1332, 1e-9, 'nose CP');
+    close(cp.fins.CN, 7.90219, 1e-4, 'fin CN');
+    close(cp.fins.x, 0.641667, 1e-5, 'fin CP');
+    close(cp.x, 0.538969, 1e-5, 'CP');
+
+    const bare = centerOfPressure({ ...rocket, body: { ...rocket.body, fin_count: 0 } });
+    assert.equal(bare.x, bare.nose.x);
+});
+
+test('the centre of gravity moves forward as the water is expelled', () => {
+    const { tankLength, length } = airframeGeometry(DEFAULT_ROCKET);
+    const full = centerOfGravity(DEFAULT_ROCKET, 0.5 * DEFAULT_ROCKET.tank_volume, 0.002);
+    const half = centerOfGravity(DEFAULT_ROCKET, 0.25 * DEFAULT_ROCKET.tank_volume, 0.002);
+    const empty = centerOfGravity(DEFAULT_ROCKET, 0, 0.001);
+    assert.ok(full.x > half.x && half.x > empty.x);
+    assert.ok(full.x < length && full.x > length - tankLength);
+    close(full.mass, DEFAULT_ROCKET.mass_empty + 0.5 * DEFAULT_ROCKET.tank_volume * CONSTANTS.rho_water + 0.002, 1e-12, 'mass');
+});
+
+test('margins are sampled over the burn and rise as the bottle empties', () => {
+    const result = runSimulation(0.33, 0.4, 60);
+    const s = stabilityOverBurn(DEFAULT_ROCKET, result);
+    assert.equal(s.samples[0].t, 0);
+    assert.ok(s.samples[s.samples.length - 1].t <= result.airBurnoutTime);
+    assert.ok(s.burnout > s.liftoff);
+    assert.equal(s.min.margin, Math.min(...s.samples.map(p => p.margin)));
+    close(s.samples[0].margin, (s.cp.x - centerOfGravity(DEFAULT_ROCKET, 0.33 * DEFAULT_ROCKET.tank_volume,
+        result.trajectory[0].m - DEFAULT_ROCKET.mass_empty - 0.33 * DEFAULT_ROCKET.tank_volume * CONSTANTS.rho_water).x) / s.diameter,
+        1e-9, 'liftoff margin');
+});
+
+test('nose ballast buys stability at the cost of apogee', () => {
+    const base = runSimulation(0.33, 0.4, 60);
+    const rocket = withBody({ ballast: 0.1 });
+    const heavy = runSimulation(0.33, 0.4, 60, rocket);
+    close(heavy.trajectory[0].m - base.trajectory[0].m, 0.1, 1e-12, 'liftoff mass');
+    assert.ok(heavy.maxH < base.maxH);
+    const before = stabilityOverBurn(DEFAULT_ROCKET, base);
+    const after = stabilityOverBurn(rocket, heavy);
+    assert.ok(before.min.margin < MIN_STABLE_MARGIN);
+    assert.ok(after.min.margin > before.min.margin && after.burnout > before.burnout);
+});
+
+test('staged rockets get no stability estimate', () => {
+    const rocket = { ...DEFAULT_ROCKET, layout: 'staged' };
+    assert.equal(stabilityOverBurn(rocket, runSimulation(0.33, 0.4, 60, rocket)), null);
+});
+
+test('a fractional cluster count is rounded as the simulation rounds it', () => {
+    const cluster = (n) => ({ ...DEFAULT_ROCKET, layout: 'cluster', cluster_count: n });
+    const V_water = 0.66 * DEFAULT_ROCKET.tank_volume;
+    assert.deepEqual(centerOfGravity(cluster(2.4), V_water, 0.004), centerOfGravity(cluster(2), V_water, 0.004));
+    const flown = runSimulation(0.33, 0.4, 60, cluster(2.4));
+    assert.deepEqual(flown.trajectory, runSimulation(0.33, 0.4, 60, cluster(2)).trajectory);
+    assert.deepEqual(stabilityOverBurn(cluster(2.4), flown).samples, stabilityOverBurn(cluster(2), flown).samples);
+});
@@ -0,0 +1,13 @@
+// Assertions shared by the physics tests.
+
+import assert from 'node:assert/strict';
+
+/**
+ * Assert that a number is within a tolerance of the expected value.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tol Largest allowed absolute difference
+ * @param {string} label Quantity named in the failure message
+ */
+export const close = (actual, expected, tol, label) =>
+    assert.ok(Math.abs(actual - expected) <= tol, `${label}: ${actual} vs ${expected} (±${tol})`);
@@ -0,0 +1,101 @@
+// Display units. The model runs in SI throughout (launch pressure aside, which
+// is gauge psi); these tables convert its values for display and convert
+// user input back.
+
+import { CONSTANTS } from './model.js';
+
+// SI value of one display unit, per quantity. `slug` names export columns.
+// Temperatures also carry an `offset`: SI = (display + offset) · si.
+export const UNITS = {
+    length: {
+        m: { si: 1, slug: 'm' },
+        ft: { si: 0.3048, slug: 'ft' },
+    },
+    speed: {
+        'm/s': { si: 1, slug: 'mps' },
+        'ft/s': { si: 0.3048, slug: 'fps' },
+    },
+    acceleration: {
+        'm/s²': { si: 1, slug: 'mps2' },
+        'ft/s²': { si: 0.3048, slug: 'fps2' },
+    },
+    diameter: {
+        mm: { si: 1e-3, slug: 'mm' },
+        cm: { si: 1e-2, slug: 'cm' },
+        in: { si: 0.0254, slug: 'in' },
+    },
+    mass: {
+        g: { si: 1e-3, slug: 'g' },
+        oz: { si: 0.028349523125, slug: 'oz' },
+    },
+    force: {
+        N: { si: 1, slug: 'n' },
+        lbf: { si: 4.4482216152605, slug: 'lbf' },
+    },
+    impulse: {
+        'N·s': { si: 1, slug: 'ns' },
+        'lbf·s': { si: 4.4482216152605, slug: 'lbfs' },
+    },
+    volume: {
+        mL: { si: 1e-6, slug: 'ml' },
+        'fl oz': { si: 2.95735295625e-5, slug: 'floz' },
+    },
+    temperature: {
+        '°C': { si: 1, offset: 273.15, slug: 'c' },
+        '°F': { si: 5 / 9, offset: 459.67, slug: 'f' },
+    },
+    // Barometric (absolute) pressure, as read off a weather report
+    barometric: {
+        hPa: { si: 100, slug: 'hpa' },
+        inHg: { si: 3386.389, slug: 'inhg' },
+    },
+    // Gauge pressure, with a slider step and display precision for each unit
+    pressure: {
+        psi: { si: CONSTANTS.psi, slug: 'psig', step: 5, digits: 0 },
+        kPa: { si: 1e3, slug: 'kpag', step: 25, digits: 0 },
+        bar: { si: 1e5, slug: 'barg', step: 0.25, digits: 2 },
+    },
+};
+
+// Unit choice per quantity for each system; pressure is chosen separately
+export const UNIT_SYSTEMS = {
+    si: {
+        label: 'SI',
+        length: 'm', speed: 'm/s', acceleration: 'm/s²', diameter: 'mm',
+        mass: 'g', force: 'N', impulse: 'N·s', volume: 'mL', temperature: '°C', barometric: 'hPa',
+    },
+    imperial: {
+        label: 'IMPERIAL',
+        length: 'ft', speed: 'ft/s', acceleration: 'ft/s²', diameter: 'in',
+        mass: 'oz', force: 'lbf', impulse: 'lbf·s', volume: 'fl oz', temperature: '°F', barometric: 'inHg',
+    },
+};
+
+export const DEFAULT_UNITS = { system: 'si', pressure: 'psi' };
+
+export const PRESSURE_UNITS = Object.keys(UNITS.pressure);
+
+/**
+ * Converters for a unit setting. Each quantity gets its unit's table entry
+ * plus its label, `from` (SI → display), `to` (display → SI) and `format`
+ * (SI → "1.2 ft").
+ * @param {{ system: string, pressure: string }} [settings=DEFAULT_UNITS]
+ * @returns {Object<string, { label: string, si: number, slug: string, from: Function, to: Function, format: Function }>}
+ */
+export function displayUnits(settings = DEFAULT_UNITS) {
+    const system = UNIT_SYSTEMS[settings.system] ?? UNIT_SYSTEMS.si;
+    const units = {};
+    for (const [quantity, options] of Object.entries(UNITS)) {
+        const chosen = quantity === 'pressure' ? settings.pressure : system[quantity];
+        const label = chosen in options ? chosen : Object.keys(options)[0];
+        const { si, offset = 0 } = options[label];
+        units[quantity] = {
+            ...options[label],
+            label,
+            from: (v) => v / si - offset,
+            to: (v) => (v + offset) * si,
+            format: (v, digits = 1) => `${(v / si - offset).toFixed(digits)} ${label}`,
+        };
+    }
+    return units;
+}
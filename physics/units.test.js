@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTANTS } from './model.js';
+import { UNITS, UNIT_SYSTEMS, DEFAULT_UNITS, displayUnits } from './units.js';
+import { close } from './testing.js';
+
+test('every system names a known unit for each quantity but pressure', () => {
+    for (const system of Object.values(UNIT_SYSTEMS)) {
+        for (const quantity of Object.keys(UNITS).filter(q => q !== 'pressure')) {
+            assert.ok(system[quantity] in UNITS[quantity], `${system.label} ${quantity}`);
+        }
+    }
+});
+
+test('imperial conversions', () => {
+    const u = displayUnits({ system: 'imperial', pressure: 'psi' });
+    close(u.length.from(0.3048), 1, 1e-12, 'ft');
+    close(u.speed.from(10), 32.8084, 1e-4, 'ft/s');
+    close(u.mass.from(0.0765), 2.6985, 1e-4, 'oz');
+    close(u.force.from(4.4482216152605), 1, 1e-12, 'lbf');
+    close(u.pressure.from(60 * CONSTANTS.psi), 60, 1e-12, 'psi');
+    assert.equal(u.length.format(12.192), '40.0 ft');
+    close(u.temperature.from(273.15), 32, 1e-9, '°F');
+    close(u.temperature.to(212), 373.15, 1e-9, '°F → K');
+    close(u.barometric.from(101325), 29.92, 1e-2, 'inHg');
+    assert.equal(displayUnits().temperature.format(288.15), '15.0 °C');
+});
+
+test('pressure units are independent of the system and round-trip', () => {
+    const u = displayUnits({ system: 'si', pressure: 'bar' });
+    assert.equal(u.length.label, 'm');
+    close(u.pressure.from(60 * CONSTANTS.psi), 4.1369, 1e-4, 'bar');
+    close(displayUnits({ system: 'si', pressure: 'kPa' }).pressure.from(1e5), 100, 1e-12, 'kPa');
+    for (const quantity of Object.keys(UNITS)) {
+        close(u[quantity].to(u[quantity].from(1.234)), 1.234, 1e-12, quantity);
+    }
+});
+
+test('unknown settings fall back to the first unit', () => {
+    const u = displayUnits({ system: 'cubits', pressure: 'atm' });
+    assert.equal(u.length.label, 'm');
+    assert.equal(u.pressure.label, 'psi');
+    assert.deepEqual(Object.keys(displayUnits()), Object.keys(UNITS));
+    assert.equal(displayUnits(DEFAULT_UNITS).pressure.label, 'psi');
+});
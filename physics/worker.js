@@ -0,0 +1,11 @@
+// Web Worker entry: runs one job per message and posts back its result.
+
+import { runJob } from './jobs.js';
+
+self.onmessage = ({ data: { id, job } }) => {
+    try {
+        self.postMessage({ id, result: runJob(job) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};